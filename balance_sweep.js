@@ -0,0 +1,257 @@
+// Balance sweep for Monster Merge: Chaos Arena
+// Simulates many headless battles of fixed player boards against the
+// generated enemy waves and reports win rates, turns, damage and coin rewards.
+//
+// Usage:
+//   npm run balance-sweep -- --board 3,3,2 --board 5,4 --waves 10 --runs 200
+//   node balance_sweep.js --boards boards.json --format csv > sweep.csv
+//
+// Options:
+//   --board <tiers>    Player board as comma separated tiers (repeatable)
+//   --boards <file>    JSON file with an array of boards; a board is an array of
+//                      tiers or stat objects, or { "name": ..., "monsters": [...] }
+//   --waves <W>        Simulate waves 1..W (default 10)
+//   --runs <N>         Battles per board and wave (default 100)
+//   --seed <seed>      Base seed, the same seed gives the same report (default 1)
+//   --rules <ruleSet>  Damage formula: classic or diminishingReturns (default classic)
+//   --elements <file>  JSON element matrix {attacker: {defender: multiplier}} replacing the default
+//   --wave-data <file> Wave definitions to sweep (default data/waves.json)
+//   --format <format>  table, csv or json (default table)
+
+import * as fs from 'fs';
+import { SeededRandom, WaveManager, HeadlessBattle, BattleOutcome, loadWaveDefinitions } from './headless_battle.js';
+
+// Boards used when none are given on the command line
+const DEFAULT_BOARDS = ['1,1,1', '3,3,2', '5,4,4,3'];
+
+/**
+ * Parse the command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Sweep options
+ */
+function parseArgs(args) {
+    const options = {
+        boards: [],
+        waves: 10,
+        runs: 100,
+        seed: 1,
+        ruleSet: 'classic',
+        elementMatrix: null,
+        waveDefinitions: null,
+        format: 'table'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+
+        switch (args[i]) {
+            case '--board':
+                options.boards.push(parseBoard(value));
+                i++;
+                break;
+            case '--boards':
+                JSON.parse(fs.readFileSync(value, 'utf8')).forEach(board => options.boards.push(parseBoard(board)));
+                i++;
+                break;
+            case '--waves':
+                options.waves = parseInt(value, 10);
+                i++;
+                break;
+            case '--runs':
+                options.runs = parseInt(value, 10);
+                i++;
+                break;
+            case '--seed':
+                options.seed = value;
+                i++;
+                break;
+            case '--rules':
+                options.ruleSet = value;
+                i++;
+                break;
+            case '--elements':
+                options.elementMatrix = JSON.parse(fs.readFileSync(value, 'utf8'));
+                i++;
+                break;
+            case '--wave-data':
+                options.waveDefinitions = loadWaveDefinitions(value);
+                i++;
+                break;
+            case '--format':
+                options.format = value;
+                i++;
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    if (options.boards.length === 0) {
+        options.boards = DEFAULT_BOARDS.map(parseBoard);
+    }
+
+    if (!options.waveDefinitions) {
+        options.waveDefinitions = loadWaveDefinitions();
+    }
+
+    if (!(options.waves >= 1) || !(options.runs >= 1)) {
+        throw new Error('--waves and --runs must be positive numbers');
+    }
+
+    if (!['table', 'csv', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return options;
+}
+
+/**
+ * Normalize a board definition into a name and a list of monster stats
+ * @param {string|Array|Object} board - Tier list, stat array or {name, monsters}
+ * @returns {Object} Board {name, monsters}
+ */
+function parseBoard(board) {
+    if (typeof board === 'string') {
+        board = board.split(',').map(tier => parseInt(tier, 10));
+    }
+
+    const monsters = (Array.isArray(board) ? board : board.monsters)
+        .map(monster => (typeof monster === 'number' ? { tier: monster } : monster));
+
+    if (monsters.length === 0 || monsters.some(monster => !(monster.tier >= 1))) {
+        throw new Error(`Invalid board: ${JSON.stringify(board)}`);
+    }
+
+    return {
+        name: board.name || monsters.map(monster => monster.tier).join('+'),
+        monsters
+    };
+}
+
+/**
+ * Simulate every board against waves 1..W
+ * @param {Object} options - Sweep options from parseArgs
+ * @returns {Array<Object>} One result row per board and wave
+ */
+function runSweep(options) {
+    const rows = [];
+
+    options.boards.forEach((board, boardIndex) => {
+        for (let wave = 1; wave <= options.waves; wave++) {
+            let wins = 0;
+            let draws = 0;
+            let turns = 0;
+            let damageDealt = 0;
+            let damageTaken = 0;
+            let coins = 0;
+
+            for (let run = 0; run < options.runs; run++) {
+                // Every battle gets its own reproducible generator
+                const random = new SeededRandom(SeededRandom.hash(options.seed, boardIndex, wave, run));
+                const waveManager = new WaveManager(null, null, random);
+                waveManager.setWaveDefinitions(options.waveDefinitions);
+                const battle = new HeadlessBattle({
+                    random,
+                    ruleSet: options.ruleSet,
+                    elementMatrix: options.elementMatrix
+                });
+
+                const result = battle.run(board.monsters, waveManager.rollEnemyWave(wave));
+                const rewards = battle.simulator.calculateRewards(result, wave);
+
+                wins += result.outcome === BattleOutcome.VICTORY ? 1 : 0;
+                draws += result.outcome === BattleOutcome.DRAW ? 1 : 0;
+                turns += result.turns;
+                damageDealt += result.playerDamageDealt;
+                damageTaken += result.enemyDamageDealt;
+                coins += rewards.coins;
+            }
+
+            rows.push({
+                board: board.name,
+                wave,
+                runs: options.runs,
+                winRate: wins / options.runs,
+                drawRate: draws / options.runs,
+                avgTurns: turns / options.runs,
+                avgDamageDealt: damageDealt / options.runs,
+                avgDamageTaken: damageTaken / options.runs,
+                avgCoins: coins / options.runs
+            });
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Format the result rows as an aligned text table
+ * @param {Array<Object>} rows - Result rows
+ * @returns {string} Table text
+ */
+function formatTable(rows) {
+    const header = ['Board', 'Wave', 'Win %', 'Draw %', 'Avg turns', 'Avg dmg dealt', 'Avg dmg taken', 'Avg coins'];
+    const lines = rows.map(row => [
+        row.board,
+        String(row.wave),
+        (row.winRate * 100).toFixed(1),
+        (row.drawRate * 100).toFixed(1),
+        row.avgTurns.toFixed(1),
+        row.avgDamageDealt.toFixed(1),
+        row.avgDamageTaken.toFixed(1),
+        row.avgCoins.toFixed(1)
+    ]);
+
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...lines.map(line => line[column].length)));
+
+    // Board names are left aligned, numbers right aligned
+    const formatLine = line => line
+        .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+        .join('  ');
+
+    return [
+        formatLine(header),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...lines.map(formatLine)
+    ].join('\n');
+}
+
+/**
+ * Format the result rows as CSV
+ * @param {Array<Object>} rows - Result rows
+ * @returns {string} CSV text
+ */
+function formatCsv(rows) {
+    const header = 'board,wave,runs,win_rate,draw_rate,avg_turns,avg_damage_dealt,avg_damage_taken,avg_coins';
+    const lines = rows.map(row => [
+        `"${row.board}"`,
+        row.wave,
+        row.runs,
+        row.winRate.toFixed(4),
+        row.drawRate.toFixed(4),
+        row.avgTurns.toFixed(2),
+        row.avgDamageDealt.toFixed(2),
+        row.avgDamageTaken.toFixed(2),
+        row.avgCoins.toFixed(2)
+    ].join(','));
+
+    return [header, ...lines].join('\n');
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const rows = runSweep(options);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(rows, null, 2));
+    } else if (options.format === 'csv') {
+        console.log(formatCsv(rows));
+    } else {
+        console.log(`Balance sweep: ${options.runs} battles per board and wave, seed ${options.seed}, ${options.ruleSet} rules\n`);
+        console.log(formatTable(rows));
+    }
+} catch (error) {
+    console.error(`Balance sweep failed: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,154 @@
+// Headless battle simulation for Node.js
+// Loads the browser combat scripts into a sandbox so battles can be
+// simulated from plain monster stats without Three.js or a browser.
+//
+// Usage as a module:
+//   import { simulateBattle } from './headless_battle.js';
+//   const result = simulateBattle([{ tier: 3 }], [{ tier: 2, attack: 12 }], { seed: 42 });
+//
+// Usage from the command line:
+//   node headless_battle.js '[{"tier":3}]' '[{"tier":2}]' [seed]
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as vm from 'vm';
+import { fileURLToPath } from 'url';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Browser scripts needed for the simulation, in load order
+const COMBAT_SCRIPTS = [
+    'js/SeededRandom.js',
+    'js/monster/MonsterTypes.js',
+    'js/combat/BattleEvents.js',
+    'js/combat/Elements.js',
+    'js/combat/CombatRules.js',
+    'js/combat/AbilitySystem.js',
+    'js/combat/FormationRules.js',
+    'js/combat/TurnScheduler.js',
+    'js/combat/StatusEffects.js',
+    'js/combat/BossSystem.js',
+    'js/combat/WaveDefinitions.js',
+    'js/combat/BattleSimulator.js',
+    'js/combat/WaveManager.js',
+    'js/combat/HeadlessBattle.js'
+];
+
+// Classes and globals exposed from the sandbox
+const EXPORTED_NAMES = [
+    'SeededRandom',
+    'monsterTypes',
+    'BattleEvent',
+    'BattleEventType',
+    'BattleOutcome',
+    'ElementType',
+    'ElementChart',
+    'DEFAULT_ELEMENT_MATRIX',
+    'CombatRuleSet',
+    'CombatRules',
+    'AbilityType',
+    'AbilitySystem',
+    'FormationRules',
+    'TurnScheduler',
+    'StatusEffectType',
+    'StatusEffectSystem',
+    'BossSystem',
+    'WaveDefinitions',
+    'DEFAULT_WAVE_DATA',
+    'BattleSimulator',
+    'WaveManager',
+    'HeadlessBattle'
+];
+
+/**
+ * Load the combat scripts into a fresh sandbox
+ * @returns {Object} The combat classes and globals defined by the scripts
+ */
+export function loadCombatModules() {
+    const context = vm.createContext({ console });
+
+    for (const script of COMBAT_SCRIPTS) {
+        const filename = path.join(__dirname, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    return vm.runInContext(`({ ${EXPORTED_NAMES.join(', ')} })`, context);
+}
+
+const modules = loadCombatModules();
+
+export const {
+    SeededRandom,
+    monsterTypes,
+    BattleEvent,
+    BattleEventType,
+    BattleOutcome,
+    ElementType,
+    ElementChart,
+    DEFAULT_ELEMENT_MATRIX,
+    CombatRuleSet,
+    CombatRules,
+    AbilityType,
+    AbilitySystem,
+    FormationRules,
+    TurnScheduler,
+    StatusEffectType,
+    StatusEffectSystem,
+    BossSystem,
+    WaveDefinitions,
+    DEFAULT_WAVE_DATA,
+    BattleSimulator,
+    WaveManager,
+    HeadlessBattle
+} = modules;
+
+// Wave data used by the game
+export const DEFAULT_WAVE_DATA_FILE = path.join(__dirname, 'data', 'waves.json');
+
+/**
+ * Load and validate a wave data file
+ * @param {string} file - Path of the wave data (defaults to data/waves.json)
+ * @returns {WaveDefinitions} The validated wave definitions
+ */
+export function loadWaveDefinitions(file = DEFAULT_WAVE_DATA_FILE) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read wave data from ${file}: ${error.message}`);
+    }
+
+    try {
+        return new WaveDefinitions(data);
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Simulate a single battle synchronously
+ * @param {Array<Object>} playerMonsters - Player monster stats {tier, attack, defense, health, maxHealth}
+ * @param {Array<Object>} enemyMonsters - Enemy monster stats {tier, attack, defense, health, maxHealth}
+ * @param {Object} options - Options for HeadlessBattle (seed, maxTurns, ruleSet)
+ * @returns {Object} Battle results and the full battle log
+ */
+export function simulateBattle(playerMonsters, enemyMonsters, options = {}) {
+    return new HeadlessBattle(options).run(playerMonsters, enemyMonsters);
+}
+
+// Run a single battle when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    const [playerArg, enemyArg, seedArg] = process.argv.slice(2);
+
+    if (!playerArg || !enemyArg) {
+        console.log("Usage: node headless_battle.js '<player stats JSON>' '<enemy stats JSON>' [seed]");
+        process.exit(1);
+    }
+
+    const result = simulateBattle(JSON.parse(playerArg), JSON.parse(enemyArg), { seed: seedArg });
+
+    result.battleLog.forEach(event => console.log(event.message));
+    console.log(`Seed: ${result.seed}, turns: ${result.turns}, outcome: ${result.outcome}`);
+}
@@ -0,0 +1,217 @@
+/**
+ * BoardCodeManager turns the monsters on the grid into a short text code and
+ * back, so boards can be shared without a full save. A code holds the tier
+ * and stats of every grid monster (not the bench or items), a format version
+ * and a checksum so typos are detected.
+ */
+
+// What a loaded board code is used as
+const BoardCodeRole = Object.freeze({
+    PLAYER: 'player',
+    OPPONENT: 'opponent'
+});
+
+// Version of the board code format. Bump it whenever the byte layout changes.
+const BOARD_CODE_VERSION = 1;
+
+// Every board code starts with this prefix
+const BOARD_CODE_PREFIX = 'MMB-';
+
+// Crockford base32: no I, L, O or U, so codes are easy to read and type
+const BOARD_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Stats saved for every monster, each as an unsigned 16-bit number
+const BOARD_CODE_STATS = ['attack', 'defense', 'speed', 'health', 'maxHealth'];
+
+class BoardCodeManager {
+    /**
+     * Create a new board code manager
+     * @param {number} gridSize - Size of the square grid
+     * @param {number} maxTier - Highest monster tier a code may contain
+     */
+    constructor(gridSize = 5, maxTier = Infinity) {
+        this.gridSize = gridSize;
+        this.maxTier = maxTier;
+    }
+    
+    /**
+     * Encode a grid as a board code.
+     * Layout: version, a bit mask of the occupied cells, then for every
+     * occupied cell (row by row) the tier and the stats, then a checksum.
+     * @param {Array<Array<Object|null>>} gridState - Grid from GridManager.getGridState
+     * @returns {string} Board code, e.g. "MMB-04000..."
+     */
+    encode(gridState) {
+        const bytes = [BOARD_CODE_VERSION];
+        const monsters = [];
+        let occupied = 0;
+        
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const monster = gridState[row] ? gridState[row][col] : null;
+                if (monster) {
+                    occupied |= 1 << (row * this.gridSize + col);
+                    monsters.push(monster);
+                }
+            }
+        }
+        
+        this.pushNumber(bytes, occupied >>> 0, 4);
+        
+        monsters.forEach(monster => {
+            this.pushNumber(bytes, monster.tier, 1);
+            BOARD_CODE_STATS.forEach(stat => {
+                this.pushNumber(bytes, Math.min(0xffff, Math.max(0, Math.round(monster[stat] || 0))), 2);
+            });
+        });
+        
+        this.pushNumber(bytes, this.computeChecksum(bytes), 4);
+        
+        return BOARD_CODE_PREFIX + this.toBase32(bytes);
+    }
+    
+    /**
+     * Decode a board code. Spaces, dashes and lower case are ignored, and the
+     * easily confused letters O, I and L are read as 0 and 1.
+     * @param {string} code - The board code
+     * @returns {Array<Array<Object|null>>} Grid {tier, attack, defense, speed, health, maxHealth} per cell
+     */
+    decode(code) {
+        const text = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+        const prefix = BOARD_CODE_PREFIX.replace('-', '');
+        
+        if (!text.startsWith(prefix)) {
+            throw new Error(`Board codes start with "${BOARD_CODE_PREFIX}"`);
+        }
+        
+        const bytes = this.fromBase32(text.slice(prefix.length));
+        if (bytes.length < 9) {
+            throw new Error('The board code is too short');
+        }
+        
+        const checksum = this.readNumber(bytes, bytes.length - 4, 4);
+        if (checksum !== this.computeChecksum(bytes.slice(0, -4))) {
+            throw new Error('The board code has a typo (checksum mismatch)');
+        }
+        
+        if (bytes[0] !== BOARD_CODE_VERSION) {
+            throw new Error(`Board code version ${bytes[0]} is not supported (expected version ${BOARD_CODE_VERSION})`);
+        }
+        
+        const occupied = this.readNumber(bytes, 1, 4);
+        const gridState = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(null));
+        const recordSize = 1 + BOARD_CODE_STATS.length * 2;
+        let offset = 5;
+        
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (!(occupied & (1 << (row * this.gridSize + col)))) continue;
+                
+                if (offset + recordSize > bytes.length - 4) {
+                    throw new Error('The board code is missing monsters');
+                }
+                
+                gridState[row][col] = this.readMonster(bytes, offset);
+                offset += recordSize;
+            }
+        }
+        
+        if (offset !== bytes.length - 4) {
+            throw new Error('The board code has extra data');
+        }
+        
+        return gridState;
+    }
+    
+    /**
+     * Read one monster record of a board code
+     * @param {Array<number>} bytes - The decoded bytes
+     * @param {number} offset - Start of the record
+     * @returns {Object} Monster {tier, attack, defense, speed, health, maxHealth}
+     */
+    readMonster(bytes, offset) {
+        const tier = bytes[offset];
+        if (tier < 1 || tier > this.maxTier) {
+            throw new Error(`The board code contains an unknown tier ${tier}`);
+        }
+        
+        const monster = { tier };
+        BOARD_CODE_STATS.forEach((stat, i) => {
+            monster[stat] = this.readNumber(bytes, offset + 1 + i * 2, 2);
+        });
+        
+        monster.maxHealth = Math.max(1, monster.maxHealth);
+        monster.health = Math.min(monster.health, monster.maxHealth);
+        
+        return monster;
+    }
+    
+    pushNumber(bytes, value, byteCount) {
+        for (let i = byteCount - 1; i >= 0; i--) {
+            bytes.push((value >>> (i * 8)) & 0xff);
+        }
+    }
+    
+    readNumber(bytes, offset, byteCount) {
+        let value = 0;
+        for (let i = 0; i < byteCount; i++) {
+            value = value * 256 + bytes[offset + i];
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Compute the checksum of a board code (32-bit FNV-1a hash of its bytes)
+     * @param {Array<number>} bytes - The bytes before the checksum
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    computeChecksum(bytes) {
+        return SeededRandom.hashText(String.fromCharCode(...bytes));
+    }
+    
+    toBase32(bytes) {
+        let text = '';
+        let buffer = 0;
+        let bits = 0;
+        
+        bytes.forEach(byte => {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            
+            while (bits >= 5) {
+                bits -= 5;
+                text += BOARD_CODE_ALPHABET[(buffer >>> bits) & 31];
+            }
+        });
+        
+        if (bits > 0) {
+            text += BOARD_CODE_ALPHABET[(buffer << (5 - bits)) & 31];
+        }
+        
+        return text;
+    }
+    
+    fromBase32(text) {
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        
+        for (const character of text.replace(/O/g, '0').replace(/[IL]/g, '1')) {
+            const value = BOARD_CODE_ALPHABET.indexOf(character);
+            if (value === -1) {
+                throw new Error(`The board code contains an invalid character "${character}"`);
+            }
+            
+            buffer = ((buffer << 5) | value) & 0xffff;
+            bits += 5;
+            
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((buffer >>> bits) & 0xff);
+            }
+        }
+        
+        return bytes;
+    }
+}
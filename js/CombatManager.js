@@ -10,12 +10,94 @@ class CombatManager {
         // Create component managers
         this.waveManager = new WaveManager(scene, monsterManager);
         this.battleSimulator = new BattleSimulator(monsterManager);
-        this.battleAnimator = new BattleAnimator(scene);
+        this.battleAnimator = new BattleAnimator(scene, monsterManager);
+        
+        // One set of combat rules shared by battles and the monster factory
+        this.combatRules = new CombatRules();
+        this.battleSimulator.setCombatRules(this.combatRules);
+        this.monsterManager.setCombatRules(this.combatRules);
         
         this.isInBattle = false;
         this.battleLog = [];
         this.currentWave = 1;
         this.enemyMonsters = [];
+        
+        // Base seed for battles; each wave derives its own generator from it
+        this.seed = SeededRandom.randomSeed();
+        
+        // The next wave, rolled once for the preview and then fought as-is
+        this.upcomingWave = null;
+        
+        // Print waves, battle events and battle results to the console
+        this.debugMode = false;
+    }
+    
+    /**
+     * Turn the debug output of the combat components on or off
+     * @param {boolean} enabled - Whether to print waves, battle events and battle results
+     */
+    setDebugMode(enabled) {
+        this.debugMode = enabled;
+        this.waveManager.debugMode = enabled;
+        this.battleSimulator.debugMode = enabled;
+    }
+    
+    /**
+     * Set the base seed used for battles. The same seed, board and wave
+     * always produce the same enemy wave, battle log and outcome.
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+    }
+    
+    /**
+     * Get the base seed used for battles
+     * @returns {number} The base seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+    
+    /**
+     * Select the damage formula used in battles
+     * @param {string} ruleSet - One of CombatRuleSet
+     */
+    setRuleSet(ruleSet) {
+        this.combatRules.setRuleSet(ruleSet);
+    }
+    
+    /**
+     * Replace the element effectiveness matrix used in battles
+     * @param {Object} matrix - Multipliers {attackerElement: {defenderElement: multiplier}}
+     */
+    setElementMatrix(matrix) {
+        this.combatRules.elementChart.setMatrix(matrix);
+    }
+    
+    /**
+     * Load the wave definitions (explicit waves, endless formulas and modifiers)
+     * used to generate enemy waves. Until they are loaded the built-in endless
+     * formulas are used.
+     * @param {string} url - URL of the wave data
+     * @returns {Promise} Resolves once the definitions are in use; rejects with a validation error
+     */
+    loadWaveDefinitions(url = 'data/waves.json') {
+        return WaveDefinitions.load(url).then(waveDefinitions => {
+            this.waveManager.setWaveDefinitions(waveDefinitions);
+        });
+    }
+    
+    /**
+     * Share a random number generator between all combat components
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+        this.waveManager.setRandom(random);
+        this.battleSimulator.setRandom(random);
+        this.monsterManager.setRandom(random);
+        this.combatRules.setRandom(random);
     }
     
     /**
@@ -60,6 +142,7 @@ class CombatManager {
                 // Return a battle-ready copy with player flag
                 return {
                     ...monster,
+                    originalMesh: monster.mesh, // The animator moves the grid mesh
                     isPlayer: true
                 };
             });
@@ -92,18 +175,13 @@ class CombatManager {
             // Pre-calculate all battle turns
             this.battleSimulator.simulateBattle(playerTeam, enemyTeam)
                 .then(result => {
-                    console.log("Battle simulation complete:", result);
-                    
-                    // Update battle log from the result object
-                    if (result.battleLog && result.battleLog.length > 0) {
-                        this.battleLog = result.battleLog;
-                        console.log(`Using battle log from simulator with ${this.battleLog.length} entries`);
-                    } else {
-                        // Fallback if no battle log in result
-                        console.warn("Battle log is empty, generating fallback log");
-                        this.generateFallbackBattleLog(playerTeam, enemyTeam, result);
+                    if (this.debugMode) {
+                        console.log(`Battle simulation complete (seed ${this.seed}, wave ${this.currentWave}):`, result);
                     }
                     
+                    // Keep the structured battle log from the simulator
+                    this.battleLog = result.battleLog;
+                    
                     // Animation is done and we have results
                     this.battleAnimator.playBattleAnimations(
                         playerTeam, 
@@ -117,11 +195,23 @@ class CombatManager {
                             // Clean up battle field
                             this.clearEnemies();
                             
+                            // The next battle against this wave is a new attempt with its own seed
+                            if (this.upcomingWave) {
+                                this.upcomingWave.attempts = (this.upcomingWave.attempts || 0) + 1;
+                            }
+                            
+                            // Damage taken in battle stays on the grid monsters
+                            this.applyBattleInjuries(playerMonsters, playerTeam);
+                            
                             // Return the final results
                             resolve({
+                                outcome: result.outcome,
                                 victory: result.victory,
+                                draw: result.draw,
                                 remainingMonsters: result.remainingPlayerMonsters || result.remainingMonsters || [], 
+                                remainingEnemies: result.remainingEnemyMonsters || [],
                                 log: this.battleLog,
+                                seed: this.seed,
                                 rewards: this.calculateRewards(result)
                             });
                         }
@@ -131,60 +221,148 @@ class CombatManager {
     }
     
     /**
-     * Generate a fallback battle log in case the main log is empty
-     * @param {Array} playerTeam - Player's monster team
-     * @param {Array} enemyTeam - Enemy monster team
+     * Copy the health the player's monsters ended the battle with back onto
+     * the grid monsters. Monsters summoned during the battle are ignored.
+     * @param {Array} playerMonsters - The player's grid monsters
+     * @param {Array} playerTeam - Their battle copies
+     */
+    applyBattleInjuries(playerMonsters, playerTeam) {
+        playerMonsters.forEach(monster => {
+            const battleCopy = playerTeam.find(m => m.id === monster.id && !m.summoned);
+            if (battleCopy) {
+                monster.health = Math.max(0, Math.min(monster.maxHealth, battleCopy.health));
+            }
+        });
+    }
+    
+    /**
+     * Calculate rewards based on battle results
      * @param {Object} result - Battle result data
+     * @returns {Object} Rewards object
      */
-    generateFallbackBattleLog(playerTeam, enemyTeam, result) {
-        this.battleLog = ["Battle begins!"];
-        
-        // Add basic battle summary
-        const playerMonsterCount = playerTeam.length;
-        const enemyMonsterCount = enemyTeam.length;
+    calculateRewards(result) {
+        return this.battleSimulator.calculateRewards(result, this.currentWave);
+    }
+    
+    /**
+     * Get the upcoming wave, rolling its enemies the first time it is asked for.
+     * The same enemies are then previewed, saved and fought.
+     * @param {number} wave - Optional wave number (defaults to the current wave)
+     * @returns {Object} Upcoming wave {wave, name, enemies: plain enemy stats, attempts: battles fought against it}
+     */
+    prepareUpcomingWave(wave) {
+        const waveNumber = wave || this.currentWave;
         
-        this.battleLog.push(`Player team: ${playerMonsterCount} monsters`);
-        this.battleLog.push(`Enemy team: ${enemyMonsterCount} monsters`);
+        if (!this.upcomingWave || this.upcomingWave.wave !== waveNumber) {
+            const random = new SeededRandom(SeededRandom.hash(this.seed, waveNumber));
+            this.upcomingWave = {
+                wave: waveNumber,
+                name: this.waveManager.getWaveName(waveNumber),
+                enemies: this.waveManager.rollEnemyWave(waveNumber, random),
+                attempts: 0
+            };
+        }
         
-        // Add some generic battle events
-        this.battleLog.push("The battle was fierce!");
+        return this.upcomingWave;
+    }
+    
+    /**
+     * Fight a shared board instead of the rolled enemies of the current wave
+     * @param {Array<Array<Object|null>>} gridState - Board from BoardCodeManager.decode
+     * @param {string} name - Name shown in the wave preview
+     * @returns {Object} The upcoming wave {wave, name, enemies}
+     */
+    setOpponentBoard(gridState, name = 'Shared Board') {
+        // Every enemy keeps its cell, so the board fights with its own front and back lines
+        const enemies = [];
+        gridState.forEach((cells, row) => cells.forEach((monster, col) => {
+            if (!monster) return;
+            
+            enemies.push({
+                tier: monster.tier,
+                attack: monster.attack,
+                defense: monster.defense,
+                speed: monster.speed,
+                element: this.monsterManager.getMonsterTypeData(monster.tier).element,
+                health: monster.health > 0 ? monster.health : monster.maxHealth,
+                maxHealth: monster.maxHealth,
+                gridPosition: { row, col }
+            });
+        }));
         
-        // Add outcome
-        if (result.victory) {
-            this.battleLog.push("Your monsters were victorious!");
-            const remainingCount = (result.remainingPlayerMonsters || result.remainingMonsters || []).length;
-            this.battleLog.push(`${remainingCount} of your monsters survived.`);
-        } else {
-            this.battleLog.push("Your monsters were defeated.");
+        if (enemies.length === 0) {
+            throw new Error('The board has no monsters to fight');
         }
         
-        // Add damage summary if available
-        if (result.playerDamageDealt) {
-            this.battleLog.push(`Your team dealt ${result.playerDamageDealt} total damage.`);
-        }
-        if (result.enemyDamageDealt) {
-            this.battleLog.push(`Enemy team dealt ${result.enemyDamageDealt} total damage.`);
-        }
+        // Enemies generated for the rolled wave are replaced by the board
+        this.clearEnemies();
+        this.upcomingWave = { wave: this.currentWave, name, enemies, attempts: 0 };
         
-        this.battleLog.push("Battle ends!");
+        return this.upcomingWave;
     }
     
     /**
-     * Calculate rewards based on battle results
-     * @param {Object} result - Battle result data
-     * @returns {Object} Rewards object
+     * Get the upcoming wave for saving
+     * @returns {Object|null} Upcoming wave {wave, name, enemies, attempts}, or null if none is rolled yet
      */
-    calculateRewards(result) {
-        return this.battleSimulator.calculateRewards(result, this.currentWave);
+    getUpcomingWave() {
+        return this.upcomingWave;
+    }
+    
+    /**
+     * Restore a saved upcoming wave
+     * @param {Object|null} upcomingWave - Upcoming wave from getUpcomingWave
+     */
+    setUpcomingWave(upcomingWave) {
+        const isValid = upcomingWave &&
+            Number.isInteger(upcomingWave.wave) &&
+            Array.isArray(upcomingWave.enemies) &&
+            upcomingWave.enemies.length > 0;
+        
+        this.upcomingWave = isValid ? upcomingWave : null;
+    }
+    
+    /**
+     * Forget the upcoming wave so the next one is rolled fresh (e.g. after a restart)
+     */
+    clearUpcomingWave() {
+        this.upcomingWave = null;
     }
     
     /**
-     * Generate enemies for the current wave
+     * Preview the enemies of a wave without generating them. The current wave
+     * is previewed from the stored upcoming wave, so the preview shows exactly
+     * the enemies startBattle will fight; other waves are rolled with the same
+     * seeded generator the upcoming wave would use.
+     * @param {number} wave - Optional wave number (defaults to the current wave)
+     * @returns {Array} Enemy data {tier, attack, defense, speed, element, health, maxHealth, isBoss...}
+     */
+    previewNextWave(wave) {
+        const waveNumber = wave || this.currentWave;
+        
+        if (waveNumber === this.currentWave) {
+            return this.waveManager.describeEnemies(this.prepareUpcomingWave(waveNumber).enemies, waveNumber);
+        }
+        
+        return this.waveManager.previewNextWave(waveNumber, new SeededRandom(SeededRandom.hash(this.seed, waveNumber)));
+    }
+    
+    /**
+     * Generate the enemies of the upcoming wave
      * @param {number} wave - Optional wave number to override the current wave
      */
     generateEnemyWave(wave) {
         const waveNumber = wave || this.currentWave;
-        this.enemyMonsters = this.waveManager.generateEnemyWave(waveNumber);
+        const upcomingWave = this.prepareUpcomingWave(waveNumber);
+        
+        // Start a fresh generator for this wave and attempt so the whole battle is
+        // reproducible, while retrying a drawn or lost wave plays out differently
+        const attempts = upcomingWave.attempts || 0;
+        this.setRandom(new SeededRandom(attempts > 0
+            ? SeededRandom.hash(this.seed, waveNumber, attempts)
+            : SeededRandom.hash(this.seed, waveNumber)));
+        
+        this.enemyMonsters = this.waveManager.generateEnemyWave(waveNumber, upcomingWave.enemies);
     }
     
     /**
@@ -1,9 +1,9 @@
 /**
- * GridManager handles the 5x5 game grid and drag-drop interactions
+ * GridManager handles the 5x5 game grid, the reserve bench and drag-drop interactions
  * This file is now a compatibility wrapper that uses the modular grid components
  */
 class GridManager {
-    constructor(sceneManager, monsterManager) {
+    constructor(sceneManager, monsterManager, gameManager = null) {
         // Simply create an instance of the modular GridManager implementation
         // This assumes the grid modules are loaded before this file
         this.sceneManager = sceneManager;
@@ -16,10 +16,17 @@ class GridManager {
         // Grid data structure (2D array)
         this.grid = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(null));
         
+        // Reserve bench: monsters parked here are kept but don't fight.
+        // Bench cells are addressed as the row after the last grid row.
+        this.benchSize = 5;
+        this.benchRow = this.gridSize;
+        this.bench = Array(this.benchSize).fill(null);
+        
         // Initialize sub-managers from the modular implementation
-        this.cellManager = new GridCellManager(this.scene, this.gridSize, this.cellSize);
-        this.mergeManager = new MergeManager(this.scene, this.monsterManager, this.cellManager);
-        this.dragDropManager = new DragDropManager(this.sceneManager, this);
+        this.cellManager = new GridCellManager(this.scene, this.gridSize, this.cellSize, this.benchSize);
+        // Merges and drag and drop need the game for items, sales, notifications and autosaves
+        this.mergeManager = new MergeManager(this.scene, this.monsterManager, this.cellManager, gameManager);
+        this.dragDropManager = new DragDropManager(this.sceneManager, this, gameManager);
         
         // Default Y position for monsters on the grid (slightly above the grid surface)
         this.defaultMonsterY = 0.5;
@@ -33,8 +40,8 @@ class GridManager {
     highlightValidDropCells(monster) {
         this.cellManager.highlightCells((row, col) => {
             // Highlight empty cells or cells with same-tier monsters
-            return this.grid[row][col] === null || 
-                  (this.grid[row][col] && this.mergeManager.canMergeMonsters(monster, this.grid[row][col]));
+            const occupant = this.getMonsterAt(row, col);
+            return occupant === null || this.mergeManager.canMergeMonsters(monster, occupant);
         });
     }
     
@@ -43,8 +50,51 @@ class GridManager {
     }
     
     // Methods for monster placement and retrieval
+    /**
+     * Check whether a position is a grid or bench cell
+     * @param {number} row - Grid row, or benchRow for the bench
+     * @param {number} col - Column
+     * @returns {boolean} True if the position exists
+     */
+    isValidPosition(row, col) {
+        if (row === this.benchRow) {
+            return col >= 0 && col < this.benchSize;
+        }
+        
+        return row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize;
+    }
+    
+    /**
+     * Check whether a position is on the bench
+     * @param {number} row - Grid row, or benchRow for the bench
+     * @returns {boolean} True for bench cells
+     */
+    isBenchPosition(row) {
+        return row === this.benchRow;
+    }
+    
+    /**
+     * Get the monster at a grid or bench cell
+     * @param {number} row - Grid row, or benchRow for the bench
+     * @param {number} col - Column
+     * @returns {Object|null} The monster, or null if the cell is empty
+     */
+    getMonsterAt(row, col) {
+        if (!this.isValidPosition(row, col)) return null;
+        
+        return this.isBenchPosition(row) ? this.bench[col] : this.grid[row][col];
+    }
+    
+    setMonsterAt(row, col, monster) {
+        if (this.isBenchPosition(row)) {
+            this.bench[col] = monster;
+        } else {
+            this.grid[row][col] = monster;
+        }
+    }
+    
     placeMonsterAt(monster, row, col) {
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+        if (!this.isValidPosition(row, col)) {
             console.error(`Invalid grid position: row=${row}, col=${col}`);
             return false;
         }
@@ -56,7 +106,7 @@ class GridManager {
         monster.mesh.position.set(position.x, this.defaultMonsterY, position.z);
         
         // Update the grid data structure
-        this.grid[row][col] = monster;
+        this.setMonsterAt(row, col, monster);
         
         // Make sure the monster is in the scene
         if (!this.scene.children.includes(monster.mesh)) {
@@ -70,18 +120,18 @@ class GridManager {
     }
     
     removeMonsterFromGrid(row, col) {
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+        if (!this.isValidPosition(row, col)) {
             console.error(`Invalid grid position: row=${row}, col=${col}`);
             return;
         }
         
-        const monster = this.grid[row][col];
+        const monster = this.getMonsterAt(row, col);
         if (monster) {
             // Clear the grid position reference on the monster
             monster.gridPosition = null;
         }
         
-        this.grid[row][col] = null;
+        this.setMonsterAt(row, col, null);
     }
     
     getMonsterGridPosition(monster) {
@@ -101,9 +151,20 @@ class GridManager {
             }
         }
         
+        const benchCol = this.bench.indexOf(monster);
+        if (benchCol !== -1) {
+            monster.gridPosition = { row: this.benchRow, col: benchCol };
+            return monster.gridPosition;
+        }
+        
         return { row: null, col: null };
     }
     
+    /**
+     * Get the monsters on the grid. These are the monsters that fight;
+     * monsters on the bench are not included.
+     * @returns {Array} Monsters on the grid
+     */
     getMonsters() {
         const monsters = [];
         for (let row = 0; row < this.gridSize; row++) {
@@ -116,24 +177,41 @@ class GridManager {
         return monsters;
     }
     
-    // Handle dropping a monster on the grid
+    /**
+     * Get the monsters parked on the bench
+     * @returns {Array} Monsters on the bench
+     */
+    getBenchMonsters() {
+        return this.bench.filter(monster => monster !== null);
+    }
+    
+    /**
+     * Get every monster the player owns, on the grid and on the bench
+     * @returns {Array} All monsters
+     */
+    getAllMonsters() {
+        return [...this.getMonsters(), ...this.getBenchMonsters()];
+    }
+    
+    // Handle dropping a monster on the grid or the bench
     handleMonsterDrop(monster, row, col) {
-        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+        if (!this.isValidPosition(row, col)) {
             console.error(`Invalid grid position for drop: row=${row}, col=${col}`);
             return false;
         }
         
+        const existingMonster = this.getMonsterAt(row, col);
+        
         // If the cell is empty, drop the monster there
-        if (this.grid[row][col] === null) {
+        if (existingMonster === null) {
             return this.placeMonsterAt(monster, row, col);
         } 
         // If there's already a monster, check if they can merge
-        else if (this.mergeManager.canMergeMonsters(monster, this.grid[row][col])) {
-            const existingMonster = this.grid[row][col];
+        else if (this.mergeManager.canMergeMonsters(monster, existingMonster)) {
             const newMonster = this.mergeManager.mergeMonsters(monster, existingMonster, row, col);
             
             // Update the grid with the new merged monster
-            this.grid[row][col] = newMonster;
+            this.setMonsterAt(row, col, newMonster);
             
             // Store the grid position on the new monster
             newMonster.gridPosition = { row, col };
@@ -144,7 +222,7 @@ class GridManager {
         return false;
     }
     
-    // Find an empty cell on the grid
+    // Find an empty cell on the grid, falling back to the bench when the grid is full
     findEmptyCell() {
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
@@ -153,20 +231,19 @@ class GridManager {
                 }
             }
         }
+        
+        const benchCol = this.bench.indexOf(null);
+        if (benchCol !== -1) {
+            return { row: this.benchRow, col: benchCol };
+        }
+        
         return null;
     }
     
     // Game state management
-    loadGridState(gridState) {
-        // Clear the current grid
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.grid[row][col]) {
-                    this.scene.remove(this.grid[row][col].mesh);
-                    this.grid[row][col] = null;
-                }
-            }
-        }
+    loadGridState(gridState, benchState = []) {
+        // Clear the current grid and bench
+        this.clearGrid();
         
         // Load the saved grid state
         for (let row = 0; row < this.gridSize; row++) {
@@ -174,18 +251,45 @@ class GridManager {
                 const monsterData = gridState[row][col];
                 
                 if (monsterData) {
-                    const monster = this.monsterManager.createMonster(
-                        monsterData.tier,
-                        monsterData.health,
-                        monsterData.maxHealth,
-                        monsterData.attack,
-                        monsterData.defense
-                    );
-                    
-                    this.placeMonsterAt(monster, row, col);
+                    this.placeMonsterAt(this.createMonsterFromState(monsterData), row, col);
                 }
             }
         }
+        
+        // Saves from before the bench have no bench state
+        for (let col = 0; col < this.benchSize; col++) {
+            const monsterData = benchState[col];
+            
+            if (monsterData) {
+                this.placeMonsterAt(this.createMonsterFromState(monsterData), this.benchRow, col);
+            }
+        }
+    }
+    
+    createMonsterFromState(monsterData) {
+        // Saves from before the speed stat fall back to the base speed of the tier
+        return this.monsterManager.createMonster(monsterData.tier, {
+            health: monsterData.health,
+            maxHealth: monsterData.maxHealth,
+            attack: monsterData.attack,
+            defense: monsterData.defense,
+            speed: monsterData.speed,
+            value: monsterData.value,
+            items: monsterData.items
+        });
+    }
+    
+    getMonsterState(monster) {
+        return {
+            tier: monster.tier,
+            health: monster.health,
+            maxHealth: monster.maxHealth,
+            attack: monster.attack,
+            defense: monster.defense,
+            speed: monster.speed,
+            value: monster.value,
+            items: [...(monster.items || [])]
+        };
     }
     
     getGridState() {
@@ -195,13 +299,7 @@ class GridManager {
             for (let col = 0; col < this.gridSize; col++) {
                 const monster = this.grid[row][col];
                 if (monster) {
-                    gridState[row][col] = {
-                        tier: monster.tier,
-                        health: monster.health,
-                        maxHealth: monster.maxHealth,
-                        attack: monster.attack,
-                        defense: monster.defense
-                    };
+                    gridState[row][col] = this.getMonsterState(monster);
                 }
             }
         }
@@ -209,8 +307,12 @@ class GridManager {
         return gridState;
     }
     
+    getBenchState() {
+        return this.bench.map(monster => monster ? this.getMonsterState(monster) : null);
+    }
+    
     /**
-     * Clear all monsters from the grid
+     * Clear all monsters from the grid and the bench
      */
     clearGrid() {
         // Remove all monsters from the scene and clear the grid
@@ -222,5 +324,12 @@ class GridManager {
                 }
             }
         }
+        
+        for (let col = 0; col < this.benchSize; col++) {
+            if (this.bench[col]) {
+                this.scene.remove(this.bench[col].mesh);
+                this.bench[col] = null;
+            }
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,362 @@
+/**
+ * ItemManager handles the items monsters can equip and the player's inventory
+ * of unequipped items. Items drop from battles or are bought in the shop;
+ * equipping one adds its stat bonuses to the monster and can grant it an
+ * ability, and every equipped item is shown as a small attachment on the mesh.
+ */
+const ITEM_TYPES = Object.freeze({
+    claws: {
+        id: 'claws',
+        name: 'Iron Claws',
+        description: '+4 attack',
+        color: 0xb0b0b0,
+        cost: 15,
+        stats: { attack: 4 }
+    },
+    shell: {
+        id: 'shell',
+        name: 'Turtle Shell',
+        description: '+3 defense',
+        color: 0x22c55e,
+        cost: 15,
+        stats: { defense: 3 }
+    },
+    boots: {
+        id: 'boots',
+        name: 'Swift Boots',
+        description: '+2 speed',
+        color: 0x60a5fa,
+        cost: 12,
+        stats: { speed: 2 }
+    },
+    heart: {
+        id: 'heart',
+        name: 'Troll Heart',
+        description: '+15 max health',
+        color: 0xe94560,
+        cost: 20,
+        stats: { maxHealth: 15 }
+    },
+    cloak: {
+        id: 'cloak',
+        name: 'Shadow Cloak',
+        description: '15% chance to dodge attacks',
+        color: 0x6b21a8,
+        cost: 30,
+        ability: { type: 'dodge', data: { name: 'Shadow Cloak', chance: 0.15 } }
+    },
+    fang: {
+        id: 'fang',
+        name: 'Vampire Fang',
+        description: 'Heals for 20% of the damage dealt',
+        color: 0x7f1d1d,
+        cost: 30,
+        ability: { type: 'lifesteal', data: { name: 'Vampire Fang', ratio: 0.2 } }
+    },
+    torch: {
+        id: 'torch',
+        name: 'Torch',
+        description: '25% chance to burn the target',
+        color: 0xff9800,
+        cost: 25,
+        ability: { type: 'inflict', data: { name: 'Torch', status: 'burn', chance: 0.25, duration: 2, potency: 3 } }
+    }
+});
+
+const ITEM_RULES = Object.freeze({
+    // Items a monster can equip
+    slots: 2,
+    // Unequipped items the player can keep
+    inventorySize: 8,
+    // Chance a victory drops an item (boss victories always do)
+    dropChance: 0.3
+});
+
+// Offsets of the item attachments on the monster mesh, one per slot
+const ITEM_ATTACHMENT_OFFSETS = [
+    { x: 0.45, y: 0.3, z: 0.3 },
+    { x: -0.45, y: 0.3, z: 0.3 }
+];
+
+class ItemManager {
+    /**
+     * Create a new item manager
+     * @param {MonsterManager} monsterManager - Used to look up the innate abilities of monsters
+     * @param {SeededRandom} random - Random number generator for item drops
+     * @param {Object} rules - Optional item rules (defaults to ITEM_RULES)
+     */
+    constructor(monsterManager, random = new SeededRandom(), rules = ITEM_RULES) {
+        this.monsterManager = monsterManager;
+        this.random = random;
+        this.rules = rules;
+        this.inventory = [];
+    }
+    
+    /**
+     * Check whether an id names a known item. Only own keys of ITEM_TYPES
+     * count, so ids like "constructor" from a save are rejected.
+     * @param {*} itemId - The id to check
+     * @returns {boolean} True for a key of ITEM_TYPES
+     */
+    static isItemId(itemId) {
+        return typeof itemId === 'string' && Object.prototype.hasOwnProperty.call(ITEM_TYPES, itemId);
+    }
+    
+    /**
+     * Get the definition of an item
+     * @param {string} itemId - Key of ITEM_TYPES
+     * @returns {Object} Item definition {id, name, description, color, cost, stats, ability}
+     */
+    getItemType(itemId) {
+        const itemType = ItemManager.isItemId(itemId) ? ITEM_TYPES[itemId] : null;
+        if (!itemType) {
+            throw new Error(`Unknown item "${itemId}" (expected one of: ${Object.keys(ITEM_TYPES).join(', ')})`);
+        }
+        
+        return itemType;
+    }
+    
+    /**
+     * Get the unequipped items
+     * @returns {Array<string>} Item ids
+     */
+    getInventory() {
+        return this.inventory;
+    }
+    
+    /**
+     * Check whether the inventory has no room left
+     * @returns {boolean} True if no more items can be kept
+     */
+    isInventoryFull() {
+        return this.inventory.length >= this.rules.inventorySize;
+    }
+    
+    /**
+     * Put an item into the inventory
+     * @param {string} itemId - The item
+     * @returns {boolean} Whether the item was kept (false when the inventory is full)
+     */
+    addToInventory(itemId) {
+        this.getItemType(itemId);
+        
+        if (this.isInventoryFull()) return false;
+        
+        this.inventory.push(itemId);
+        return true;
+    }
+    
+    /**
+     * Take an item out of the inventory
+     * @param {number} index - Index of the item in the inventory
+     * @returns {string} The item id
+     */
+    takeFromInventory(index) {
+        if (index < 0 || index >= this.inventory.length) {
+            throw new Error(`No item at inventory index ${index}`);
+        }
+        
+        return this.inventory.splice(index, 1)[0];
+    }
+    
+    /**
+     * Roll a random item
+     * @returns {string} Item id
+     */
+    rollItemId() {
+        return this.random.pick(Object.keys(ITEM_TYPES));
+    }
+    
+    /**
+     * Roll the item a battle drops. Only victories drop items; bosses always drop one.
+     * @param {Object} results - Battle results from CombatManager.startBattle
+     * @returns {string|null} Item id, or null if nothing dropped
+     */
+    rollBattleDrop(results) {
+        if (results.outcome !== BattleOutcome.VICTORY) return null;
+        
+        if (!results.rewards.bossDefeated && this.random.next() >= this.rules.dropChance) return null;
+        
+        return this.rollItemId();
+    }
+    
+    /**
+     * Check whether a monster has a free item slot
+     * @param {Object} monster - The monster
+     * @returns {boolean} True if the monster can equip another item
+     */
+    canEquip(monster) {
+        return (monster.items || []).length < this.rules.slots;
+    }
+    
+    /**
+     * Equip an item: its stat bonuses are added to the monster and its ability is granted
+     * @param {Object} monster - The monster
+     * @param {string} itemId - The item
+     */
+    equip(monster, itemId) {
+        const itemType = this.getItemType(itemId);
+        
+        if (!this.canEquip(monster)) {
+            throw new Error(`Tier ${monster.tier} ${monster.type} has no free item slot (${this.rules.slots} slots)`);
+        }
+        
+        this.applyStats(monster, itemType, 1);
+        monster.items = [...(monster.items || []), itemId];
+        
+        this.refreshAbilities(monster);
+        this.refreshAttachments(monster);
+    }
+    
+    /**
+     * Take all items off a monster, removing their stat bonuses and abilities
+     * @param {Object} monster - The monster
+     * @returns {Array<string>} The removed item ids
+     */
+    unequipAll(monster) {
+        const itemIds = monster.items || [];
+        
+        itemIds.forEach(itemId => this.applyStats(monster, this.getItemType(itemId), -1));
+        monster.items = [];
+        
+        this.refreshAbilities(monster);
+        this.refreshAttachments(monster);
+        
+        return itemIds;
+    }
+    
+    /**
+     * Hand items over to a monster (e.g. the parents' items after a merge).
+     * Items that don't fit go back to the inventory; when it is full they are lost.
+     * @param {Object} monster - The monster receiving the items
+     * @param {Array<string>} itemIds - The items
+     * @returns {Object} Where the items went {equipped, stored, lost}
+     */
+    transferItems(monster, itemIds) {
+        const result = { equipped: [], stored: [], lost: [] };
+        
+        itemIds.forEach(itemId => {
+            if (this.canEquip(monster)) {
+                this.equip(monster, itemId);
+                result.equipped.push(itemId);
+            } else if (this.addToInventory(itemId)) {
+                result.stored.push(itemId);
+            } else {
+                result.lost.push(itemId);
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Restore the items of a loaded monster. Saved stats already include the
+     * item bonuses, so only the abilities and attachments are restored.
+     * Items beyond the slots are dropped and their bonuses taken off the
+     * stats. Unknown items are dropped too; their bonuses can't be known.
+     * @param {Object} monster - The monster
+     * @param {Array<string>} itemIds - Saved item ids
+     */
+    restoreItems(monster, itemIds) {
+        const knownItems = (itemIds || []).filter(itemId => ItemManager.isItemId(itemId));
+        
+        monster.items = knownItems.slice(0, this.rules.slots);
+        knownItems.slice(this.rules.slots).forEach(itemId => this.applyStats(monster, this.getItemType(itemId), -1));
+        
+        this.refreshAbilities(monster);
+        this.refreshAttachments(monster);
+    }
+    
+    /**
+     * Add or remove the stat bonuses of an item
+     * @param {Object} monster - The monster
+     * @param {Object} itemType - The item definition
+     * @param {number} direction - 1 to add the bonuses, -1 to remove them
+     */
+    applyStats(monster, itemType, direction) {
+        Object.entries(itemType.stats || {}).forEach(([stat, bonus]) => {
+            monster[stat] += bonus * direction;
+            
+            // Max health bonuses also change the current health of a monster still standing
+            if (stat === 'maxHealth' && monster.health > 0) {
+                monster.health = Math.max(1, Math.min(monster.maxHealth, monster.health + bonus * direction));
+            }
+        });
+    }
+    
+    /**
+     * Rebuild the abilities of a monster: its innate abilities plus the ones its
+     * items grant (an item ability replaces an innate ability of the same type)
+     * @param {Object} monster - The monster
+     */
+    refreshAbilities(monster) {
+        const typeData = this.monsterManager.getMonsterTypeData(monster.tier);
+        const abilities = { ...((typeData && typeData.abilities) || {}) };
+        
+        (monster.items || []).forEach(itemId => {
+            const { ability } = this.getItemType(itemId);
+            if (ability) {
+                abilities[ability.type] = { ...ability.data };
+            }
+        });
+        
+        monster.abilities = abilities;
+    }
+    
+    /**
+     * Show every equipped item as a small gem attached to the monster mesh
+     * @param {Object} monster - The monster
+     */
+    refreshAttachments(monster) {
+        if (!monster.mesh) return;
+        
+        monster.mesh.children
+            .filter(child => child.userData && child.userData.isItemAttachment)
+            .forEach(child => {
+                monster.mesh.remove(child);
+                child.geometry.dispose();
+                child.material.dispose();
+            });
+        
+        (monster.items || []).forEach((itemId, slot) => {
+            const offset = ITEM_ATTACHMENT_OFFSETS[slot % ITEM_ATTACHMENT_OFFSETS.length];
+            const attachment = new THREE.Mesh(
+                new THREE.OctahedronGeometry(0.12),
+                new THREE.MeshStandardMaterial({ color: this.getItemType(itemId).color, roughness: 0.3, metalness: 0.6 })
+            );
+            
+            attachment.position.set(offset.x, offset.y, offset.z);
+            attachment.userData = { isItemAttachment: true, itemId, isMonster: true, monsterObj: monster };
+            monster.mesh.add(attachment);
+        });
+    }
+    
+    /**
+     * Drop all unequipped items (e.g. when a new run starts)
+     */
+    clear() {
+        this.inventory = [];
+    }
+    
+    /**
+     * Get the item state for saving. Equipped items are saved with their monsters.
+     * @returns {Object} Item state {inventory}
+     */
+    getState() {
+        return {
+            inventory: [...this.inventory]
+        };
+    }
+    
+    /**
+     * Restore a saved inventory. Unknown items are dropped.
+     * @param {Object|null} state - Item state from getState
+     */
+    setState(state) {
+        const inventory = state && Array.isArray(state.inventory) ? state.inventory : [];
+        
+        this.inventory = inventory
+            .filter(itemId => ItemManager.isItemId(itemId))
+            .slice(0, this.rules.inventorySize);
+    }
+}
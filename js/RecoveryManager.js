@@ -0,0 +1,96 @@
+/**
+ * RecoveryManager decides how the player's monsters recover between battles.
+ * Damage taken in a battle stays on the monsters; they regenerate part of it
+ * after every battle and can be healed fully in the shop or by resting, which
+ * skips a wave.
+ */
+const RECOVERY_RULES = Object.freeze({
+    // Share of max health every survivor regenerates after a battle
+    regenRate: 0.2,
+    // Missing health the heal-all service restores per coin
+    healthPerCoin: 4,
+    // Health fallen monsters return with after a defeat that does not end the run
+    knockedOutHealth: 1
+});
+
+class RecoveryManager {
+    /**
+     * Create a new recovery manager
+     * @param {MonsterManager} monsterManager - Used to heal the monsters
+     * @param {Object} rules - Optional recovery rules (defaults to RECOVERY_RULES)
+     */
+    constructor(monsterManager, rules = RECOVERY_RULES) {
+        this.monsterManager = monsterManager;
+        this.rules = rules;
+    }
+    
+    /**
+     * Get the monsters that are missing health
+     * @param {Array} monsters - The player's monsters
+     * @returns {Array} Monsters below their max health
+     */
+    getInjured(monsters) {
+        return monsters.filter(monster => monster.health < monster.maxHealth);
+    }
+    
+    /**
+     * Regenerate part of the missing health of every surviving monster
+     * @param {Array} monsters - The player's monsters
+     * @returns {number} Total health restored
+     */
+    applyPassiveRegen(monsters) {
+        return this.getInjured(monsters)
+            .filter(monster => monster.health > 0)
+            .reduce((total, monster) => total + this.heal(monster, this.rules.regenRate), 0);
+    }
+    
+    /**
+     * Get the price of healing every monster to full health
+     * @param {Array} monsters - The player's monsters
+     * @returns {number} Price in coins (0 when nobody is injured)
+     */
+    getHealAllCost(monsters) {
+        const missingHealth = this.getInjured(monsters)
+            .reduce((total, monster) => total + monster.maxHealth - monster.health, 0);
+        
+        return Math.ceil(missingHealth / this.rules.healthPerCoin);
+    }
+    
+    /**
+     * Heal every monster to full health
+     * @param {Array} monsters - The player's monsters
+     * @returns {number} Total health restored
+     */
+    healAll(monsters) {
+        return this.getInjured(monsters)
+            .reduce((total, monster) => total + this.heal(monster, 1), 0);
+    }
+    
+    /**
+     * Bring monsters that fell in a lost battle back with a sliver of health,
+     * so a defeat that does not end the run keeps the board
+     * @param {Array} monsters - The player's monsters
+     * @returns {number} Number of monsters brought back
+     */
+    reviveFallen(monsters) {
+        const fallen = monsters.filter(monster => monster.health <= 0);
+        fallen.forEach(monster => {
+            monster.health = Math.min(monster.maxHealth, this.rules.knockedOutHealth);
+        });
+        
+        return fallen.length;
+    }
+    
+    /**
+     * Heal a monster by a share of its max health
+     * @param {Object} monster - The monster to heal
+     * @param {number} percentage - Share of max health to heal (0-1)
+     * @returns {number} Health restored
+     */
+    heal(monster, percentage) {
+        const before = monster.health;
+        this.monsterManager.healMonster(monster, percentage);
+        
+        return monster.health - before;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * RunManager tracks a roguelike run: the hearts the player has left, the
+ * mode of the run and the statistics shown on the run summary screen.
+ * In run mode a defeat costs hearts and the run only ends at zero hearts;
+ * in hardcore mode the first defeat ends the run.
+ */
+const RunMode = Object.freeze({
+    RUN: 'run',
+    HARDCORE: 'hardcore'
+});
+
+// Hearts at the start of a run
+const RUN_STARTING_LIVES = 20;
+
+class RunManager {
+    /**
+     * Create a new run manager
+     * @param {string} mode - One of RunMode
+     * @param {number} maxLives - Hearts at the start of a run
+     */
+    constructor(mode = RunMode.RUN, maxLives = RUN_STARTING_LIVES) {
+        this.maxLives = maxLives;
+        this.start(mode);
+    }
+    
+    /**
+     * Start a new run, resetting the hearts and statistics
+     * @param {string} mode - One of RunMode (defaults to the mode of the last run)
+     */
+    start(mode = this.mode) {
+        if (!Object.values(RunMode).includes(mode)) {
+            throw new Error(`Unknown run mode "${mode}" (expected one of: ${Object.values(RunMode).join(', ')})`);
+        }
+        
+        this.mode = mode;
+        this.lives = mode === RunMode.HARDCORE ? 1 : this.maxLives;
+        this.stats = {
+            battles: 0,
+            victories: 0,
+            draws: 0,
+            defeats: 0,
+            highestWave: 1,
+            coinsEarned: 0,
+            livesLost: 0
+        };
+    }
+    
+    /**
+     * Check whether the run ends on the first defeat
+     * @returns {boolean} True in hardcore mode
+     */
+    isHardcore() {
+        return this.mode === RunMode.HARDCORE;
+    }
+    
+    /**
+     * Check whether the run is over
+     * @returns {boolean} True once no hearts are left
+     */
+    isOver() {
+        return this.lives <= 0;
+    }
+    
+    /**
+     * Count the hearts a defeat costs: the tiers of the enemies still standing,
+     * with bosses counting double. A defeat always costs at least one heart.
+     * @param {Array} survivingEnemies - Enemies alive at the end of the battle
+     * @returns {number} Hearts lost
+     */
+    calculateLifeLoss(survivingEnemies) {
+        const loss = survivingEnemies.reduce((total, enemy) => total + enemy.tier * (enemy.boss ? 2 : 1), 0);
+        return Math.max(1, loss);
+    }
+    
+    /**
+     * Record a finished battle in the run statistics and take the hearts a defeat costs
+     * @param {Object} results - Battle results from CombatManager.startBattle
+     * @param {number} wave - The wave that was fought
+     * @returns {number} Hearts lost in this battle
+     */
+    recordBattle(results, wave) {
+        this.stats.battles++;
+        this.stats.coinsEarned += results.rewards.coins;
+        this.stats.highestWave = Math.max(this.stats.highestWave, results.rewards.waveCompleted ? wave + 1 : wave);
+        
+        if (results.outcome === BattleOutcome.VICTORY) {
+            this.stats.victories++;
+            return 0;
+        }
+        
+        if (results.outcome === BattleOutcome.DRAW) {
+            this.stats.draws++;
+            return 0;
+        }
+        
+        this.stats.defeats++;
+        
+        // Hardcore runs end on the first defeat, whatever is left standing
+        const livesLost = this.isHardcore()
+            ? this.lives
+            : Math.min(this.lives, this.calculateLifeLoss(results.remainingEnemies || []));
+        this.lives -= livesLost;
+        this.stats.livesLost += livesLost;
+        
+        return livesLost;
+    }
+    
+    /**
+     * Get the statistics for the run summary screen
+     * @returns {Object} Summary {mode, lives, maxLives, battles, victories, draws, defeats, highestWave, coinsEarned, livesLost}
+     */
+    getSummary() {
+        return {
+            mode: this.mode,
+            lives: this.lives,
+            maxLives: this.isHardcore() ? 1 : this.maxLives,
+            ...this.stats
+        };
+    }
+    
+    /**
+     * Get the run state for saving
+     * @returns {Object} Run state {mode, lives, stats}
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            lives: this.lives,
+            stats: { ...this.stats }
+        };
+    }
+    
+    /**
+     * Restore a saved run. Missing or invalid state starts a fresh run.
+     * @param {Object|null} state - Run state from getState
+     */
+    setState(state) {
+        if (!state || !Object.values(RunMode).includes(state.mode)) {
+            this.start(RunMode.RUN);
+            return;
+        }
+        
+        this.start(state.mode);
+        
+        if (Number.isInteger(state.lives) && state.lives > 0) {
+            this.lives = Math.min(state.lives, this.isHardcore() ? 1 : this.maxLives);
+        }
+        
+        Object.assign(this.stats, state.stats || {});
+    }
+}
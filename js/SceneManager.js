@@ -28,7 +28,8 @@ class SceneManager {
         this.scene.add(gridHelper);
         
         // Create an arena floor
-        const floorGeometry = new THREE.PlaneGeometry(10, 10);
+        // Deep enough to reach the bench strip in front of the grid
+        const floorGeometry = new THREE.PlaneGeometry(10, 14);
         const floorMaterial = new THREE.MeshStandardMaterial({ 
             color: 0x16213e,
             roughness: 0.7,
@@ -42,8 +43,9 @@ class SceneManager {
     
     setupCamera() {
         this.camera = new THREE.PerspectiveCamera(45, this.width / this.height, 0.1, 1000);
-        this.camera.position.set(0, 6, 8);
-        this.camera.lookAt(0, 0, 0);
+        // Frame the grid and the bench in front of it
+        this.camera.position.set(0, 8, 9);
+        this.camera.lookAt(0, 0, 1.5);
     }
     
     setupLights() {
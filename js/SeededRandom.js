@@ -0,0 +1,108 @@
+/**
+ * SeededRandom is a small deterministic random number generator (mulberry32).
+ * Game logic that must be reproducible (wave generation, battle simulation)
+ * draws from an instance of this class instead of Math.random.
+ */
+class SeededRandom {
+    /**
+     * Create a new generator
+     * @param {number|string} seed - Optional seed, a random one is chosen if omitted
+     */
+    constructor(seed) {
+        this.seed = (seed === undefined || seed === null)
+            ? SeededRandom.randomSeed()
+            : SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Pick a random 32-bit seed
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Turn a number or string into an unsigned 32-bit seed
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        
+        // Numeric strings (e.g. from a URL parameter) keep their value
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            return Number(seed) >>> 0;
+        }
+        
+        return SeededRandom.hash(seed);
+    }
+    
+    /**
+     * Hash any number of values into a 32-bit seed (FNV-1a)
+     * @param {...*} parts - Values to combine, e.g. a base seed and a wave number
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hash(...parts) {
+        return SeededRandom.hashText(parts.map(part => String(part)).join(':'));
+    }
+    
+    /**
+     * Hash the character codes of a string (32-bit FNV-1a). Seeds, save file
+     * checksums and board code checksums all use this hash.
+     * @param {string} text - The text to hash
+     * @returns {number} Unsigned 32-bit hash
+     */
+    static hashText(text) {
+        let hash = 0x811c9dc5;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * Get the next random number
+     * @returns {number} Float in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Get a random integer between min and max (inclusive)
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @returns {number} Random integer
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+    
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} A random element, or undefined for an empty array
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * SellManager prices monsters sold back to the shop and remembers the last
+ * sale for a few seconds so it can be undone.
+ */
+const SELL_RULES = Object.freeze({
+    // Share of the coins invested in a monster that selling it refunds
+    refundRate: 0.5,
+    // Seconds a sale can be undone
+    undoSeconds: 5
+});
+
+class SellManager {
+    /**
+     * Create a new sell manager
+     * @param {Object} rules - Optional sell rules (defaults to SELL_RULES)
+     */
+    constructor(rules = SELL_RULES) {
+        this.rules = rules;
+        this.lastSale = null;
+    }
+    
+    /**
+     * Get the coins invested in a monster: its shop price, or the sum of the
+     * monsters merged into it
+     * @param {Object} monster - The monster
+     * @returns {number} Value in coins
+     */
+    getMonsterValue(monster) {
+        return monster.value || monster.tier * 10;
+    }
+    
+    /**
+     * Get the coins selling a monster refunds
+     * @param {Object} monster - The monster
+     * @returns {number} Refund in coins (at least 1)
+     */
+    calculateRefund(monster) {
+        return Math.max(1, Math.floor(this.getMonsterValue(monster) * this.rules.refundRate));
+    }
+    
+    /**
+     * Remember a sale so it can be undone until the undo window closes
+     * @param {Object} monsterData - Plain monster data to recreate it from {tier, attack, defense, speed, health, maxHealth, value}
+     * @param {Object} position - Grid cell the monster was sold from {row, col}
+     * @param {number} refund - Coins paid for the monster
+     * @returns {Object} The recorded sale
+     */
+    recordSale(monsterData, position, refund) {
+        this.lastSale = {
+            monsterData,
+            position,
+            refund,
+            expiresAt: Date.now() + this.rules.undoSeconds * 1000
+        };
+        
+        return this.lastSale;
+    }
+    
+    /**
+     * Get the last sale while leaving it in the undo history
+     * @returns {Object|null} The sale, or null if there is none or its undo window has closed
+     */
+    getUndoableSale() {
+        const sale = this.lastSale;
+        
+        if (!sale || Date.now() > sale.expiresAt) return null;
+        return sale;
+    }
+    
+    /**
+     * Take the last sale out of the undo history
+     * @returns {Object|null} The sale, or null if there is none or its undo window has closed
+     */
+    takeUndoableSale() {
+        const sale = this.getUndoableSale();
+        this.lastSale = null;
+        
+        return sale;
+    }
+    
+    /**
+     * Forget the last sale (e.g. when a battle starts or a new run begins)
+     */
+    clear() {
+        this.lastSale = null;
+    }
+}
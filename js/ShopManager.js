@@ -0,0 +1,229 @@
+/**
+ * ShopManager rolls the offers of the shop. Every wave the shop shows a few
+ * random monster offers weighted toward the tiers that fit the wave, plus a
+ * couple of random items; the player can pay to reroll them, lock offers so
+ * they stay for the next waves, and one tier is on sale each wave.
+ */
+const SHOP_RULES = Object.freeze({
+    // Number of monster offers in the shop
+    offerCount: 5,
+    // Number of item offers in the shop
+    itemOfferCount: 2,
+    // Coins a reroll costs
+    rerollCost: 5,
+    // Price reduction for the tier on sale
+    saleDiscount: 0.3
+});
+
+class ShopManager {
+    /**
+     * Create a new shop manager
+     * @param {SeededRandom} random - Random number generator for the offers
+     * @param {Object} rules - Optional shop rules (defaults to SHOP_RULES)
+     */
+    constructor(random = new SeededRandom(), rules = SHOP_RULES) {
+        this.random = random;
+        this.rules = rules;
+        this.offers = [];
+    }
+    
+    /**
+     * Get the current offers. Item offers have an itemId instead of a tier.
+     * @returns {Array<Object>} Offers {tier, itemId, cost, baseCost, onSale, locked}
+     */
+    getOffers() {
+        return this.offers;
+    }
+    
+    /**
+     * Get the price of a reroll
+     * @returns {number} Price in coins
+     */
+    getRerollCost() {
+        return this.rules.rerollCost;
+    }
+    
+    /**
+     * Get the base price of a monster tier
+     * @param {number} tier - Monster tier
+     * @returns {number} Price in coins
+     */
+    getBaseCost(tier) {
+        return tier * 10;
+    }
+    
+    /**
+     * Get the tier on sale in a wave. The sale rotates through the unlocked tiers.
+     * @param {number} wave - The wave number
+     * @param {Array<number>} unlockedTiers - Tiers the player has unlocked
+     * @returns {number} Tier on sale
+     */
+    getSaleTier(wave, unlockedTiers) {
+        const tiers = [...unlockedTiers].sort((a, b) => a - b);
+        return tiers[(wave - 1) % tiers.length];
+    }
+    
+    /**
+     * Get how likely every unlocked tier is to be offered. Tiers close to the
+     * tier that fits the wave (the same curve that unlocks tiers as waves
+     * progress) are the most likely.
+     * @param {number} wave - The wave number
+     * @param {Array<number>} unlockedTiers - Tiers the player has unlocked
+     * @returns {Array<Object>} Weights {tier, weight}
+     */
+    getTierWeights(wave, unlockedTiers) {
+        const targetTier = Math.min(Math.max(...unlockedTiers), Math.floor(wave / 2) + 1);
+        
+        return unlockedTiers.map(tier => ({
+            tier,
+            weight: 1 / (1 + Math.abs(tier - targetTier))
+        }));
+    }
+    
+    /**
+     * Roll a single offer
+     * @param {number} wave - The wave number
+     * @param {Array<number>} unlockedTiers - Tiers the player has unlocked
+     * @returns {Object} Offer {tier, cost, baseCost, onSale, locked}
+     */
+    rollOffer(wave, unlockedTiers) {
+        const weights = this.getTierWeights(wave, unlockedTiers);
+        const totalWeight = weights.reduce((total, entry) => total + entry.weight, 0);
+        
+        let roll = this.random.next() * totalWeight;
+        const entry = weights.find(candidate => (roll -= candidate.weight) < 0) || weights[weights.length - 1];
+        
+        const baseCost = this.getBaseCost(entry.tier);
+        const onSale = entry.tier === this.getSaleTier(wave, unlockedTiers);
+        
+        return {
+            tier: entry.tier,
+            cost: onSale ? Math.floor(baseCost * (1 - this.rules.saleDiscount)) : baseCost,
+            baseCost,
+            onSale,
+            locked: false
+        };
+    }
+    
+    /**
+     * Roll a single item offer
+     * @returns {Object} Offer {itemId, cost, baseCost, onSale, locked}
+     */
+    rollItemOffer() {
+        const itemType = this.random.pick(Object.values(ITEM_TYPES));
+        
+        return {
+            itemId: itemType.id,
+            cost: itemType.cost,
+            baseCost: itemType.cost,
+            onSale: false,
+            locked: false
+        };
+    }
+    
+    /**
+     * Replace every offer that is not locked with a new one. Call at the start
+     * of every wave; locked offers keep their tier (or item) and price.
+     * @param {number} wave - The wave number
+     * @param {Array<number>} unlockedTiers - Tiers the player has unlocked
+     * @returns {Array<Object>} The new offers, monsters first
+     */
+    rollOffers(wave, unlockedTiers) {
+        const tiers = unlockedTiers && unlockedTiers.length > 0 ? unlockedTiers : [1];
+        const locked = this.offers.filter(offer => offer.locked);
+        
+        const monsterOffers = locked.filter(offer => !offer.itemId);
+        while (monsterOffers.length < this.rules.offerCount) {
+            monsterOffers.push(this.rollOffer(wave, tiers));
+        }
+        
+        const itemOffers = locked.filter(offer => offer.itemId);
+        while (itemOffers.length < this.rules.itemOfferCount) {
+            itemOffers.push(this.rollItemOffer());
+        }
+        
+        this.offers = [...monsterOffers, ...itemOffers];
+        return this.offers;
+    }
+    
+    /**
+     * Lock or unlock an offer
+     * @param {number} index - Index of the offer
+     * @returns {boolean} Whether the offer is locked now
+     */
+    toggleLock(index) {
+        const offer = this.offers[index];
+        if (!offer) {
+            throw new Error(`No shop offer at index ${index}`);
+        }
+        
+        offer.locked = !offer.locked;
+        return offer.locked;
+    }
+    
+    /**
+     * Remove a bought offer from the shop
+     * @param {number} index - Index of the offer
+     * @returns {Object} The removed offer
+     */
+    takeOffer(index) {
+        const offer = this.offers[index];
+        if (!offer) {
+            throw new Error(`No shop offer at index ${index}`);
+        }
+        
+        this.offers.splice(index, 1);
+        return offer;
+    }
+    
+    /**
+     * Drop all offers, including locked ones (e.g. when a new run starts)
+     */
+    clear() {
+        this.offers = [];
+    }
+    
+    /**
+     * Get the shop state for saving
+     * @returns {Object} Shop state {offers}
+     */
+    getState() {
+        return {
+            offers: this.offers.map(offer => ({ ...offer }))
+        };
+    }
+    
+    /**
+     * Restore a saved shop. Invalid offers are dropped.
+     * @param {Object|null} state - Shop state from getState
+     */
+    setState(state) {
+        const offers = state && Array.isArray(state.offers) ? state.offers : [];
+        const validOffers = offers.filter(offer => offer && Number.isFinite(offer.cost));
+        
+        const monsterOffers = validOffers
+            .filter(offer => Number.isInteger(offer.tier))
+            .slice(0, this.rules.offerCount)
+            .map(offer => ({
+                tier: offer.tier,
+                cost: offer.cost,
+                baseCost: offer.baseCost || this.getBaseCost(offer.tier),
+                onSale: Boolean(offer.onSale),
+                locked: Boolean(offer.locked)
+            }));
+        
+        // Saves from before items only have monster offers; item offers are rolled with the next wave
+        const itemOffers = validOffers
+            .filter(offer => ItemManager.isItemId(offer.itemId))
+            .slice(0, this.rules.itemOfferCount)
+            .map(offer => ({
+                itemId: offer.itemId,
+                cost: offer.cost,
+                baseCost: offer.baseCost || offer.cost,
+                onSale: false,
+                locked: Boolean(offer.locked)
+            }));
+        
+        this.offers = [...monsterOffers, ...itemOffers];
+    }
+}
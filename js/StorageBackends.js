@@ -0,0 +1,180 @@
+/**
+ * Storage backends for StorageManager. Both offer the synchronous part of the
+ * localStorage interface (getItem, setItem, removeItem, key, length), so the
+ * save code does not care where the data lives. The IndexedDB backend reads
+ * everything into memory when it opens and writes every change through in the
+ * background; IndexedDB runs the writes in the order they were made.
+ */
+const INDEXED_DB_NAME = 'monsterMergeChaosArena';
+const INDEXED_DB_STORE = 'saves';
+
+class LocalStorageBackend {
+    /**
+     * Create a backend that stores everything in localStorage
+     * @param {Storage} storage - The Web Storage object to use
+     */
+    constructor(storage = window.localStorage) {
+        this.name = 'localStorage';
+        this.storage = storage;
+        
+        // Called with the error when a write fails; localStorage writes fail right away instead
+        this.onWriteError = null;
+    }
+    
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+    
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+    
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+    
+    key(index) {
+        return this.storage.key(index);
+    }
+    
+    get length() {
+        return this.storage.length;
+    }
+    
+    /**
+     * Wait until every write has reached the storage
+     * @returns {Promise} Resolves right away; localStorage writes are synchronous
+     */
+    whenWritten() {
+        return Promise.resolve();
+    }
+}
+
+class IndexedDBBackend {
+    /**
+     * Open the save database and read its contents
+     * @param {IDBFactory} indexedDB - The IndexedDB factory to use
+     * @returns {Promise<IndexedDBBackend>} The opened backend; rejects when IndexedDB can't be used
+     */
+    static open(indexedDB = window.indexedDB) {
+        return new Promise((resolve, reject) => {
+            if (!indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(INDEXED_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const store = db.transaction(INDEXED_DB_STORE, 'readonly').objectStore(INDEXED_DB_STORE);
+                const entries = [];
+                
+                const cursorRequest = store.openCursor();
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        entries.push([cursor.key, cursor.value]);
+                        cursor.continue();
+                    } else {
+                        resolve(new IndexedDBBackend(db, entries));
+                    }
+                };
+            };
+        });
+    }
+    
+    /**
+     * Create a backend for an opened database; use IndexedDBBackend.open
+     * @param {IDBDatabase} db - The opened database
+     * @param {Array<Array>} entries - Its contents as [key, value] pairs
+     */
+    constructor(db, entries) {
+        this.name = 'IndexedDB';
+        this.db = db;
+        this.cache = new Map(entries);
+        this.lastWrite = Promise.resolve();
+        
+        // Called with the error when a background write fails
+        this.onWriteError = null;
+    }
+    
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+    
+    setItem(key, value) {
+        this.cache.set(key, String(value));
+        this.write(store => store.put(String(value), key));
+    }
+    
+    removeItem(key) {
+        this.cache.delete(key);
+        this.write(store => store.delete(key));
+    }
+    
+    key(index) {
+        const keys = [...this.cache.keys()];
+        return index < keys.length ? keys[index] : null;
+    }
+    
+    get length() {
+        return this.cache.size;
+    }
+    
+    /**
+     * Write a change to the database in its own transaction
+     * @param {Function} operation - Called with the object store to change
+     */
+    write(operation) {
+        const transaction = this.db.transaction(INDEXED_DB_STORE, 'readwrite');
+        operation(transaction.objectStore(INDEXED_DB_STORE));
+        
+        const written = new Promise((resolve, reject) => {
+            let failed = false;
+            const fail = () => {
+                // A failed request fires error and then abort; report it once
+                if (failed) return;
+                failed = true;
+                
+                const error = transaction.error || new Error('The write was aborted');
+                console.error('Could not write to IndexedDB:', error);
+                if (this.onWriteError) {
+                    this.onWriteError(error);
+                }
+                reject(error);
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = fail;
+            transaction.onabort = fail;
+        });
+        
+        // Failures are reported through onWriteError; only callers of whenWritten see the rejection
+        written.catch(() => {});
+        this.lastWrite = written;
+    }
+    
+    /**
+     * Read a value back from the database itself rather than the in-memory copy
+     * @param {string} key - The key
+     * @returns {Promise<string|null>} The stored value, or null if there is none
+     */
+    readStored(key) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(INDEXED_DB_STORE, 'readonly').objectStore(INDEXED_DB_STORE).get(key);
+            request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Wait until every write has reached the database
+     * @returns {Promise} Resolves once the last write has finished; rejects when it failed
+     */
+    whenWritten() {
+        return this.lastWrite;
+    }
+}
@@ -1,95 +1,1078 @@
 /**
- * StorageManager handles saving and loading game state using localStorage
+ * StorageManager handles saving and loading game state in IndexedDB, or in
+ * localStorage where IndexedDB is not available (see StorageBackends.js).
+ * The player has several named save slots; the game saves to the active one.
+ * Changes are autosaved shortly after they happen, and every save is written
+ * to a pending key first and then swapped in, so a crash mid-save loses nothing.
+ * Slots can be exported to checksummed save files and imported again.
+ * Saves carry a format version; older saves are upgraded by SAVE_MIGRATIONS
+ * and every monster record is validated on load. Saves that can't be read are
+ * set aside under a quarantine key instead of crashing the game.
  */
+
+// Prefix of every storage key; saves from before slots were stored under this key
+const SAVE_STORAGE_KEY = 'monsterMergeChaosArena';
+
+// Version of the save format written by saveGame. Bump it together with a new
+// entry in SAVE_MIGRATIONS whenever the shape of the saved state changes.
+const SAVE_VERSION = 2;
+
+// SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1.
+// Saves from before versioning are version 0.
+const SAVE_MIGRATIONS = Object.freeze([
+    // 0 -> 1: fill in the fields added before saves were versioned
+    state => {
+        const migrated = { ...state };
+        
+        if (!Array.isArray(migrated.unlockedMonsters)) {
+            migrated.unlockedMonsters = [1, 2, 3, 4, 5];
+        }
+        
+        // Saves from before the wave preview have no upcoming wave; it is rolled on load
+        if (migrated.upcomingWave === undefined) {
+            migrated.upcomingWave = null;
+        }
+        
+        // Saves from before the shop offers only had a list of tiers; new offers are rolled on load
+        if (migrated.shop === undefined) {
+            migrated.shop = null;
+        }
+        delete migrated.shopItems;
+        
+        // Saves from before the bench have an empty bench
+        if (!Array.isArray(migrated.bench)) {
+            migrated.bench = Array(5).fill(null);
+        }
+        
+        return migrated;
+    },
+    
+    // 1 -> 2: track the playtime shown on the save slots
+    state => ({ ...state, playtime: 0 })
+]);
+
+// Unreadable saves are moved to the slot key + this suffix + a timestamp
+const QUARANTINE_KEY_SUFFIX = '.quarantine.';
+
+// Number of save slots the player can have
+const SAVE_SLOT_LIMIT = 5;
+
+// Longest allowed save slot name
+const SAVE_SLOT_NAME_LENGTH = 30;
+
+// Marks exported save files so other JSON files are rejected on import
+const SAVE_FILE_FORMAT = 'monster-merge-chaos-arena-save';
+
+// New data is written to the key + this suffix before it replaces the key
+const PENDING_KEY_SUFFIX = '.pending';
+
+// Milliseconds an autosave waits for more changes, so changes close together are saved once
+const AUTOSAVE_DELAY_MS = 500;
+
 class StorageManager {
-    constructor() {
-        this.storageKey = 'monsterMergeChaosArena';
+    /**
+     * Open the storage for the saves: IndexedDB, or localStorage when IndexedDB
+     * can't be used. Saves found in localStorage are moved into IndexedDB.
+     * @returns {Promise<Object>} The opened backend, see StorageBackends.js
+     */
+    static openStorage() {
+        const localBackend = new LocalStorageBackend();
+        
+        return IndexedDBBackend.open()
+            .then(backend => StorageManager.moveSaves(localBackend, backend))
+            .catch(error => {
+                console.error('Could not use IndexedDB, saving to localStorage instead:', error);
+                return localBackend;
+            });
+    }
+    
+    /**
+     * Move the saves in localStorage into IndexedDB. localStorage holds saves
+     * from before the first move, or from a session that had to fall back to
+     * it. Keys only found in IndexedDB are never touched. When both hold a
+     * slot index, the indexes are merged (see mergeSlotIndexes). The saves
+     * are removed from localStorage only once their copies have been read back.
+     * @param {LocalStorageBackend} localBackend - Backend to move the saves from
+     * @param {IndexedDBBackend} backend - Backend to move the saves to
+     * @returns {Promise<IndexedDBBackend>} The IndexedDB backend; rejects when the saves could not be moved
+     */
+    static moveSaves(localBackend, backend) {
+        StorageManager.finishPendingWrites(localBackend);
+        
+        const keys = StorageManager.listSaveKeys(localBackend);
+        if (keys.length === 0) return Promise.resolve(backend);
+        
+        // The value every key gets in IndexedDB
+        const writes = new Map(keys.map(key => [key, localBackend.getItem(key)]));
+        StorageManager.mergeSlotIndexes(localBackend, backend, writes);
+        writes.forEach((value, key) => backend.setItem(key, value));
+        
+        const writtenKeys = [...writes.keys()];
+        return backend.whenWritten()
+            .then(() => Promise.all(writtenKeys.map(key => backend.readStored(key))))
+            .then(values => {
+                if (values.some((value, i) => value !== writes.get(writtenKeys[i]))) {
+                    throw new Error('The saves copied to IndexedDB do not match the originals');
+                }
+                
+                keys.forEach(key => localBackend.removeItem(key));
+                return backend;
+            });
+    }
+    
+    /**
+     * Merge the slot index in localStorage into the one in IndexedDB. Slots
+     * only in localStorage are added. When both have a slot with the same id
+     * and different saves, the more recently saved copy is kept and the other
+     * one is set aside under a quarantine key, so no save is lost.
+     * @param {LocalStorageBackend} localBackend - Backend the saves are moved from
+     * @param {IndexedDBBackend} backend - Backend the saves are moved to
+     * @param {Map<string, string>} writes - Values to write to IndexedDB; updated with the merge
+     */
+    static mergeSlotIndexes(localBackend, backend, writes) {
+        const slotIndexKey = `${SAVE_STORAGE_KEY}.slots`;
+        const localIndex = StorageManager.readSlotIndex(localBackend.getItem(slotIndexKey));
+        const savedIndex = StorageManager.readSlotIndex(backend.getItem(slotIndexKey));
+        if (!localIndex || !savedIndex) return;
+        
+        const slots = savedIndex.slots.map(slot => ({ ...slot }));
+        
+        localIndex.slots.forEach(localSlot => {
+            const slotKey = `${SAVE_STORAGE_KEY}.slot.${localSlot.id}`;
+            const savedSlotIndex = slots.findIndex(slot => slot.id === localSlot.id);
+            if (savedSlotIndex === -1) {
+                slots.push({ ...localSlot });
+                return;
+            }
+            
+            const localValue = localBackend.getItem(slotKey);
+            const savedValue = backend.getItem(slotKey);
+            if (localValue === savedValue) return;
+            
+            const localIsNewer = (localSlot.lastSaved || 0) > (slots[savedSlotIndex].lastSaved || 0);
+            const olderValue = localIsNewer ? savedValue : localValue;
+            if (olderValue !== null) {
+                writes.set(`${slotKey}${QUARANTINE_KEY_SUFFIX}${Date.now()}`, JSON.stringify({
+                    error: 'Replaced by a more recently saved copy of this slot',
+                    quarantinedAt: new Date().toISOString(),
+                    data: olderValue
+                }));
+            }
+            
+            if (localIsNewer) {
+                slots[savedSlotIndex] = { ...localSlot };
+            } else {
+                writes.delete(slotKey);
+            }
+        });
+        
+        const slotNumbers = slots.map(slot => Number(String(slot.id).replace('slot-', '')) || 0);
+        writes.set(slotIndexKey, JSON.stringify({
+            // The session that fell back to localStorage is the one the player played last
+            activeSlotId: slots.some(slot => slot.id === localIndex.activeSlotId) ? localIndex.activeSlotId : savedIndex.activeSlotId,
+            nextId: Math.max(savedIndex.nextId || 1, localIndex.nextId || 1, ...slotNumbers.map(number => number + 1)),
+            slots
+        }));
+    }
+    
+    /**
+     * Parse a stored slot index
+     * @param {string|null} value - The stored index
+     * @returns {Object|null} The index {activeSlotId, nextId, slots}, or null if it can't be read
+     */
+    static readSlotIndex(value) {
+        try {
+            const index = JSON.parse(value);
+            return index && Array.isArray(index.slots) ? index : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Finish the writes in a backend that were interrupted before their
+     * pending copy was swapped in (see writeSafely)
+     * @param {Object} backend - The backend
+     */
+    static finishPendingWrites(backend) {
+        StorageManager.listSaveKeys(backend)
+            .filter(key => key.endsWith(PENDING_KEY_SUFFIX))
+            .forEach(pendingKey => {
+                backend.setItem(pendingKey.slice(0, -PENDING_KEY_SUFFIX.length), backend.getItem(pendingKey));
+                backend.removeItem(pendingKey);
+            });
+    }
+    
+    /**
+     * List the keys of the game in a backend
+     * @param {Object} backend - The backend
+     * @returns {Array<string>} Keys starting with SAVE_STORAGE_KEY
+     */
+    static listSaveKeys(backend) {
+        const keys = [];
+        for (let i = 0; i < backend.length; i++) {
+            const key = backend.key(i);
+            if (key && key.startsWith(SAVE_STORAGE_KEY)) {
+                keys.push(key);
+            }
+        }
+        
+        return keys;
+    }
+    
+    /**
+     * Create a new storage manager
+     * @param {number} maxTier - Highest monster tier a saved monster may have
+     * @param {Object} storage - Opened backend from StorageManager.openStorage (defaults to localStorage)
+     */
+    constructor(maxTier = Infinity, storage = new LocalStorageBackend()) {
+        this.storage = storage;
+        this.storage.onWriteError = error => this.reportSaveError(error);
+        
+        // Saves from before slots were stored under this key; slots use it as prefix
+        this.storageKey = SAVE_STORAGE_KEY;
+        this.slotIndexKey = `${this.storageKey}.slots`;
+        this.maxTier = maxTier;
         this.defaultState = {
+            version: SAVE_VERSION,
             grid: Array(5).fill().map(() => Array(5).fill(null)),
+            bench: Array(5).fill(null), // Reserve monsters that don't fight
             coins: 100,
             wave: 1,
             highestTier: 1,
             unlockedMonsters: [1, 2, 3, 4, 5], // Start with tiers 1-5 unlocked for testing
-            shopItems: [] // Will be generated in loadGame
+            shop: null, // Shop offers, see ShopManager; rolled by the game when missing
+            upcomingWave: null, // Enemies of the next wave, rolled once and shown in the wave preview
+            run: null, // Hearts, mode and statistics of the current run (see RunManager)
+            items: null, // Unequipped items (see ItemManager); equipped items are saved with their monsters
+            playtime: 0 // Seconds played in this save
         };
+        
+        // Problems found by the last loadGame or readSaveFile, for the game to show to the player
+        this.loadIssues = [];
+        
+        // The next autosave: a function returning the state to save, written when the timer fires
+        this.scheduledSave = null;
+        this.autosaveTimer = null;
+        
+        // Called with the error when the game could not be saved
+        this.onSaveError = null;
+        
+        // Metadata of all save slots {activeSlotId, nextId, slots}
+        this.slotIndex = this.loadSlotIndex();
     }
-
+    
+    /**
+     * Write a value so that a crash can't leave it half written: the new
+     * value is stored under a pending key first, then swapped in
+     * @param {string} key - Storage key
+     * @param {string} value - The value
+     */
+    writeSafely(key, value) {
+        const pendingKey = `${key}${PENDING_KEY_SUFFIX}`;
+        
+        this.storage.setItem(pendingKey, value);
+        this.storage.setItem(key, value);
+        this.storage.removeItem(pendingKey);
+    }
+    
+    /**
+     * Finish a write that was interrupted before its pending value was swapped in
+     * @param {string} key - Storage key
+     */
+    recoverPendingWrite(key) {
+        const pendingKey = `${key}${PENDING_KEY_SUFFIX}`;
+        const pendingValue = this.storage.getItem(pendingKey);
+        if (pendingValue === null) return;
+        
+        console.warn(`Finishing an interrupted save of ${key}`);
+        this.storage.setItem(key, pendingValue);
+        this.storage.removeItem(pendingKey);
+    }
+    
+    /**
+     * Save the game a moment from now. Scheduling again before then replaces
+     * the scheduled save, so a burst of changes is written once.
+     * @param {Function} getState - Returns the game state to save when the save is written
+     */
+    scheduleSave(getState) {
+        this.scheduledSave = getState;
+        
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.flushScheduledSave(), AUTOSAVE_DELAY_MS);
+    }
+    
     /**
-     * Generate shop items based on unlocked tiers
-     * @param {Array} unlockedTiers - Array of unlocked monster tiers
-     * @returns {Array} Array of shop items
+     * Write the scheduled save now (e.g. when the page is closed)
      */
-    generateShopItems(unlockedTiers) {
-        if (!unlockedTiers || !Array.isArray(unlockedTiers) || unlockedTiers.length === 0) {
-            unlockedTiers = [1]; // Default to tier 1 if no tiers are provided
+    flushScheduledSave() {
+        const getState = this.scheduledSave;
+        this.cancelScheduledSave();
+        if (!getState) return;
+        
+        try {
+            this.saveGame(getState());
+        } catch (error) {
+            this.reportSaveError(error);
         }
+    }
+    
+    /**
+     * Drop the scheduled save (e.g. because the game is saved right away instead)
+     */
+    cancelScheduledSave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        this.scheduledSave = null;
+    }
+    
+    reportSaveError(error) {
+        console.error('Could not save the game:', error);
+        if (this.onSaveError) {
+            this.onSaveError(error);
+        }
+    }
+    
+    /**
+     * Load the index of the save slots and finish saves a crash interrupted.
+     * The first time, a save from before slots becomes the first slot.
+     * @returns {Object} Slot index {activeSlotId, nextId, slots}
+     */
+    loadSlotIndex() {
+        this.recoverPendingWrite(this.slotIndexKey);
         
-        // Ensure we're only using valid, unique tiers
-        const validTiers = [...new Set(unlockedTiers)].filter(tier => tier >= 1 && tier <= 10);
+        try {
+            const index = JSON.parse(this.storage.getItem(this.slotIndexKey));
+            if (index && Array.isArray(index.slots) && index.slots.length > 0) {
+                index.slots.forEach(slot => this.recoverPendingWrite(this.getSlotKey(slot.id)));
+                return index;
+            }
+        } catch (error) {
+            console.error('Could not read the save slots, rebuilding them:', error);
+        }
         
-        // Create one shop item for each unlocked tier
-        return validTiers.map(tier => ({
-            tier: tier,
-            cost: tier * 10 // Cost based on tier
-        }));
+        const index = { activeSlotId: null, nextId: 1, slots: [] };
+        const slot = this.addSlotMetadata(index, 'Save 1');
+        index.activeSlotId = slot.id;
+        
+        const legacySave = this.storage.getItem(this.storageKey);
+        if (legacySave) {
+            this.writeSafely(this.getSlotKey(slot.id), legacySave);
+            this.storage.removeItem(this.storageKey);
+            this.updateSlotMetadata(slot, this.readSlotSummary(legacySave));
+        }
+        
+        this.writeSafely(this.slotIndexKey, JSON.stringify(index));
+        return index;
+    }
+    
+    /**
+     * Get the storage key of a save slot
+     * @param {string} slotId - The slot
+     * @returns {string} Storage key
+     */
+    getSlotKey(slotId) {
+        return `${this.storageKey}.slot.${slotId}`;
+    }
+    
+    addSlotMetadata(index, name) {
+        const slot = {
+            id: `slot-${index.nextId++}`,
+            name,
+            wave: 1,
+            highestTier: 1,
+            playtime: 0,
+            lastSaved: null
+        };
+        
+        index.slots.push(slot);
+        return slot;
+    }
+    
+    updateSlotMetadata(slot, summary) {
+        Object.assign(slot, {
+            wave: summary.wave || 1,
+            highestTier: summary.highestTier || 1,
+            playtime: summary.playtime || 0,
+            lastSaved: summary.lastSaved || Date.now()
+        });
+    }
+    
+    readSlotSummary(savedState) {
+        try {
+            const { wave, highestTier, playtime } = JSON.parse(savedState);
+            return { wave, highestTier, playtime };
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    writeSlotIndex() {
+        this.writeSafely(this.slotIndexKey, JSON.stringify(this.slotIndex));
+    }
+    
+    /**
+     * Get a save slot
+     * @param {string} slotId - The slot
+     * @returns {Object} Slot metadata {id, name, wave, highestTier, playtime, lastSaved}
+     */
+    getSlot(slotId) {
+        const slot = this.slotIndex.slots.find(candidate => candidate.id === slotId);
+        if (!slot) {
+            throw new Error(`Unknown save slot "${slotId}"`);
+        }
+        
+        return slot;
+    }
+    
+    /**
+     * List the save slots
+     * @returns {Array<Object>} Slot metadata {id, name, wave, highestTier, playtime, lastSaved}
+     */
+    listSlots() {
+        return this.slotIndex.slots.map(slot => ({ ...slot }));
+    }
+    
+    /**
+     * Get the slot the game saves to
+     * @returns {string} Slot id
+     */
+    getActiveSlotId() {
+        return this.slotIndex.activeSlotId;
+    }
+    
+    /**
+     * Make a slot the one the game loads from and saves to
+     * @param {string} slotId - The slot
+     */
+    setActiveSlot(slotId) {
+        this.getSlot(slotId);
+        this.slotIndex.activeSlotId = slotId;
+        this.writeSlotIndex();
+    }
+    
+    /**
+     * Check a slot name
+     * @param {string} name - The name
+     * @returns {string} The trimmed name
+     */
+    validateSlotName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('A save slot needs a name');
+        }
+        if (trimmed.length > SAVE_SLOT_NAME_LENGTH) {
+            throw new Error(`Save slot names can be at most ${SAVE_SLOT_NAME_LENGTH} characters`);
+        }
+        
+        return trimmed;
+    }
+    
+    /**
+     * Create an empty save slot; loading it starts a new game
+     * @param {string} name - Name of the slot
+     * @returns {Object} The new slot's metadata
+     */
+    createSlot(name) {
+        if (this.slotIndex.slots.length >= SAVE_SLOT_LIMIT) {
+            throw new Error(`You can have at most ${SAVE_SLOT_LIMIT} save slots`);
+        }
+        
+        const slot = this.addSlotMetadata(this.slotIndex, this.validateSlotName(name));
+        this.writeSlotIndex();
+        
+        return { ...slot };
+    }
+    
+    /**
+     * Copy a save slot into a new slot
+     * @param {string} slotId - The slot to copy
+     * @param {string} name - Name of the copy (defaults to the original name + " (copy)")
+     * @returns {Object} The new slot's metadata
+     */
+    copySlot(slotId, name) {
+        const source = this.getSlot(slotId);
+        const copyName = name || `${source.name} (copy)`.slice(0, SAVE_SLOT_NAME_LENGTH);
+        const copy = this.createSlot(copyName);
+        
+        const savedState = this.storage.getItem(this.getSlotKey(slotId));
+        if (savedState) {
+            this.writeSafely(this.getSlotKey(copy.id), savedState);
+        }
+        
+        const slot = this.getSlot(copy.id);
+        Object.assign(slot, {
+            wave: source.wave,
+            highestTier: source.highestTier,
+            playtime: source.playtime,
+            lastSaved: source.lastSaved
+        });
+        this.writeSlotIndex();
+        
+        return { ...slot };
+    }
+    
+    /**
+     * Rename a save slot
+     * @param {string} slotId - The slot
+     * @param {string} name - The new name
+     */
+    renameSlot(slotId, name) {
+        this.getSlot(slotId).name = this.validateSlotName(name);
+        this.writeSlotIndex();
+    }
+    
+    /**
+     * Delete a save slot and its save. The active slot can't be deleted.
+     * @param {string} slotId - The slot
+     */
+    deleteSlot(slotId) {
+        this.getSlot(slotId);
+        
+        if (slotId === this.slotIndex.activeSlotId) {
+            throw new Error('Switch to another save slot before deleting this one');
+        }
+        
+        this.slotIndex.slots = this.slotIndex.slots.filter(slot => slot.id !== slotId);
+        this.storage.removeItem(this.getSlotKey(slotId));
+        this.storage.removeItem(`${this.getSlotKey(slotId)}${PENDING_KEY_SUFFIX}`);
+        this.writeSlotIndex();
+    }
+    
+    /**
+     * Get a fresh copy of the default state
+     * @returns {Object} The default game state
+     */
+    getDefaultState() {
+        return {
+            ...this.defaultState,
+            grid: this.defaultState.grid.map(row => [...row]),
+            bench: [...this.defaultState.bench],
+            unlockedMonsters: [...this.defaultState.unlockedMonsters]
+        };
     }
 
     /**
-     * Save the current game state to localStorage
+     * Save the current game state to the active slot
      * @param {Object} state - Current game state
      */
     saveGame(state) {
-        // Convert grid to serializable format (monster objects aren't directly serializable)
+        // Convert grid and bench to serializable format (monster objects aren't directly serializable)
         const serializableState = {
             ...state,
-            grid: state.grid.map(row => 
-                row.map(cell => 
-                    cell ? {
-                        tier: cell.tier,
-                        attack: cell.attack,
-                        defense: cell.defense,
-                        health: cell.health,
-                        maxHealth: cell.maxHealth,
-                        id: cell.id
-                    } : null
-                )
-            )
+            version: SAVE_VERSION,
+            grid: state.grid.map(row => row.map(cell => this.serializeMonster(cell))),
+            bench: (state.bench || []).map(cell => this.serializeMonster(cell))
         };
         
-        localStorage.setItem(this.storageKey, JSON.stringify(serializableState));
+        const slotId = this.slotIndex.activeSlotId;
+        this.writeSafely(this.getSlotKey(slotId), JSON.stringify(serializableState));
+        
+        this.updateSlotMetadata(this.getSlot(slotId), {
+            wave: state.wave,
+            highestTier: state.highestTier,
+            playtime: state.playtime
+        });
+        this.writeSlotIndex();
+    }
+    
+    /**
+     * Convert a monster to plain data for saving
+     * @param {Object|null} cell - The monster in a grid or bench cell
+     * @returns {Object|null} Monster data, or null for an empty cell
+     */
+    serializeMonster(cell) {
+        return cell ? {
+            tier: cell.tier,
+            attack: cell.attack,
+            defense: cell.defense,
+            speed: cell.speed,
+            health: cell.health,
+            maxHealth: cell.maxHealth,
+            value: cell.value,
+            items: cell.items || [],
+            id: cell.id
+        } : null;
     }
 
     /**
-     * Load the game state from localStorage
+     * Load the game state of the active slot. Old saves are migrated to the
+     * current version and invalid monster records are dropped; a save that
+     * can't be read at all is quarantined and the default state is returned.
+     * Problems are collected in loadIssues.
      * @returns {Object} The loaded game state
      */
     loadGame() {
-        const savedState = localStorage.getItem(this.storageKey);
+        this.loadIssues = [];
+        
+        const slotKey = this.getSlotKey(this.slotIndex.activeSlotId);
+        const savedState = this.storage.getItem(slotKey);
+        
+        if (!savedState) {
+            return this.getDefaultState();
+        }
+        
+        try {
+            return this.validateState(this.migrate(JSON.parse(savedState)));
+        } catch (error) {
+            this.quarantineSave(slotKey, savedState, error);
+            return this.getDefaultState();
+        }
+    }
+    
+    /**
+     * Upgrade a parsed save to the current version
+     * @param {Object} state - The parsed save
+     * @returns {Object} The save in the current format
+     */
+    migrate(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw new Error('Save is not an object');
+        }
+        
+        let version = state.version === undefined ? 0 : state.version;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`Unknown save version "${state.version}"`);
+        }
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than this game (version ${SAVE_VERSION})`);
+        }
+        
+        let migrated = state;
+        while (version < SAVE_VERSION) {
+            migrated = SAVE_MIGRATIONS[version](migrated);
+            version++;
+            migrated.version = version;
+        }
+        
+        return migrated;
+    }
+    
+    /**
+     * Check a migrated save and repair what can be repaired: invalid numbers
+     * fall back to their defaults, and invalid monster, enemy, shop and item
+     * records are dropped. Every section is checked here before it reaches
+     * the managers; the checksum of a save file only catches accidental damage.
+     * @param {Object} state - Save in the current format
+     * @returns {Object} The validated state
+     */
+    validateState(state) {
+        const validated = { ...state };
+        const defaults = this.getDefaultState();
+        
+        if (!Number.isFinite(validated.coins) || validated.coins < 0) {
+            this.loadIssues.push('Your coins could not be read and were reset');
+            validated.coins = defaults.coins;
+        }
+        
+        ['wave', 'highestTier'].forEach(key => {
+            if (!Number.isInteger(validated[key]) || validated[key] < 1) {
+                validated[key] = defaults[key];
+            }
+        });
+        
+        if (!Number.isFinite(validated.playtime) || validated.playtime < 0) {
+            validated.playtime = defaults.playtime;
+        }
+        
+        validated.unlockedMonsters = Array.isArray(validated.unlockedMonsters)
+            ? validated.unlockedMonsters.filter(tier => Number.isInteger(tier) && tier >= 1 && tier <= this.maxTier)
+            : defaults.unlockedMonsters;
+        
+        validated.grid = defaults.grid.map((row, rowIndex) => row.map((cell, col) => {
+            const savedRow = Array.isArray(state.grid) ? state.grid[rowIndex] : null;
+            return this.validateMonsterRecord(Array.isArray(savedRow) ? savedRow[col] : null, `grid row ${rowIndex + 1}, column ${col + 1}`);
+        }));
+        
+        validated.bench = defaults.bench.map((cell, col) =>
+            this.validateMonsterRecord(Array.isArray(state.bench) ? state.bench[col] : null, `bench slot ${col + 1}`));
+        
+        validated.upcomingWave = this.validateUpcomingWave(state.upcomingWave);
+        validated.run = this.validateRun(state.run);
+        validated.shop = this.validateShop(state.shop);
+        validated.items = this.validateItems(state.items);
+        
+        return validated;
+    }
+    
+    /**
+     * Validate the saved upcoming wave. Invalid enemies are dropped; a wave
+     * without valid enemies is dropped and rolled again by the game.
+     * @param {*} upcomingWave - Saved upcoming wave {wave, name, enemies, attempts}
+     * @returns {Object|null} The validated upcoming wave, or null
+     */
+    validateUpcomingWave(upcomingWave) {
+        if (upcomingWave === null || upcomingWave === undefined) return null;
+        
+        if (typeof upcomingWave !== 'object' || !Number.isInteger(upcomingWave.wave) || upcomingWave.wave < 1 ||
+            !Array.isArray(upcomingWave.enemies)) {
+            this.loadIssues.push('The upcoming wave could not be read and will be rolled again');
+            return null;
+        }
+        
+        const enemies = upcomingWave.enemies
+            .map((enemy, i) => this.validateEnemyRecord(enemy, `enemy ${i + 1} of the upcoming wave`))
+            .filter(enemy => enemy);
+        
+        if (enemies.length === 0) {
+            this.loadIssues.push('The upcoming wave has no readable enemies and will be rolled again');
+            return null;
+        }
+        
+        return {
+            ...upcomingWave,
+            name: typeof upcomingWave.name === 'string' ? upcomingWave.name : `Wave ${upcomingWave.wave}`,
+            enemies,
+            attempts: Number.isInteger(upcomingWave.attempts) && upcomingWave.attempts >= 0 ? upcomingWave.attempts : 0
+        };
+    }
+    
+    /**
+     * Validate a saved enemy. Unlike player monsters, enemies keep their
+     * scaled stats, so every stat must be present.
+     * @param {*} record - Saved enemy data {tier, attack, defense, speed, health, maxHealth, element, boss, gridPosition}
+     * @param {string} location - Where the enemy was saved, for the load issue message
+     * @returns {Object|null} The validated enemy data, or null if it was dropped
+     */
+    validateEnemyRecord(record, location) {
+        if (!this.isValidEnemy(record) || (record.boss !== undefined && !this.isValidBoss(record.boss))) {
+            this.loadIssues.push(`An unreadable enemy was removed from ${location}`);
+            return null;
+        }
+        
+        return { ...record, health: Math.min(record.health, record.maxHealth) };
+    }
+    
+    /**
+     * Check the stats of a saved enemy or boss minion
+     * @param {*} record - Saved enemy data
+     * @returns {boolean} True if the enemy can fight
+     */
+    isValidEnemy(record) {
+        return record !== null && typeof record === 'object' &&
+            Number.isInteger(record.tier) && record.tier >= 1 && record.tier <= this.maxTier &&
+            ['attack', 'defense', 'speed', 'health'].every(stat => Number.isFinite(record[stat]) && record[stat] >= 0) &&
+            Number.isFinite(record.maxHealth) && record.maxHealth >= 1 &&
+            (record.element === null || record.element === undefined || Object.values(ElementType).includes(record.element)) &&
+            (record.gridPosition === undefined || this.isValidCell(record.gridPosition));
+    }
+    
+    /**
+     * Check the saved cell of an enemy from a shared board
+     * @param {*} position - Saved grid position {row, col}
+     * @returns {boolean} True for a cell of the grid
+     */
+    isValidCell(position) {
+        const gridSize = this.defaultState.grid.length;
+        
+        return position !== null && typeof position === 'object' &&
+            [position.row, position.col].every(index => Number.isInteger(index) && index >= 0 && index < gridSize);
+    }
+    
+    /**
+     * Check the boss description of a saved enemy (see BossSystem.createBossStats)
+     * @param {*} boss - Saved boss description
+     * @returns {boolean} True if the boss can fight
+     */
+    isValidBoss(boss) {
+        const isNumber = value => Number.isFinite(value) && value > 0;
+        
+        return boss !== null && typeof boss === 'object' &&
+            typeof boss.name === 'string' &&
+            isNumber(boss.scale) &&
+            isNumber(boss.enrageTurn) &&
+            isNumber(boss.enrageAttackMultiplier) &&
+            boss.summon !== null && typeof boss.summon === 'object' &&
+            Number.isInteger(boss.summon.every) && boss.summon.every >= 1 &&
+            Number.isInteger(boss.summon.count) && boss.summon.count >= 0 &&
+            this.isValidEnemy(boss.summon.minion) &&
+            Array.isArray(boss.phases) &&
+            boss.phases.every(phase => phase !== null && typeof phase === 'object' && isNumber(phase.threshold));
+    }
+    
+    /**
+     * Validate the saved run. A run that can't be read is dropped, so the game starts a new one.
+     * @param {*} run - Saved run state {mode, lives, stats}
+     * @returns {Object|null} The validated run, or null
+     */
+    validateRun(run) {
+        if (run === null || run === undefined) return null;
+        
+        if (typeof run !== 'object' || !Object.values(RunMode).includes(run.mode)) {
+            this.loadIssues.push('Your run could not be read and a new run was started');
+            return null;
+        }
+        
+        const stats = {};
+        Object.entries(run.stats && typeof run.stats === 'object' ? run.stats : {}).forEach(([stat, value]) => {
+            if (Number.isInteger(value) && value >= 0) {
+                stats[stat] = value;
+            }
+        });
+        
+        // Invalid hearts are left out, so the run continues with full hearts
+        const validated = { mode: run.mode, stats };
+        if (Number.isInteger(run.lives) && run.lives > 0) {
+            validated.lives = run.lives;
+        }
+        
+        return validated;
+    }
+    
+    /**
+     * Validate the saved shop. Invalid offers are dropped and rolled again with the next wave.
+     * @param {*} shop - Saved shop state {offers}
+     * @returns {Object|null} The validated shop, or null
+     */
+    validateShop(shop) {
+        if (shop === null || shop === undefined) return null;
+        
+        if (typeof shop !== 'object' || !Array.isArray(shop.offers)) {
+            this.loadIssues.push('The shop could not be read and was restocked');
+            return null;
+        }
+        
+        const offers = shop.offers.filter(offer => {
+            const isValid = offer !== null && typeof offer === 'object' &&
+                Number.isFinite(offer.cost) && offer.cost >= 0 &&
+                (offer.baseCost === undefined || (Number.isFinite(offer.baseCost) && offer.baseCost >= 0)) &&
+                (offer.itemId !== undefined
+                    ? ItemManager.isItemId(offer.itemId)
+                    : Number.isInteger(offer.tier) && offer.tier >= 1 && offer.tier <= this.maxTier);
+            
+            if (!isValid) {
+                this.loadIssues.push('An unreadable shop offer was removed');
+            }
+            
+            return isValid;
+        });
+        
+        return { ...shop, offers };
+    }
+    
+    /**
+     * Validate the saved inventory. Unknown items are dropped.
+     * @param {*} items - Saved item state {inventory}
+     * @returns {Object|null} The validated item state, or null
+     */
+    validateItems(items) {
+        if (items === null || items === undefined) return null;
+        
+        if (typeof items !== 'object' || !Array.isArray(items.inventory)) {
+            this.loadIssues.push('Your items could not be read and were lost');
+            return null;
+        }
         
+        const inventory = items.inventory.filter(itemId => {
+            if (!ItemManager.isItemId(itemId)) {
+                this.loadIssues.push('An unknown item was removed from your inventory');
+                return false;
+            }
+            
+            return true;
+        });
+        
+        return { ...items, inventory };
+    }
+    
+    /**
+     * Validate a saved monster. Missing or invalid stats are removed so the
+     * base stats of the tier apply; records without a valid tier are dropped.
+     * @param {*} record - Saved monster data
+     * @param {string} location - Where the monster was saved, for the load issue message
+     * @returns {Object|null} The validated monster data, or null for an empty or dropped cell
+     */
+    validateMonsterRecord(record, location) {
+        if (record === null || record === undefined) return null;
+        
+        if (typeof record !== 'object' || !Number.isInteger(record.tier) || record.tier < 1 || record.tier > this.maxTier) {
+            this.loadIssues.push(`An unreadable monster was removed from ${location}`);
+            return null;
+        }
+        
+        const validated = { ...record };
+        
+        ['attack', 'defense', 'speed', 'health', 'maxHealth', 'value'].forEach(stat => {
+            if (validated[stat] !== undefined && (!Number.isFinite(validated[stat]) || validated[stat] < 0)) {
+                delete validated[stat];
+            }
+        });
+        
+        if (validated.health !== undefined && validated.maxHealth !== undefined) {
+            validated.health = Math.min(validated.health, validated.maxHealth);
+        }
+        
+        validated.items = Array.isArray(validated.items)
+            ? validated.items.filter(itemId => typeof itemId === 'string')
+            : [];
+        
+        return validated;
+    }
+    
+    /**
+     * Export a save slot as a save file: the saved state with a checksum, so
+     * files that were damaged or edited are rejected on import
+     * @param {string} slotId - The slot
+     * @returns {string} Save file contents (JSON)
+     */
+    exportSlot(slotId) {
+        const slot = this.getSlot(slotId);
+        const savedState = this.storage.getItem(this.getSlotKey(slotId));
         if (!savedState) {
-            const defaultState = { ...this.defaultState };
-            // Generate shop items for the default state
-            defaultState.shopItems = this.generateShopItems(defaultState.unlockedMonsters);
-            return defaultState;
+            throw new Error(`"${slot.name}" has nothing saved yet`);
+        }
+        
+        const state = JSON.parse(savedState);
+        
+        return JSON.stringify({
+            format: SAVE_FILE_FORMAT,
+            name: slot.name,
+            exportedAt: new Date().toISOString(),
+            checksum: this.computeChecksum(JSON.stringify(state)),
+            state
+        }, null, 2);
+    }
+    
+    /**
+     * Read a save file without importing it: the checksum is verified and the
+     * state is migrated and validated like a save loaded from a slot. Problems
+     * that were repaired are collected in loadIssues.
+     * @param {string} text - Save file contents
+     * @returns {Object} The save file {name, exportedAt, state, summary, issues}
+     */
+    readSaveFile(text) {
+        this.loadIssues = [];
+        
+        let saveFile;
+        try {
+            saveFile = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not a save file (it is not valid JSON)');
+        }
+        
+        if (!saveFile || saveFile.format !== SAVE_FILE_FORMAT || !saveFile.state) {
+            throw new Error('The file is not a Monster Merge save file');
+        }
+        
+        if (saveFile.checksum !== this.computeChecksum(JSON.stringify(saveFile.state))) {
+            throw new Error('The save file is damaged or was edited (checksum mismatch)');
         }
         
-        const parsedState = JSON.parse(savedState);
+        const state = this.validateState(this.migrate(saveFile.state));
+        
+        return {
+            name: typeof saveFile.name === 'string' && saveFile.name.trim() ? saveFile.name.trim() : 'Imported save',
+            exportedAt: saveFile.exportedAt || null,
+            state,
+            summary: this.summarizeState(state),
+            issues: [...this.loadIssues]
+        };
+    }
+    
+    /**
+     * Import a save file read by readSaveFile into a new save slot
+     * @param {Object} saveFile - Save file from readSaveFile
+     * @returns {Object} The new slot's metadata
+     */
+    importSaveFile(saveFile) {
+        const slot = this.createSlot(saveFile.name.slice(0, SAVE_SLOT_NAME_LENGTH));
+        
+        this.writeSafely(this.getSlotKey(slot.id), JSON.stringify(saveFile.state));
+        
+        this.updateSlotMetadata(this.getSlot(slot.id), saveFile.state);
+        this.writeSlotIndex();
+        
+        return this.getSlot(slot.id);
+    }
+    
+    /**
+     * Summarize a save for the import preview
+     * @param {Object} state - Validated save state
+     * @returns {Object} Summary {wave, coins, highestTier, monsters, benchMonsters, items, playtime}
+     */
+    summarizeState(state) {
+        const gridMonsters = state.grid.flat().filter(Boolean);
+        const benchMonsters = state.bench.filter(Boolean);
+        const equippedItems = [...gridMonsters, ...benchMonsters]
+            .reduce((total, monster) => total + monster.items.length, 0);
+        const inventory = state.items && Array.isArray(state.items.inventory) ? state.items.inventory : [];
         
-        // Ensure unlockedMonsters exists and is an array
-        if (!parsedState.unlockedMonsters || !Array.isArray(parsedState.unlockedMonsters)) {
-            parsedState.unlockedMonsters = [1, 2, 3, 4, 5]; // Default tiers for testing
+        return {
+            wave: state.wave,
+            coins: state.coins,
+            highestTier: state.highestTier,
+            monsters: gridMonsters.length,
+            benchMonsters: benchMonsters.length,
+            items: equippedItems + inventory.length,
+            playtime: state.playtime
+        };
+    }
+    
+    /**
+     * Compute the checksum of a save file (32-bit FNV-1a hash)
+     * @param {string} text - The serialized state
+     * @returns {string} Checksum as 8 hex digits
+     */
+    computeChecksum(text) {
+        return SeededRandom.hashText(text).toString(16).padStart(8, '0');
+    }
+    
+    /**
+     * Move an unreadable save to a quarantine key so a new game can start
+     * without losing it
+     * @param {string} slotKey - Storage key of the save
+     * @param {string} savedState - The raw saved data
+     * @param {Error} error - Why the save could not be loaded
+     */
+    quarantineSave(slotKey, savedState, error) {
+        const quarantineKey = `${slotKey}${QUARANTINE_KEY_SUFFIX}${Date.now()}`;
+        console.error(`Could not load the save, moving it to ${quarantineKey}:`, error);
+        
+        try {
+            this.storage.setItem(quarantineKey, JSON.stringify({
+                error: error.message,
+                quarantinedAt: new Date().toISOString(),
+                data: savedState
+            }));
+            this.storage.removeItem(slotKey);
+        } catch (storageError) {
+            // Keep the original save where it is; the next save will replace it
+            console.error('Could not quarantine the save:', storageError);
         }
         
-        // Always regenerate shop items based on current unlocked monsters
-        parsedState.shopItems = this.generateShopItems(parsedState.unlockedMonsters);
+        this.loadIssues.push(`Your save could not be loaded (${error.message}) and was set aside. A new game was started.`);
+    }
+    
+    /**
+     * List the saves that were quarantined because they could not be loaded
+     * @returns {Array<Object>} Quarantined saves {key, error, quarantinedAt}
+     */
+    getQuarantinedSaves() {
+        const saves = [];
+        
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(this.storageKey) || !key.includes(QUARANTINE_KEY_SUFFIX)) continue;
+            
+            try {
+                const { error, quarantinedAt } = JSON.parse(this.storage.getItem(key));
+                saves.push({ key, error, quarantinedAt });
+            } catch (parseError) {
+                saves.push({ key, error: parseError.message, quarantinedAt: null });
+            }
+        }
         
-        return parsedState;
+        return saves;
     }
 
     /**
-     * Reset the game state to default
+     * Reset the game state of the active slot to default. Other slots are kept.
      */
     resetGame() {
-        localStorage.removeItem(this.storageKey);
+        const slot = this.getSlot(this.slotIndex.activeSlotId);
+        this.storage.removeItem(this.getSlotKey(slot.id));
+        
+        this.updateSlotMetadata(slot, {});
+        this.writeSlotIndex();
     }
 }
\ No newline at end of file
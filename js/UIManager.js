@@ -12,9 +12,22 @@ class UIManager {
         // UI elements
         this.moneyDisplay = document.getElementById('money-display');
         this.waveDisplay = document.getElementById('wave-display');
+        this.livesContainer = document.getElementById('lives');
+        this.livesDisplay = document.getElementById('lives-display');
         this.shopButton = document.getElementById('shop-button');
         this.battleButton = document.getElementById('battle-button');
         this.restartButton = document.getElementById('restart-button');
+        this.savesButton = document.getElementById('saves-button');
+        this.boardButton = document.getElementById('board-button');
+        this.sandboxBanner = document.getElementById('sandbox-banner');
+        this.exitSandboxButton = document.getElementById('exit-sandbox');
+        this.turnOrderDisplay = document.getElementById('turn-order');
+        this.bossIntroDisplay = document.getElementById('boss-intro');
+        this.wavePreviewDisplay = document.getElementById('wave-preview');
+        this.undoSellButton = document.getElementById('undo-sell');
+        this.undoSellTimer = null;
+        this.inventoryDisplay = document.getElementById('inventory');
+        this.monsterTooltip = document.getElementById('monster-tooltip');
         
         // Initialize UI
         this.initialize();
@@ -31,20 +44,37 @@ class UIManager {
             shopOverlay: document.getElementById('shop-overlay'),
             battleResultsOverlay: document.getElementById('battle-overlay'),
             confirmationOverlay: document.getElementById('confirmation-overlay'),
+            slotOverlay: document.getElementById('slot-overlay'),
+            slotList: document.getElementById('slot-list'),
+            slotNewButton: document.getElementById('slot-new'),
+            slotImportButton: document.getElementById('slot-import'),
+            slotImportInput: document.getElementById('slot-import-file'),
+            slotCloseButton: document.getElementById('close-slots'),
+            boardOverlay: document.getElementById('board-overlay'),
+            boardCodeCurrent: document.getElementById('board-code-current'),
+            boardCodeCopy: document.getElementById('board-code-copy'),
+            boardCodeInput: document.getElementById('board-code-input'),
+            boardLoadPlayer: document.getElementById('board-load-player'),
+            boardLoadOpponent: document.getElementById('board-load-opponent'),
+            boardCloseButton: document.getElementById('close-board'),
             gameOverOverlay: document.getElementById('game-over-overlay'),
             shopCloseButton: document.getElementById('close-shop'),
             battleResultsCloseButton: document.getElementById('close-battle'),
             confirmYes: document.getElementById('confirm-yes'),
             confirmNo: document.getElementById('confirm-no'),
             restartGame: document.getElementById('restart-game'),
+            restartHardcore: document.getElementById('restart-hardcore'),
             shopItems: document.getElementById('shop-items'),
+            shopServices: document.getElementById('shop-services'),
+            shopReroll: document.getElementById('shop-reroll'),
             battleResults: document.getElementById('battle-results'),
             battleResultsTitle: document.getElementById('battle-results-title'),
             battleResultsCoins: document.getElementById('battle-results-coins'),
             confirmationMessage: document.getElementById('confirmation-message'),
             confirmationTitle: document.getElementById('confirmation-title'),
             gameOverMessage: document.getElementById('game-over-message'),
-            gameOverWave: document.getElementById('game-over-wave')
+            gameOverWave: document.getElementById('game-over-wave'),
+            runSummary: document.getElementById('run-summary')
         };
 
         this.overlayManager = new OverlayManager(overlayElements, this.gameManager);
@@ -71,12 +101,38 @@ class UIManager {
         this.restartButton.addEventListener('click', () => {
             this.overlayManager.showConfirmation(
                 'Restart Game', 
-                'Are you sure you want to restart the game? All progress will be lost.',
-                () => {
-                    this.gameManager.restartGame();
+                'Are you sure you want to restart the game? All progress in this save slot will be lost.',
+                (confirmed) => {
+                    if (confirmed) {
+                        this.gameManager.restartGame();
+                    }
                 }
             );
         });
+        
+        if (this.savesButton) {
+            this.savesButton.addEventListener('click', () => {
+                this.openSlotPicker();
+            });
+        }
+        
+        if (this.boardButton) {
+            this.boardButton.addEventListener('click', () => {
+                this.overlayManager.showBoardCodes(this.gameManager.getBoardCode());
+            });
+        }
+        
+        if (this.exitSandboxButton) {
+            this.exitSandboxButton.addEventListener('click', () => {
+                this.gameManager.exitSandbox();
+            });
+        }
+        
+        if (this.undoSellButton) {
+            this.undoSellButton.addEventListener('click', () => {
+                this.gameManager.undoSell();
+            });
+        }
     }
     
     applyButtonTextures() {
@@ -132,6 +188,43 @@ class UIManager {
         });
     }
     
+    /**
+     * Open the save slot picker
+     */
+    openSlotPicker() {
+        if (this.overlayManager) {
+            this.overlayManager.refreshSlotPicker();
+        }
+    }
+    
+    /**
+     * Show or hide the banner that tells the player the sandbox is not saved
+     * @param {boolean} visible - Whether the sandbox is active
+     */
+    showSandboxBanner(visible) {
+        if (this.sandboxBanner) {
+            this.sandboxBanner.classList.toggle('hidden', !visible);
+        }
+    }
+    
+    /**
+     * Let the browser download a file
+     * @param {string} fileName - Name of the downloaded file
+     * @param {string} contents - File contents
+     * @param {string} type - MIME type of the file
+     */
+    downloadFile(fileName, contents, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
     /**
      * Open the shop overlay
      */
@@ -139,7 +232,7 @@ class UIManager {
         if (this.gameManager && this.overlayManager) {
             const shopItems = this.gameManager.getShopItems();
             const coins = this.gameManager.getCoins();
-            this.overlayManager.openShop(shopItems, coins);
+            this.overlayManager.openShop(shopItems, coins, this.gameManager.getRerollCost());
         }
     }
     
@@ -164,6 +257,21 @@ class UIManager {
         }
     }
     
+    /**
+     * Show the hearts left in the run
+     * @param {number} lives - Hearts left
+     * @param {string} mode - One of RunMode; hardcore runs are marked
+     */
+    updateLivesDisplay(lives, mode) {
+        if (this.livesDisplay) {
+            this.livesDisplay.textContent = mode === RunMode.HARDCORE ? `${lives} (Hardcore)` : lives;
+        }
+        
+        if (this.livesContainer) {
+            this.livesContainer.classList.toggle('hardcore', mode === RunMode.HARDCORE);
+        }
+    }
+    
     /**
      * Show a notification message to the player
      * @param {string} message - The message to display
@@ -224,6 +332,276 @@ class UIManager {
         }
     }
     
+    /**
+     * Show the order in which monsters act this turn
+     * @param {Array} order - Turn order entries {id, isPlayer, tier, speed}, fastest first
+     */
+    showTurnOrder(order) {
+        if (!this.turnOrderDisplay) return;
+        
+        this.turnOrderDisplay.innerHTML = '';
+        order.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `turn-order-item ${entry.isPlayer ? 'player' : 'enemy'}`;
+            item.dataset.monsterId = entry.id;
+            item.textContent = `T${entry.tier}`;
+            item.title = `${entry.isPlayer ? 'Player' : 'Enemy'} Tier ${entry.tier} - speed ${entry.speed}`;
+            this.turnOrderDisplay.appendChild(item);
+        });
+        
+        this.turnOrderDisplay.classList.remove('hidden');
+    }
+    
+    /**
+     * Highlight the monster that is currently acting in the turn order
+     * @param {string|number} monsterId - Id of the acting monster
+     */
+    setActiveTurn(monsterId) {
+        if (!this.turnOrderDisplay) return;
+        
+        Array.from(this.turnOrderDisplay.children).forEach(item => {
+            item.classList.toggle('active', item.dataset.monsterId === String(monsterId));
+        });
+    }
+    
+    /**
+     * Hide the turn order display
+     */
+    hideTurnOrder() {
+        if (this.turnOrderDisplay) {
+            this.turnOrderDisplay.classList.add('hidden');
+            this.turnOrderDisplay.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Show the banner announcing a boss
+     * @param {string} bossName - Name of the boss
+     * @param {string} subtitle - Line shown below the name
+     */
+    showBossIntro(bossName, subtitle) {
+        if (!this.bossIntroDisplay) return;
+        
+        this.bossIntroDisplay.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.className = 'boss-intro-name';
+        title.textContent = bossName;
+        this.bossIntroDisplay.appendChild(title);
+        
+        const details = document.createElement('div');
+        details.className = 'boss-intro-subtitle';
+        details.textContent = subtitle;
+        this.bossIntroDisplay.appendChild(details);
+        
+        this.bossIntroDisplay.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the boss banner
+     */
+    hideBossIntro() {
+        if (this.bossIntroDisplay) {
+            this.bossIntroDisplay.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the enemies of the upcoming wave next to the BATTLE button
+     * @param {number} wave - The wave number
+     * @param {string|null} name - Name of the wave, if it has one
+     * @param {Array} enemies - Preview entries from CombatManager.previewNextWave
+     */
+    showWavePreview(wave, name, enemies) {
+        if (!this.wavePreviewDisplay) return;
+        
+        this.wavePreviewDisplay.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.className = 'wave-preview-title';
+        title.textContent = name ? `Next: Wave ${wave} - ${name}` : `Next: Wave ${wave}`;
+        this.wavePreviewDisplay.appendChild(title);
+        
+        // Group identical enemies so large waves stay readable
+        const groups = [];
+        enemies.forEach(enemy => {
+            const group = groups.find(g => !enemy.isBoss && !g.enemy.isBoss &&
+                g.enemy.tier === enemy.tier && g.enemy.element === enemy.element);
+            if (group) {
+                group.count++;
+            } else {
+                groups.push({ enemy, count: 1 });
+            }
+        });
+        
+        const list = document.createElement('div');
+        list.className = 'wave-preview-enemies';
+        groups.forEach(({ enemy, count }) => {
+            const item = document.createElement('div');
+            item.className = `wave-preview-enemy${enemy.isBoss ? ' boss' : ''}`;
+            item.style.borderLeftColor = `#${ELEMENT_COLORS[enemy.element].toString(16).padStart(6, '0')}`;
+            item.textContent = enemy.isBoss ? `${enemy.bossName} (T${enemy.tier})` :
+                `T${enemy.tier}${count > 1 ? ` x${count}` : ''}`;
+            item.title = `Tier ${enemy.tier} ${enemy.element} - ${enemy.maxHealth} health, ` +
+                `${enemy.attack} attack, ${enemy.defense} defense, ${enemy.speed} speed` +
+                (enemy.isBoss ? ` - ${enemy.phaseCount} phases, enrages on turn ${enemy.enrageTurn}` : '');
+            list.appendChild(item);
+        });
+        this.wavePreviewDisplay.appendChild(list);
+        
+        this.wavePreviewDisplay.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the upcoming wave preview
+     */
+    hideWavePreview() {
+        if (this.wavePreviewDisplay) {
+            this.wavePreviewDisplay.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the unequipped items. Items are dragged onto a monster to equip them.
+     * @param {Array<string>} itemIds - Items in the inventory
+     * @param {number} capacity - Items the inventory can hold
+     */
+    updateInventoryDisplay(itemIds, capacity) {
+        if (!this.inventoryDisplay) return;
+        
+        this.inventoryDisplay.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.className = 'inventory-title';
+        title.textContent = `Items ${itemIds.length}/${capacity}`;
+        this.inventoryDisplay.appendChild(title);
+        
+        const list = document.createElement('div');
+        list.className = 'inventory-items';
+        itemIds.forEach((itemId, index) => {
+            const itemType = ITEM_TYPES[itemId];
+            const item = document.createElement('div');
+            item.className = 'inventory-item';
+            item.draggable = true;
+            item.style.borderLeftColor = `#${itemType.color.toString(16).padStart(6, '0')}`;
+            item.textContent = itemType.name;
+            item.title = `${itemType.description} - drag onto a monster to equip`;
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', String(index));
+            });
+            list.appendChild(item);
+        });
+        this.inventoryDisplay.appendChild(list);
+        
+        this.inventoryDisplay.classList.toggle('hidden', itemIds.length === 0);
+    }
+    
+    /**
+     * Show a tooltip with the stats and equipped items of a monster
+     * @param {Object} monster - The monster
+     * @param {number} clientX - Screen X position of the cursor
+     * @param {number} clientY - Screen Y position of the cursor
+     */
+    showMonsterTooltip(monster, clientX, clientY) {
+        if (!this.monsterTooltip) return;
+        
+        const items = (monster.items || []).map(itemId => ITEM_TYPES[itemId]);
+        
+        this.monsterTooltip.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.className = 'monster-tooltip-title';
+        title.textContent = `Tier ${monster.tier} ${monster.type}`;
+        this.monsterTooltip.appendChild(title);
+        
+        const stats = document.createElement('div');
+        stats.textContent = `${monster.health}/${monster.maxHealth} health, ${monster.attack} attack, ` +
+            `${monster.defense} defense, ${monster.speed} speed`;
+        this.monsterTooltip.appendChild(stats);
+        
+        items.forEach(itemType => {
+            const item = document.createElement('div');
+            item.className = 'monster-tooltip-item';
+            item.style.borderLeftColor = `#${itemType.color.toString(16).padStart(6, '0')}`;
+            item.textContent = `${itemType.name}: ${itemType.description}`;
+            this.monsterTooltip.appendChild(item);
+        });
+        
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'monster-tooltip-item';
+            empty.textContent = 'No items';
+            this.monsterTooltip.appendChild(empty);
+        }
+        
+        this.monsterTooltip.style.left = `${clientX + 16}px`;
+        this.monsterTooltip.style.top = `${clientY + 16}px`;
+        this.monsterTooltip.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the monster tooltip
+     */
+    hideMonsterTooltip() {
+        if (this.monsterTooltip) {
+            this.monsterTooltip.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the UNDO button for a sale, counting down until the sale is final
+     * @param {number} seconds - Seconds the sale can be undone
+     */
+    showUndoSell(seconds) {
+        if (!this.undoSellButton) return;
+        
+        this.hideUndoSell();
+        
+        let remaining = seconds;
+        const update = () => {
+            if (remaining <= 0) {
+                this.hideUndoSell();
+                return;
+            }
+            
+            this.undoSellButton.textContent = `UNDO SELL (${remaining})`;
+            remaining--;
+        };
+        
+        update();
+        this.undoSellTimer = setInterval(update, 1000);
+        this.undoSellButton.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the UNDO button of a sale
+     */
+    hideUndoSell() {
+        if (this.undoSellTimer) {
+            clearInterval(this.undoSellTimer);
+            this.undoSellTimer = null;
+        }
+        
+        if (this.undoSellButton) {
+            this.undoSellButton.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show floating combat text at a monster's position
+     * @param {Object} monster - The monster the text belongs to
+     * @param {string} text - Text to display
+     * @param {string} type - Text style: ability, heal, dodge, effective, resisted, boss or a status effect type
+     */
+    showCombatText(monster, text, type) {
+        if (!monster || !monster.mesh) return;
+        
+        const screenPosition = this.getScreenPosition(monster.mesh);
+        if (screenPosition) {
+            this.healthBarManager.showCombatText(text, screenPosition, type);
+        }
+    }
+    
     /**
      * Clear all health bars
      */
@@ -0,0 +1,205 @@
+/**
+ * AbilitySystem executes the combat abilities declared on monster types.
+ * Abilities are plain data in MonsterTypes (e.g. `abilities: { dodge: { chance: 0.25 } }`)
+ * and are copied onto every monster; the BattleSimulator asks this class how
+ * an attack resolves and the BattleAnimator shows the resulting events.
+ */
+const AbilityType = Object.freeze({
+    // Strike several different targets with reduced damage
+    MULTI_ATTACK: 'multiAttack',
+    // Hit the chosen target and splash the rest of the enemy team
+    BREATH: 'breath',
+    // Chance to avoid an incoming attack completely
+    DODGE: 'dodge',
+    // Heal for a share of the damage dealt
+    LIFESTEAL: 'lifesteal',
+    // Split into smaller copies when defeated
+    SPLIT: 'split',
+    // Chance to apply a status effect to the monster that was hit
+    INFLICT: 'inflict',
+    // Status effect the monster applies to itself when the battle starts
+    WARD: 'ward'
+});
+
+class AbilitySystem {
+    /**
+     * Create a new ability system
+     * @param {SeededRandom} random - Random number generator for ability rolls
+     */
+    constructor(random) {
+        this.random = random || new SeededRandom();
+    }
+    
+    /**
+     * Set the random number generator used for ability rolls
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+    
+    /**
+     * Get the data of an ability if the monster has it
+     * @param {Object} monster - The monster to check
+     * @param {string} type - One of AbilityType
+     * @returns {Object|null} The ability data or null
+     */
+    getAbility(monster, type) {
+        return (monster.abilities && monster.abilities[type]) || null;
+    }
+    
+    /**
+     * Decide which defenders an attack hits
+     * @param {Object} attacker - The attacking monster
+     * @param {Array} defenders - Alive defenders
+     * @param {Array} targetable - Defenders the main target is chosen from (defaults to all)
+     * @returns {Array<Object>} Hits {defender, damageRatio, ability, abilityName, followUp}
+     */
+    selectTargets(attacker, defenders, targetable = defenders) {
+        const multiAttack = this.getAbility(attacker, AbilityType.MULTI_ATTACK);
+        if (multiAttack) {
+            // Every head strikes a different target, reaching past the front line
+            const candidates = [...defenders];
+            const hits = [];
+            
+            while (hits.length < multiAttack.targets && candidates.length > 0) {
+                const index = Math.floor(this.random.next() * candidates.length);
+                hits.push(this.createHit(candidates.splice(index, 1)[0], multiAttack.damageRatio,
+                    AbilityType.MULTI_ATTACK, multiAttack, hits.length > 0));
+            }
+            
+            return hits;
+        }
+        
+        const target = this.random.pick(targetable);
+        
+        const breath = this.getAbility(attacker, AbilityType.BREATH);
+        if (breath) {
+            // The chosen target takes the full blast, everyone else the splash
+            return [
+                this.createHit(target, 1, AbilityType.BREATH, breath, false),
+                ...defenders
+                    .filter(defender => defender !== target)
+                    .map(defender => this.createHit(defender, breath.splashRatio, AbilityType.BREATH, breath, true))
+            ];
+        }
+        
+        return [this.createHit(target, 1, null, null, false)];
+    }
+    
+    /**
+     * Build a single hit description
+     * @param {Object} defender - The monster being hit
+     * @param {number} damageRatio - Share of the normal damage dealt
+     * @param {string|null} ability - Ability causing the hit
+     * @param {Object|null} abilityData - Data of the ability
+     * @param {boolean} followUp - Whether this is an extra hit of the same attack
+     * @returns {Object} Hit description
+     */
+    createHit(defender, damageRatio, ability, abilityData, followUp) {
+        return {
+            defender,
+            damageRatio,
+            ability,
+            abilityName: abilityData ? abilityData.name : null,
+            followUp
+        };
+    }
+    
+    /**
+     * Roll whether a defender dodges an attack
+     * @param {Object} defender - The defending monster
+     * @returns {boolean} True if the attack is dodged
+     */
+    tryDodge(defender) {
+        const dodge = this.getAbility(defender, AbilityType.DODGE);
+        return dodge !== null && this.random.next() < dodge.chance;
+    }
+    
+    /**
+     * Calculate how much an attacker heals from the damage it dealt
+     * @param {Object} attacker - The attacking monster
+     * @param {number} damage - Damage dealt by the attack
+     * @returns {number} Health restored (0 without lifesteal or at full health)
+     */
+    getLifestealAmount(attacker, damage) {
+        const lifesteal = this.getAbility(attacker, AbilityType.LIFESTEAL);
+        if (!lifesteal) return 0;
+        
+        const missingHealth = attacker.maxHealth - attacker.health;
+        return Math.max(0, Math.min(missingHealth, Math.floor(damage * lifesteal.ratio)));
+    }
+    
+    /**
+     * Roll whether an attack applies the attacker's status effect
+     * @param {Object} attacker - The attacking monster
+     * @returns {Object|null} Status to apply {type, duration, potency, abilityName} or null
+     */
+    rollInflict(attacker) {
+        const inflict = this.getAbility(attacker, AbilityType.INFLICT);
+        if (!inflict || this.random.next() >= inflict.chance) return null;
+        
+        return this.createStatus(inflict);
+    }
+    
+    /**
+     * Get the status effect a monster applies to itself at the start of a battle
+     * @param {Object} monster - The monster
+     * @returns {Object|null} Status to apply {type, duration, potency, abilityName} or null
+     */
+    getWard(monster) {
+        const ward = this.getAbility(monster, AbilityType.WARD);
+        return ward ? this.createStatus(ward) : null;
+    }
+    
+    /**
+     * Build the status effect described by an ability
+     * @param {Object} abilityData - Ability data {name, status, duration, potency}
+     * @returns {Object} Status {type, duration, potency, abilityName}
+     */
+    createStatus(abilityData) {
+        return {
+            type: abilityData.status,
+            duration: abilityData.duration,
+            potency: abilityData.potency || 0,
+            abilityName: abilityData.name
+        };
+    }
+    
+    /**
+     * Create the smaller monsters a defeated monster splits into
+     * @param {Object} monster - The defeated monster
+     * @returns {Array<Object>} New combatants (empty if the monster cannot split)
+     */
+    createSplitMonsters(monster) {
+        const split = this.getAbility(monster, AbilityType.SPLIT);
+        if (!split) return [];
+        
+        const spawned = [];
+        for (let i = 0; i < split.count; i++) {
+            const maxHealth = Math.max(1, Math.floor(monster.maxHealth * split.statRatio));
+            
+            spawned.push({
+                id: `${monster.id}-split-${i}`,
+                tier: monster.tier,
+                attack: Math.max(1, Math.floor(monster.attack * split.statRatio)),
+                defense: Math.floor((monster.defense || 0) * split.statRatio),
+                speed: monster.speed,
+                element: monster.element,
+                health: maxHealth,
+                maxHealth: maxHealth,
+                special: { ...monster.special },
+                // Split monsters cannot split again
+                abilities: {},
+                statusEffects: [],
+                isPlayer: monster.isPlayer,
+                // Split monsters take the place of the defeated one
+                formation: monster.formation ? { ...monster.formation } : null,
+                summoned: true,
+                summonedBy: monster.id
+            });
+        }
+        
+        return spawned;
+    }
+}
@@ -2,25 +2,40 @@
  * BattleAnimator handles the animation of battles and visual effects
  */
 class BattleAnimator {
-    constructor(scene) {
+    constructor(scene, monsterManager) {
         this.scene = scene;
+        this.monsterManager = monsterManager;
         this.animationSpeed = 500; // ms per animation step
-        this.game = window.game;
         
         // Set up a battle arena position
         this.playerBattlePosition = new THREE.Vector3(-2, 0.5, 0);
         this.enemyBattlePosition = new THREE.Vector3(2, 0.5, 0);
         
+        // Distance between lines and rows of a battle formation
+        this.formationSpacing = { gridSize: 5, line: 1.0, row: 1.2 };
+        
+        // Meshes of monsters created by abilities during the battle
+        this.summonedMeshes = [];
+        
         // Debug helpers
         this.debugMode = true;
     }
     
+    /**
+     * The running game instance, resolved lazily since the animator is
+     * created before window.game is assigned
+     * @returns {Game|undefined} The game instance
+     */
+    get game() {
+        return window.game;
+    }
+    
     /**
      * Play battle animations based on the pre-calculated battle results
      * @param {Array} playerTeam - Array of player monsters
      * @param {Array} enemyTeam - Array of enemy monsters
      * @param {Object} result - Battle result data
-     * @param {Array} battleLog - Battle log messages
+     * @param {Array<BattleEvent>} battleLog - Structured battle events from the BattleSimulator
      * @param {Function} onComplete - Callback to run when animations complete
      */
     playBattleAnimations(playerTeam, enemyTeam, result, battleLog, onComplete) {
@@ -35,47 +50,13 @@ class BattleAnimator {
         // Move monsters to battle positions
         this.positionMonstersForBattle(playerTeam, enemyTeam, originalPositions);
         
-        // Process pre-calculated battle log to create animation queue
-        const battleEvents = [...battleLog];
-        const attackAnimations = [];
+        // Look up combatants by id so every event maps to the exact monster
+        // (this includes monsters the simulator added to the teams through abilities)
+        const combatantsById = new Map();
+        [...playerTeam, ...enemyTeam].forEach(monster => combatantsById.set(monster.id, monster));
         
-        // Parse battle log to create animations
-        for (let i = 0; i < battleEvents.length; i++) {
-            const event = battleEvents[i];
-            
-            // Check if it's an attack event
-            if (event.includes('attacks') && event.includes('damage')) {
-                const isPlayerAttack = event.startsWith('Player');
-                
-                // Extract monster tiers and damage from log
-                const tierMatches = event.match(/Tier (\d+)/g);
-                const damageMatch = event.match(/for (\d+) damage/);
-                
-                if (tierMatches && tierMatches.length === 2 && damageMatch) {
-                    const attackerTier = parseInt(tierMatches[0].replace('Tier ', ''));
-                    const defenderTier = parseInt(tierMatches[1].replace('Tier ', ''));
-                    const damage = parseInt(damageMatch[1]);
-                    
-                    // Find corresponding monsters
-                    const attackingTeam = isPlayerAttack ? playerTeam : enemyTeam;
-                    const defendingTeam = isPlayerAttack ? enemyTeam : playerTeam;
-                    
-                    // Find monsters that match the tiers from the log
-                    // This is an approximation since the log doesn't identify specific monsters
-                    const attacker = attackingTeam.find(m => m.tier === attackerTier && m.health > 0);
-                    const defender = defendingTeam.find(m => m.tier === defenderTier && m.health > 0);
-                    
-                    if (attacker && defender) {
-                        // Add animation to queue
-                        attackAnimations.push({
-                            attacker,
-                            defender,
-                            damage
-                        });
-                    }
-                }
-            }
-        }
+        // Build the replay queue from the pre-calculated battle log
+        const animationQueue = this.buildAnimationQueue(battleLog, combatantsById);
         
         // If in debug mode, add debug markers for battle positions
         if (this.debugMode) {
@@ -84,7 +65,7 @@ class BattleAnimator {
         
         // Play all animations in sequence
         const playNextAnimation = (index) => {
-            if (index >= attackAnimations.length) {
+            if (index >= animationQueue.length) {
                 // All animations done
                 if (this.game) {
                     this.game.inBattle = false;
@@ -93,6 +74,13 @@ class BattleAnimator {
                 // Restore original positions
                 this.restoreOriginalPositions(playerTeam, enemyTeam, originalPositions);
                 
+                // Summoned monsters disappear with the battle
+                this.removeSummonedMonsters();
+                
+                if (this.game && this.game.uiManager) {
+                    this.game.uiManager.hideTurnOrder();
+                }
+                
                 // Clear all health bars for enemy monsters
                 if (this.game && this.game.uiManager) {
                     for (const monster of enemyTeam) {
@@ -109,19 +97,152 @@ class BattleAnimator {
                 return;
             }
             
-            const anim = attackAnimations[index];
-            this.animateAttack(anim.attacker, anim.defender, anim.damage, () => {
+            this.playEvent(animationQueue[index], () => {
                 // Play next animation
                 playNextAnimation(index + 1);
             });
         };
         
+        // Boss waves open with an introduction of the boss
+        const boss = enemyTeam.find(monster => monster.boss);
+        
         // Start playing animations with a small delay for setup
         setTimeout(() => {
-            playNextAnimation(0);
+            if (boss) {
+                this.playBossIntro(boss, () => playNextAnimation(0));
+            } else {
+                playNextAnimation(0);
+            }
         }, 500);
     }
     
+    /**
+     * Turn the battle log into a queue of animation steps
+     * @param {Array<BattleEvent>} battleLog - Structured battle events
+     * @param {Map} combatantsById - Combatants keyed by monster id
+     * @returns {Array} Animation steps, each holding the event and the monsters involved
+     */
+    buildAnimationQueue(battleLog, combatantsById) {
+        const queue = [];
+        
+        for (const event of battleLog) {
+            switch (event.type) {
+                case BattleEventType.BATTLE_START:
+                    // Replay from the starting health of every combatant
+                    event.combatants.forEach(snapshot => {
+                        const monster = combatantsById.get(snapshot.id);
+                        if (monster) {
+                            monster.health = snapshot.health;
+                        }
+                    });
+                    break;
+                case BattleEventType.TURN_ORDER:
+                    queue.push({ event });
+                    break;
+                case BattleEventType.ATTACK:
+                case BattleEventType.DODGE: {
+                    const attacker = combatantsById.get(event.attackerId);
+                    const defender = combatantsById.get(event.defenderId);
+                    if (attacker && defender) {
+                        queue.push({ event, attacker, defender });
+                    }
+                    break;
+                }
+                case BattleEventType.BOSS_PHASE:
+                case BattleEventType.BOSS_ENRAGE:
+                case BattleEventType.STATUS_APPLIED:
+                case BattleEventType.STATUS_TICK:
+                case BattleEventType.ACTION_SKIPPED:
+                case BattleEventType.HEAL: {
+                    const monster = combatantsById.get(event.monsterId);
+                    if (monster) {
+                        queue.push({ event, monster });
+                    }
+                    break;
+                }
+                case BattleEventType.SUMMON:
+                case BattleEventType.SPLIT: {
+                    const monster = combatantsById.get(event.monsterId);
+                    const spawned = event.spawned
+                        .map(snapshot => combatantsById.get(snapshot.id))
+                        .filter(Boolean);
+                    if (monster) {
+                        queue.push({ event, monster, spawned });
+                    }
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+        
+        return queue;
+    }
+    
+    /**
+     * Play the animation for a single step of the queue
+     * @param {Object} step - Animation step built by buildAnimationQueue
+     * @param {Function} callback - Callback function when the animation completes
+     */
+    playEvent(step, callback) {
+        // Highlight the monster whose turn it is
+        if (step.attacker && !step.event.followUp && this.game && this.game.uiManager) {
+            this.game.uiManager.setActiveTurn(step.attacker.id);
+        }
+        
+        switch (step.event.type) {
+            case BattleEventType.TURN_ORDER:
+                if (this.game && this.game.uiManager) {
+                    this.game.uiManager.showTurnOrder(step.event.order);
+                }
+                callback();
+                break;
+            case BattleEventType.ATTACK:
+                if (step.event.followUp) {
+                    // Extra hits of the same attack land without another lunge
+                    this.animateFollowUpHit(step.defender, step.event, callback);
+                } else {
+                    this.showAbilityName(step.attacker, step.event.abilityName);
+                    this.animateAttack(step.attacker, step.defender, step.event, callback);
+                }
+                break;
+            case BattleEventType.DODGE:
+                this.showCombatText(step.defender, step.event.dodgeName || 'Dodge', 'dodge');
+                setTimeout(callback, this.animationSpeed / 2);
+                break;
+            case BattleEventType.HEAL:
+                this.animateHeal(step.monster, step.event, callback);
+                break;
+            case BattleEventType.STATUS_APPLIED:
+                this.animateStatusApplied(step.monster, step.event, callback);
+                break;
+            case BattleEventType.STATUS_TICK:
+                this.animateStatusTick(step.monster, step.event, callback);
+                break;
+            case BattleEventType.ACTION_SKIPPED:
+                this.showCombatText(step.monster, 'Stunned', StatusEffectType.STUN);
+                setTimeout(callback, this.animationSpeed / 2);
+                break;
+            case BattleEventType.SPLIT:
+                this.animateSplit(step.monster, step.spawned, step.event, callback);
+                break;
+            case BattleEventType.SUMMON:
+                this.animateSummon(step.monster, step.spawned, callback);
+                break;
+            case BattleEventType.BOSS_PHASE:
+                this.showCombatText(step.monster, step.event.phaseName, 'boss');
+                this.pulseMonster(step.monster, 1.15, callback);
+                break;
+            case BattleEventType.BOSS_ENRAGE:
+                this.showCombatText(step.monster, 'Enraged!', 'boss');
+                this.pulseMonster(step.monster, 1.25, callback);
+                break;
+            default:
+                callback();
+                break;
+        }
+    }
+    
     /**
      * Position monsters for battle
      * @param {Array} playerTeam - Player monster team
@@ -136,12 +257,9 @@ class BattleAnimator {
                 // Store original position
                 originalPositions.set(monster.id, monster.originalMesh.position.clone());
                 
-                // Position for battle - spread out in a line on left side
-                const offset = i * 1.5 - ((playerTeam.length - 1) * 0.75); // Center the line
-                monster.originalMesh.position.set(
-                    this.playerBattlePosition.x,
-                    this.playerBattlePosition.y,
-                    this.playerBattlePosition.z + offset
+                // Position for battle - mirror the board formation on the left side
+                monster.originalMesh.position.copy(
+                    this.getFormationPosition(monster, i, playerTeam.length, this.playerBattlePosition, -1)
                 );
                 
                 // Ensure the monster is visible
@@ -161,12 +279,9 @@ class BattleAnimator {
                 // Store original position
                 originalPositions.set(monster.id, monster.originalMesh.position.clone());
                 
-                // Position for battle - spread out in a line on right side
-                const offset = i * 1.5 - ((enemyTeam.length - 1) * 0.75); // Center the line
-                monster.originalMesh.position.set(
-                    this.enemyBattlePosition.x,
-                    this.enemyBattlePosition.y,
-                    this.enemyBattlePosition.z + offset
+                // Position for battle - formation on the right side, facing the player
+                monster.originalMesh.position.copy(
+                    this.getFormationPosition(monster, i, enemyTeam.length, this.enemyBattlePosition, 1)
                 );
                 
                 // Ensure the monster is visible and rotate to face player
@@ -181,6 +296,31 @@ class BattleAnimator {
         }
     }
     
+    /**
+     * Get the battle position of a monster from its formation. The front line
+     * stands at the team's battle position and back lines step away from the enemy.
+     * @param {Object} monster - The monster to position
+     * @param {number} index - Index of the monster in its team
+     * @param {number} teamSize - Number of monsters in the team
+     * @param {THREE.Vector3} basePosition - Battle position of the team
+     * @param {number} direction - -1 for the left side, 1 for the right side
+     * @returns {THREE.Vector3} Battle position
+     */
+    getFormationPosition(monster, index, teamSize, basePosition, direction) {
+        const position = basePosition.clone();
+        
+        if (monster.formation) {
+            const gridSize = this.formationSpacing.gridSize;
+            position.x += direction * monster.formation.line * this.formationSpacing.line;
+            position.z += (monster.formation.row - (gridSize - 1) / 2) * this.formationSpacing.row;
+        } else {
+            // Spread out in a single centered line
+            position.z += index * 1.5 - ((teamSize - 1) * 0.75);
+        }
+        
+        return position;
+    }
+    
     /**
      * Restore monsters to their original positions
      * @param {Array} playerTeam - Player monster team
@@ -238,11 +378,10 @@ class BattleAnimator {
      * Simple attack animation function
      * @param {Object} attacker - Attacking monster
      * @param {Object} defender - Defending monster
-     * @param {number} damage - Amount of damage
+     * @param {BattleEvent} event - The attack event being replayed
      * @param {Function} callback - Callback function when animation completes
      */
-    animateAttack(attacker, defender, damage, callback) {
-        const isPlayerAttacking = attacker.isPlayer;
+    animateAttack(attacker, defender, event, callback) {
         const mesh = attacker.originalMesh;
         
         // Store original position
@@ -280,37 +419,7 @@ class BattleAnimator {
             
             // After short delay, return to original position
             setTimeout(() => {
-                // Show damage effect on defender
-                this.showDamageEffect(defender.originalMesh, damage);
-                
-                // Update health directly (since the battle is pre-calculated)
-                // This ensures health bars update correctly during animation
-                if (defender.health > damage) {
-                    defender.health -= damage;
-                } else {
-                    defender.health = 0;
-                }
-                
-                // Show damage number if UI manager exists
-                if (this.game && this.game.uiManager) {
-                    const defenderPosition = this.getScreenPosition(defender.originalMesh);
-                    if (defenderPosition) {
-                        this.game.uiManager.showDamageNumber(defenderPosition.x, defenderPosition.y, damage);
-                    }
-                    
-                    // Update health bar if it exists
-                    this.game.uiManager.updateMonsterHealthBar(defender.id, defender.health, defender.maxHealth);
-                    
-                    // If monster is defeated
-                    if (defender.health <= 0) {
-                        // Mark monster as dead and make invisible
-                        defender.isDead = true;
-                        defender.originalMesh.visible = false;
-                        
-                        // Signal death in UI
-                        this.game.uiManager.removeMonsterHealthBar(defender.id);
-                    }
-                }
+                this.applyDamage(defender, event);
                 
                 // Return to original position
                 mesh.position.copy(originalPosition);
@@ -324,6 +433,297 @@ class BattleAnimator {
         moveToTarget();
     }
     
+    /**
+     * Apply an extra hit of a multi-target attack (Hydra heads, breath splash)
+     * @param {Object} defender - Defending monster
+     * @param {BattleEvent} event - The attack event being replayed
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animateFollowUpHit(defender, event, callback) {
+        this.applyDamage(defender, event);
+        setTimeout(callback, this.animationSpeed / 2);
+    }
+    
+    /**
+     * Show the damage of an attack event on the defender
+     * @param {Object} defender - Defending monster
+     * @param {BattleEvent} event - The attack event being replayed
+     */
+    applyDamage(defender, event) {
+        // Show damage effect on defender
+        this.showDamageEffect(defender.originalMesh, event.damage);
+        
+        // Replay the exact health recorded by the simulator
+        defender.health = event.defenderHealthAfter;
+        
+        if (event.absorbed > 0) {
+            this.showCombatText(defender, `Shield -${event.absorbed}`, StatusEffectType.SHIELD);
+        }
+        
+        // Call out elemental weaknesses and resistances
+        if (event.elementMultiplier > 1) {
+            this.showCombatText(defender, 'Weak!', 'effective');
+        } else if (event.elementMultiplier < 1) {
+            this.showCombatText(defender, 'Resisted', 'resisted');
+        }
+        
+        // Show damage number if UI manager exists
+        if (this.game && this.game.uiManager && event.damage > 0) {
+            this.game.uiManager.showDamageText(defender, event.damage);
+        }
+        
+        this.updateHealthDisplay(defender);
+    }
+    
+    /**
+     * Update the health bar of a monster and hide it once it is defeated
+     * @param {Object} monster - The monster whose health changed
+     */
+    updateHealthDisplay(monster) {
+        if (!this.game || !this.game.uiManager) return;
+        
+        // Update health bar if it exists
+        this.game.uiManager.updateMonsterHealthBar(monster);
+        
+        // If monster is defeated
+        if (monster.health <= 0) {
+            // Mark monster as dead and make invisible
+            monster.isDead = true;
+            if (monster.originalMesh) {
+                monster.originalMesh.visible = false;
+            }
+            
+            // Signal death in UI
+            this.game.uiManager.removeMonsterHealthBar(monster.id);
+        }
+    }
+    
+    /**
+     * Show a status effect being applied to a monster
+     * @param {Object} monster - The affected monster
+     * @param {BattleEvent} event - The status event being replayed
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animateStatusApplied(monster, event, callback) {
+        const definition = STATUS_EFFECT_DEFINITIONS[event.status];
+        const label = event.stacks > 1 ? `${definition.name} x${event.stacks}` : definition.name;
+        
+        this.showCombatText(monster, label, event.status);
+        this.playStatusParticles(monster, event.status);
+        
+        setTimeout(callback, this.animationSpeed / 2);
+    }
+    
+    /**
+     * Show the damage or healing of a status effect tick
+     * @param {Object} monster - The affected monster
+     * @param {BattleEvent} event - The tick event being replayed
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animateStatusTick(monster, event, callback) {
+        monster.health = event.healthAfter;
+        
+        if (event.damage > 0) {
+            this.showDamageEffect(monster.originalMesh, event.damage);
+            if (this.game && this.game.uiManager) {
+                this.game.uiManager.showDamageText(monster, event.damage);
+            }
+        }
+        
+        if (event.heal > 0) {
+            this.showCombatText(monster, `+${event.heal}`, 'heal');
+        }
+        
+        this.playStatusParticles(monster, event.status);
+        this.updateHealthDisplay(monster);
+        
+        setTimeout(callback, this.animationSpeed / 2);
+    }
+    
+    /**
+     * Play the particle effect of a status effect with the EffectManager
+     * @param {Object} monster - The affected monster
+     * @param {string} status - Status effect type
+     */
+    playStatusParticles(monster, status) {
+        const effectManager = this.game && this.game.effectManager;
+        if (!effectManager || !monster.mesh) return;
+        
+        const color = STATUS_EFFECT_DEFINITIONS[status].color;
+        
+        // Beneficial effects rise around the monster, harmful ones burst from it
+        if (status === StatusEffectType.REGEN || status === StatusEffectType.SHIELD) {
+            effectManager.createHealEffect(monster, { color });
+        } else {
+            effectManager.createHitEffect(monster.mesh.position.clone(), { color, count: 15 });
+        }
+    }
+    
+    /**
+     * Show a heal from an ability such as lifesteal
+     * @param {Object} monster - The healed monster
+     * @param {BattleEvent} event - The heal event being replayed
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animateHeal(monster, event, callback) {
+        monster.health = event.healthAfter;
+        
+        this.showCombatText(monster, `+${event.amount}`, 'heal');
+        this.updateHealthDisplay(monster);
+        
+        setTimeout(callback, this.animationSpeed / 2);
+    }
+    
+    /**
+     * Show the smaller monsters a defeated monster split into
+     * @param {Object} monster - The defeated monster
+     * @param {Array} spawned - The new combatants
+     * @param {BattleEvent} event - The split event being replayed
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animateSplit(monster, spawned, event, callback) {
+        // Split monsters are smaller models of the same tier
+        this.createSummonedModels(monster, spawned, 0.6, 0);
+        
+        this.showCombatText(spawned[0] || monster, event.abilityName, 'ability');
+        setTimeout(callback, this.animationSpeed);
+    }
+    
+    /**
+     * Show the minions a boss summoned next to it
+     * @param {Object} monster - The summoning boss
+     * @param {Array} spawned - The new combatants
+     * @param {Function} callback - Callback function when animation completes
+     */
+    animateSummon(monster, spawned, callback) {
+        // Minions appear in front of the boss, on the side of the player
+        this.createSummonedModels(monster, spawned, 1, -1.2);
+        
+        this.showCombatText(monster, 'Summon!', 'boss');
+        setTimeout(callback, this.animationSpeed);
+    }
+    
+    /**
+     * Create models for monsters added to the battle by abilities or bosses
+     * @param {Object} monster - The monster they come from
+     * @param {Array} spawned - The new combatants
+     * @param {number} scale - Scale of the new models
+     * @param {number} offsetX - Distance from the monster along the battlefield
+     */
+    createSummonedModels(monster, spawned, scale, offsetX) {
+        const origin = monster.originalMesh ? monster.originalMesh.position : null;
+        
+        spawned.forEach((child, index) => {
+            if (!origin || !this.monsterManager) return;
+            
+            // Create a fresh model of the spawned tier
+            const model = this.monsterManager.createMonster(child.tier);
+            model.mesh.scale.multiplyScalar(scale);
+            model.mesh.position.set(origin.x + offsetX, origin.y, origin.z + (index - (spawned.length - 1) / 2) * 0.8);
+            model.mesh.rotation.y = monster.originalMesh.rotation.y;
+            this.scene.add(model.mesh);
+            this.summonedMeshes.push(model.mesh);
+            
+            child.mesh = model.mesh;
+            child.originalMesh = model.mesh;
+            
+            if (this.game && this.game.uiManager) {
+                this.game.uiManager.updateMonsterHealthBar(child);
+            }
+        });
+    }
+    
+    /**
+     * Introduce a boss: show its banner and let it grow and shrink back
+     * @param {Object} boss - The boss monster
+     * @param {Function} callback - Callback function when the intro ends
+     */
+    playBossIntro(boss, callback) {
+        const uiManager = this.game && this.game.uiManager;
+        if (uiManager) {
+            const phases = boss.boss.phases.length + 1;
+            uiManager.showBossIntro(boss.boss.name, `${phases} phases - enrages on turn ${boss.boss.enrageTurn}`);
+        }
+        
+        this.pulseMonster(boss, 1.3, () => {
+            setTimeout(() => {
+                if (uiManager) {
+                    uiManager.hideBossIntro();
+                }
+                callback();
+            }, this.animationSpeed * 2);
+        });
+    }
+    
+    /**
+     * Briefly scale a monster up and back down
+     * @param {Object} monster - The monster
+     * @param {number} factor - Peak scale relative to the current scale
+     * @param {Function} callback - Callback function when the pulse ends
+     */
+    pulseMonster(monster, factor, callback) {
+        const mesh = monster.originalMesh;
+        if (!mesh) {
+            setTimeout(callback, this.animationSpeed);
+            return;
+        }
+        
+        const baseScale = mesh.scale.clone();
+        const duration = this.animationSpeed;
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const progress = Math.min(1, (Date.now() - startTime) / duration);
+            // Grow during the first half and shrink back during the second
+            const scale = 1 + (factor - 1) * Math.sin(progress * Math.PI);
+            mesh.scale.copy(baseScale).multiplyScalar(scale);
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                mesh.scale.copy(baseScale);
+                callback();
+            }
+        };
+        
+        animate();
+    }
+    
+    /**
+     * Remove the meshes of monsters created by abilities
+     */
+    removeSummonedMonsters() {
+        this.summonedMeshes.forEach(mesh => {
+            if (mesh.parent) {
+                mesh.parent.remove(mesh);
+            }
+        });
+        this.summonedMeshes = [];
+    }
+    
+    /**
+     * Show the name of the ability used by an attacker
+     * @param {Object} monster - The monster using the ability
+     * @param {string|null} abilityName - Display name of the ability
+     */
+    showAbilityName(monster, abilityName) {
+        if (abilityName) {
+            this.showCombatText(monster, abilityName, 'ability');
+        }
+    }
+    
+    /**
+     * Show floating text above a monster
+     * @param {Object} monster - The monster to show the text above
+     * @param {string} text - Text to show
+     * @param {string} type - Text style (ability, heal, dodge, effective, resisted or a status effect type)
+     */
+    showCombatText(monster, text, type) {
+        if (this.game && this.game.uiManager) {
+            this.game.uiManager.showCombatText(monster, text, type);
+        }
+    }
+    
     /**
      * Helper method to get screen position of a mesh
      * @param {THREE.Object3D} mesh - The mesh to get screen position for
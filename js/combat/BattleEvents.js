@@ -0,0 +1,139 @@
+/**
+ * BattleEvents defines the structured events recorded by the BattleSimulator.
+ * Every entry in the battle log is a BattleEvent; the human-readable message
+ * is derived from the event data so the log can be replayed and analysed.
+ */
+const BattleEventType = Object.freeze({
+    BATTLE_START: 'battleStart',
+    TURN_START: 'turnStart',
+    TURN_ORDER: 'turnOrder',
+    ATTACK: 'attack',
+    DODGE: 'dodge',
+    HEAL: 'heal',
+    KILL: 'kill',
+    SPLIT: 'split',
+    SUMMON: 'summon',
+    BOSS_PHASE: 'bossPhase',
+    BOSS_ENRAGE: 'bossEnrage',
+    STATUS_APPLIED: 'statusApplied',
+    STATUS_TICK: 'statusTick',
+    STATUS_EXPIRED: 'statusExpired',
+    ACTION_SKIPPED: 'actionSkipped',
+    TIMEOUT: 'timeout',
+    VICTORY: 'victory',
+    DEFEAT: 'defeat'
+});
+
+// How a battle ended. A draw happens when both teams still stand after the turn limit.
+const BattleOutcome = Object.freeze({
+    VICTORY: 'victory',
+    DEFEAT: 'defeat',
+    DRAW: 'draw'
+});
+
+class BattleEvent {
+    /**
+     * Create a new battle event
+     * @param {string} type - One of BattleEventType
+     * @param {number} turn - Turn number the event happened in (0 before the first turn)
+     * @param {Object} data - Event specific data (ids, damage, health values...)
+     */
+    constructor(type, turn, data = {}) {
+        this.type = type;
+        this.turn = turn;
+        Object.assign(this, data);
+        
+        // Derive the display text from the event data
+        this.message = BattleEvent.describe(this);
+    }
+    
+    /**
+     * Build a short label for a combatant, e.g. "Player Tier 3 monster"
+     * @param {boolean} isPlayer - Whether the combatant belongs to the player
+     * @param {number} tier - Combatant tier
+     * @returns {string} Combatant label
+     */
+    static describeCombatant(isPlayer, tier) {
+        return `${isPlayer ? 'Player' : 'Enemy'} Tier ${tier} monster`;
+    }
+    
+    /**
+     * Get the display name of a status effect
+     * @param {string} status - Status effect type
+     * @returns {string} Status effect name
+     */
+    static describeStatus(status) {
+        const definition = STATUS_EFFECT_DEFINITIONS[status];
+        return definition ? definition.name : status;
+    }
+    
+    /**
+     * Create the human-readable message for an event
+     * @param {Object} event - The battle event
+     * @returns {string} Message describing the event
+     */
+    static describe(event) {
+        switch (event.type) {
+            case BattleEventType.BATTLE_START:
+                return 'Battle begins!';
+            case BattleEventType.TURN_START:
+                return `Turn ${event.turn} begins`;
+            case BattleEventType.TURN_ORDER:
+                return `Turn order: ${event.order.map(entry => `${entry.isPlayer ? 'P' : 'E'}${entry.tier} (speed ${entry.speed})`).join(', ')}`;
+            case BattleEventType.ATTACK:
+                return `${BattleEvent.describeCombatant(event.attackerIsPlayer, event.attackerTier)} attacks ` +
+                    `${BattleEvent.describeCombatant(event.defenderIsPlayer, event.defenderTier)} for ${event.damage} damage` +
+                    (event.absorbed > 0 ? ` (${event.absorbed} absorbed)` : '') +
+                    (event.abilityName ? ` with ${event.abilityName}!` : '!');
+            case BattleEventType.DODGE:
+                return `${BattleEvent.describeCombatant(event.defenderIsPlayer, event.defenderTier)} dodges the attack of ` +
+                    `${BattleEvent.describeCombatant(event.attackerIsPlayer, event.attackerTier)}!`;
+            case BattleEventType.HEAL:
+                return `${BattleEvent.describeCombatant(event.monsterIsPlayer, event.monsterTier)} heals ${event.amount} health` +
+                    (event.abilityName ? ` with ${event.abilityName}!` : '!');
+            case BattleEventType.KILL:
+                return `${BattleEvent.describeCombatant(event.defenderIsPlayer, event.defenderTier)} is defeated!`;
+            case BattleEventType.SPLIT:
+                return `${BattleEvent.describeCombatant(event.monsterIsPlayer, event.monsterTier)} splits into ` +
+                    `${event.spawned.length} smaller monsters with ${event.abilityName}!`;
+            case BattleEventType.SUMMON:
+                return `${event.bossName} summons ${event.spawned.length} ` +
+                    `${event.spawned.length === 1 ? 'minion' : 'minions'}!`;
+            case BattleEventType.BOSS_PHASE:
+                return `${event.bossName} enters phase ${event.phase + 1}: ${event.phaseName}!`;
+            case BattleEventType.BOSS_ENRAGE:
+                return `${event.bossName} becomes enraged!`;
+            case BattleEventType.STATUS_APPLIED:
+                return `${BattleEvent.describeCombatant(event.monsterIsPlayer, event.monsterTier)} is affected by ` +
+                    `${BattleEvent.describeStatus(event.status)}` +
+                    (event.stacks > 1 ? ` (x${event.stacks})` : '') + ` for ${event.duration} turns!`;
+            case BattleEventType.STATUS_TICK:
+                return `${BattleEvent.describeCombatant(event.monsterIsPlayer, event.monsterTier)} ` +
+                    (event.damage > 0 ? `takes ${event.damage} damage` : `heals ${event.heal} health`) +
+                    ` from ${BattleEvent.describeStatus(event.status)}`;
+            case BattleEventType.STATUS_EXPIRED:
+                return `${BattleEvent.describeStatus(event.status)} on ` +
+                    `${BattleEvent.describeCombatant(event.monsterIsPlayer, event.monsterTier)} ` +
+                    (event.broken ? 'breaks' : 'wears off');
+            case BattleEventType.ACTION_SKIPPED:
+                return `${BattleEvent.describeCombatant(event.monsterIsPlayer, event.monsterTier)} is ` +
+                    `${event.status === 'stun' ? 'stunned' : 'unable to act'} and skips its turn!`;
+            case BattleEventType.TIMEOUT:
+                return "Battle timed out! It's a draw.";
+            case BattleEventType.VICTORY:
+                return 'Victory! Your monsters have defeated the enemies!';
+            case BattleEventType.DEFEAT:
+                return 'Defeat! Your monsters were overcome by the enemies!';
+            default:
+                return event.type;
+        }
+    }
+    
+    /**
+     * Events print as their message so they can still be shown as plain text
+     * @returns {string} The event message
+     */
+    toString() {
+        return this.message;
+    }
+}
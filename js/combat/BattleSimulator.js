@@ -2,9 +2,55 @@
  * BattleSimulator handles the simulation of battles between player and enemy teams
  */
 class BattleSimulator {
-    constructor(monsterManager) {
+    constructor(monsterManager, random) {
         this.monsterManager = monsterManager;
         this.battleLog = [];
+        
+        // Random number generator for damage variance and targeting
+        this.random = random || new SeededRandom();
+        
+        // Damage formula and monster specials
+        this.combatRules = new CombatRules(CombatRuleSet.CLASSIC, this.random);
+        
+        // Monster abilities (multi attacks, dodging, lifesteal, splitting...)
+        this.abilitySystem = new AbilitySystem(this.random);
+        
+        // Lingering effects such as burn, poison, stun, shield and regen
+        this.statusEffects = new StatusEffectSystem();
+        
+        // Boss phases, enrage timers and minion summons
+        this.bossSystem = new BossSystem();
+        
+        // Order in which monsters of both teams act, by speed
+        this.turnScheduler = new TurnScheduler(this.random);
+        
+        // Front/back lines and adjacency bonuses from the grid placement
+        this.formationRules = new FormationRules();
+        
+        // Turn limit after which the battle ends in a draw
+        this.maxTurns = 100;
+        
+        // Print every battle event to the console (see CombatManager.setDebugMode)
+        this.debugMode = false;
+    }
+    
+    /**
+     * Set the random number generator used by the simulation
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+        this.combatRules.setRandom(random);
+        this.abilitySystem.setRandom(random);
+        this.turnScheduler.setRandom(random);
+    }
+    
+    /**
+     * Set the combat rules used to calculate damage
+     * @param {CombatRules} combatRules - Combat rules to use
+     */
+    setCombatRules(combatRules) {
+        this.combatRules = combatRules;
     }
     
     /**
@@ -16,7 +62,7 @@ class BattleSimulator {
     
     /**
      * Get the battle log
-     * @returns {Array} Array of battle log messages
+     * @returns {Array<BattleEvent>} Array of structured battle events
      */
     getLog() {
         return this.battleLog;
@@ -24,11 +70,20 @@ class BattleSimulator {
     
     /**
      * Add an event to the battle log
-     * @param {string} message - The battle event message
+     * @param {string} type - The event type (see BattleEventType)
+     * @param {number} turn - The turn the event happened in
+     * @param {Object} data - Event specific data
+     * @returns {BattleEvent} The recorded event
      */
-    logBattleEvent(message) {
-        this.battleLog.push(message);
-        console.log("Battle Event:", message); // Debug log to see if events are being recorded
+    logBattleEvent(type, turn, data = {}) {
+        const event = new BattleEvent(type, turn, data);
+        this.battleLog.push(event);
+        
+        // Debug log to see if events are being recorded
+        if (this.debugMode) {
+            console.log("Battle Event:", event.message);
+        }
+        return event;
     }
     
     /**
@@ -38,119 +93,472 @@ class BattleSimulator {
      * @returns {Promise} Promise that resolves when simulation is complete
      */
     simulateBattle(playerTeam, enemyTeam) {
+        return Promise.resolve(this.runBattle(playerTeam, enemyTeam));
+    }
+    
+    /**
+     * Run a complete battle synchronously. Only plain monster data is needed
+     * (id, tier, attack, defense, health, maxHealth, isPlayer, abilities and an
+     * optional gridPosition), so this also works outside the browser. The teams
+     * should be battle copies: formation bonuses are applied to their stats and
+     * monsters created by abilities are added to them with `summoned: true`.
+     * @param {Array} playerTeam - Array of player monsters
+     * @param {Array} enemyTeam - Array of enemy monsters
+     * @returns {Object} Battle results including the outcome (BattleOutcome) and the battle log
+     */
+    runBattle(playerTeam, enemyTeam) {
         // Clear previous battle log
         this.clearLog();
         
-        this.logBattleEvent("Battle begins!");
+        // Derive lines and adjacency bonuses from the grid placement
+        this.formationRules.applyFormation(playerTeam);
+        this.formationRules.applyFormation(enemyTeam);
+        
+        // Status effects never carry over from a previous battle
+        [...playerTeam, ...enemyTeam].forEach(m => this.statusEffects.clear(m));
+        this.bossSystem.prepare(playerTeam);
+        this.bossSystem.prepare(enemyTeam);
+        
+        // Record the starting state of every combatant so the fight can be replayed
+        this.logBattleEvent(BattleEventType.BATTLE_START, 0, {
+            combatants: [...playerTeam, ...enemyTeam].map(m => this.snapshotCombatant(m))
+        });
+        
+        // Monsters with a ward ability start the battle with their own status effect
+        [...playerTeam, ...enemyTeam].forEach(m => this.applyWard(m, 0));
+        
+        let currentTurn = 0;
         
-        return new Promise((resolve) => {
-            let currentTurn = 0;
-            const maxTurns = 100; // Prevent infinite loops
+        // Track damage dealt by each team for results
+        let playerDamageDealt = 0;
+        let enemyDamageDealt = 0;
+        
+        // Keep fighting until one team is defeated or the turn limit is reached
+        while (playerTeam.some(m => m.health > 0) &&
+               enemyTeam.some(m => m.health > 0) &&
+               currentTurn < this.maxTurns) {
+            currentTurn++;
+            this.logBattleEvent(BattleEventType.TURN_START, currentTurn);
+            
+            // Bosses that are still standing when their timer runs out enrage
+            [...playerTeam, ...enemyTeam]
+                .filter(m => m.health > 0 && this.bossSystem.tryEnrage(m, currentTurn))
+                .forEach(m => this.logBattleEvent(BattleEventType.BOSS_ENRAGE, currentTurn, {
+                    monsterId: m.id,
+                    monsterTier: m.tier,
+                    monsterIsPlayer: m.isPlayer,
+                    bossName: m.boss.name,
+                    attack: m.attack
+                }));
             
-            // Track damage dealt by each team for results
-            let playerDamageDealt = 0;
-            let enemyDamageDealt = 0;
+            // Monsters of both teams act interleaved, fastest first
+            const turnOrder = this.turnScheduler.getTurnOrder(playerTeam, enemyTeam);
+            this.logBattleEvent(BattleEventType.TURN_ORDER, currentTurn, {
+                order: turnOrder.map(m => ({
+                    id: m.id,
+                    isPlayer: m.isPlayer,
+                    tier: m.tier,
+                    speed: this.turnScheduler.getSpeed(m)
+                }))
+            });
             
-            const simulateTurn = () => {
-                currentTurn++;
-                this.logBattleEvent(`Turn ${currentTurn} begins`);
+            for (const attacker of turnOrder) {
+                const team = attacker.isPlayer ? playerTeam : enemyTeam;
+                const opponents = attacker.isPlayer ? enemyTeam : playerTeam;
                 
-                // Check if battle is over
-                if (playerTeam.every(m => m.health <= 0) || 
-                    enemyTeam.every(m => m.health <= 0) || 
-                    currentTurn > maxTurns) {
-                    // Battle is over, determine outcome
-                    const victory = enemyTeam.every(m => m.health <= 0);
-                    const remainingPlayerMonsters = playerTeam.filter(m => m.health > 0);
-                    
-                    if (currentTurn > maxTurns) {
-                        this.logBattleEvent("Battle timed out! It's a draw.");
-                    } else if (victory) {
-                        this.logBattleEvent("Victory! Your monsters have defeated the enemies!");
-                    } else {
-                        this.logBattleEvent("Defeat! Your monsters were overcome by the enemies!");
-                    }
-                    
-                    // Calculate final results with battle log
-                    const results = {
-                        victory,
-                        remainingPlayerMonsters, // Keep this property name consistent
-                        remainingMonsters: remainingPlayerMonsters, // Add this for backwards compatibility
-                        playerDamageDealt,
-                        enemyDamageDealt,
-                        battleLog: this.getLog()  // Include the battle log in the results
-                    };
-                    
-                    // Log the battle log length for debugging
-                    console.log(`Battle complete. Battle log has ${results.battleLog.length} entries.`);
-                    
-                    resolve(results);
-                    return;
+                // The battle is decided as soon as one team is wiped out
+                if (!opponents.some(m => m.health > 0)) break;
+                
+                // Monsters defeated earlier in the turn don't get to act
+                if (attacker.health <= 0) continue;
+                
+                // Status effects tick at the start of the monster's action
+                const actionPrevented = this.statusEffects.isActionPrevented(attacker);
+                const statusDamage = this.tickStatusEffects(attacker, team, currentTurn);
+                if (attacker.isPlayer) {
+                    enemyDamageDealt += statusDamage;
+                } else {
+                    playerDamageDealt += statusDamage;
                 }
                 
-                // Player team attacks
-                this.logBattleEvent("Player's turn:");
-                playerDamageDealt += this.simulateTeamAttack(playerTeam, enemyTeam);
+                if (attacker.health <= 0) continue;
                 
-                // Check if enemy team is defeated
-                if (enemyTeam.every(m => m.health <= 0)) {
-                    simulateTurn(); // Skip to end condition check
-                    return;
+                if (actionPrevented) {
+                    this.logBattleEvent(BattleEventType.ACTION_SKIPPED, currentTurn, {
+                        monsterId: attacker.id,
+                        monsterTier: attacker.tier,
+                        monsterIsPlayer: attacker.isPlayer,
+                        status: StatusEffectType.STUN
+                    });
+                    continue;
                 }
                 
-                // Enemy team attacks
-                this.logBattleEvent("Enemy's turn:");
-                enemyDamageDealt += this.simulateTeamAttack(enemyTeam, playerTeam);
+                // Bosses call in minions before they attack
+                if (this.bossSystem.shouldSummon(attacker, currentTurn)) {
+                    this.summonMinions(attacker, attacker.boss.summon.count, team, currentTurn);
+                }
                 
-                // Schedule next turn with a small delay (for animation purposes)
-                setTimeout(simulateTurn, 50);
-            };
+                const damage = this.simulateAttack(attacker, opponents, currentTurn);
+                if (attacker.isPlayer) {
+                    playerDamageDealt += damage;
+                } else {
+                    enemyDamageDealt += damage;
+                }
+            }
+        }
+        
+        // Battle is over, determine outcome
+        let outcome;
+        if (enemyTeam.every(m => m.health <= 0)) {
+            outcome = BattleOutcome.VICTORY;
+            this.logBattleEvent(BattleEventType.VICTORY, currentTurn);
+        } else if (playerTeam.some(m => m.health > 0)) {
+            outcome = BattleOutcome.DRAW;
+            this.logBattleEvent(BattleEventType.TIMEOUT, currentTurn);
+        } else {
+            outcome = BattleOutcome.DEFEAT;
+            this.logBattleEvent(BattleEventType.DEFEAT, currentTurn);
+        }
+        
+        const bosses = enemyTeam.filter(m => m.boss);
+        // Summoned monsters only exist for the duration of the battle
+        const remainingPlayerMonsters = playerTeam.filter(m => m.health > 0 && !m.summoned);
+        
+        // Calculate final results with battle log
+        const results = {
+            outcome,
+            victory: outcome === BattleOutcome.VICTORY,
+            draw: outcome === BattleOutcome.DRAW,
+            remainingPlayerMonsters, // Keep this property name consistent
+            remainingMonsters: remainingPlayerMonsters, // Add this for backwards compatibility
+            remainingEnemyMonsters: enemyTeam.filter(m => m.health > 0),
+            playerDamageDealt,
+            enemyDamageDealt,
+            turns: currentTurn,
+            bossWave: bosses.length > 0,
+            bossDefeated: bosses.length > 0 && bosses.every(m => m.health <= 0),
+            seed: this.random.seed,
+            battleLog: this.getLog()  // Include the battle log in the results
+        };
+        
+        // Log the battle log length for debugging
+        if (this.debugMode) {
+            console.log(`Battle complete. Battle log has ${results.battleLog.length} entries.`);
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Record the state of a combatant for the battle log
+     * @param {Object} monster - The combatant
+     * @returns {Object} Snapshot {id, isPlayer, tier, health, maxHealth, speed, formation, bossName}
+     */
+    snapshotCombatant(monster) {
+        return {
+            id: monster.id,
+            isPlayer: monster.isPlayer,
+            tier: monster.tier,
+            health: monster.health,
+            maxHealth: monster.maxHealth,
+            speed: this.turnScheduler.getSpeed(monster),
+            formation: monster.formation ? { ...monster.formation } : null,
+            bossName: monster.boss ? monster.boss.name : null
+        };
+    }
+    
+    /**
+     * Simulate the attack of a single monster
+     * @param {Object} attacker - The attacking monster
+     * @param {Array} defenders - Team that's defending (monsters that split are added to it)
+     * @param {number} turn - Current turn number
+     * @returns {number} Total damage dealt by the attack
+     */
+    simulateAttack(attacker, defenders, turn) {
+        // Find alive defenders
+        const aliveDefenders = defenders.filter(m => m.health > 0);
+        if (aliveDefenders.length === 0) return 0;
+        
+        // Attacks go for the front line; abilities decide whether they hit one or several defenders
+        const targetable = this.formationRules.getTargetableDefenders(aliveDefenders);
+        const hits = this.abilitySystem.selectTargets(attacker, aliveDefenders, targetable);
+        
+        return hits.reduce((total, hit) => total + this.resolveHit(attacker, hit, defenders, turn), 0);
+    }
+    
+    /**
+     * Resolve a single hit of an attack, including dodging, lifesteal and splitting
+     * @param {Object} attacker - Attacking monster
+     * @param {Object} hit - Hit from AbilitySystem.selectTargets
+     * @param {Array} defenders - Defending team
+     * @param {number} turn - Current turn number
+     * @returns {number} Damage dealt by the hit
+     */
+    resolveHit(attacker, hit, defenders, turn) {
+        const defender = hit.defender;
+        const abilityData = {
+            ability: hit.ability,
+            abilityName: hit.abilityName,
+            followUp: hit.followUp
+        };
+        
+        if (this.abilitySystem.tryDodge(defender)) {
+            const dodge = this.abilitySystem.getAbility(defender, AbilityType.DODGE);
             
-            // Start simulation
-            simulateTurn();
+            this.logBattleEvent(BattleEventType.DODGE, turn, {
+                attackerId: attacker.id,
+                attackerTier: attacker.tier,
+                attackerIsPlayer: attacker.isPlayer,
+                defenderId: defender.id,
+                defenderTier: defender.tier,
+                defenderIsPlayer: defender.isPlayer,
+                dodgeName: dodge.name,
+                ...abilityData
+            });
+            return 0;
+        }
+        
+        // Calculate and apply damage, monsters behind the front line take less
+        const lineMultiplier = this.formationRules.getDamageTakenMultiplier(defender, defenders);
+        const rawDamage = Math.max(1, Math.floor(this.calculateDamage(attacker, defender) * hit.damageRatio * lineMultiplier));
+        
+        // Shields soak up damage before it reaches the defender's health
+        const absorption = this.statusEffects.absorbDamage(defender, rawDamage);
+        const damage = absorption.damage;
+        
+        // Apply damage to defender
+        const healthBefore = defender.health;
+        defender.health = Math.max(0, defender.health - damage);
+        const killed = defender.health <= 0;
+        
+        // Log the attack
+        this.logBattleEvent(BattleEventType.ATTACK, turn, {
+            attackerId: attacker.id,
+            attackerTier: attacker.tier,
+            attackerIsPlayer: attacker.isPlayer,
+            defenderId: defender.id,
+            defenderTier: defender.tier,
+            defenderIsPlayer: defender.isPlayer,
+            damage,
+            defenderHealthBefore: healthBefore,
+            defenderHealthAfter: defender.health,
+            elementMultiplier: this.combatRules.getElementMultiplier(attacker, defender),
+            absorbed: absorption.absorbed,
+            ...abilityData
         });
+        
+        absorption.broken.forEach(status => this.logStatusExpired(defender, status, true, turn));
+        
+        const healed = this.abilitySystem.getLifestealAmount(attacker, damage);
+        if (healed > 0) {
+            attacker.health += healed;
+            
+            this.logBattleEvent(BattleEventType.HEAL, turn, {
+                monsterId: attacker.id,
+                monsterTier: attacker.tier,
+                monsterIsPlayer: attacker.isPlayer,
+                amount: healed,
+                healthAfter: attacker.health,
+                ability: AbilityType.LIFESTEAL,
+                abilityName: attacker.abilities.lifesteal.name
+            });
+        }
+        
+        if (killed) {
+            this.handleDefeat(defender, attacker.id, defenders, turn);
+        } else {
+            // Abilities may leave a lingering effect on the defender
+            const inflicted = this.abilitySystem.rollInflict(attacker);
+            if (inflicted) {
+                this.applyStatus(defender, inflicted, attacker, turn);
+            }
+            
+            this.checkBossPhase(defender, defenders, turn);
+        }
+        
+        return damage;
     }
     
     /**
-     * Simulate attack phase for one team
-     * @param {Array} attackers - Team that's attacking
-     * @param {Array} defenders - Team that's defending
-     * @returns {number} Total damage dealt in this attack phase
+     * Record the defeat of a monster and let it split if it can
+     * @param {Object} monster - The defeated monster
+     * @param {string|number} attackerId - Id of the monster responsible
+     * @param {Array} team - Team of the defeated monster (split monsters are added to it)
+     * @param {number} turn - Current turn number
      */
-    simulateTeamAttack(attackers, defenders) {
-        let totalDamageDealt = 0;
+    handleDefeat(monster, attackerId, team, turn) {
+        this.statusEffects.clear(monster);
         
-        // Each alive monster in attacking team gets to attack
-        attackers.filter(m => m.health > 0).forEach(attacker => {
-            // Find alive defenders
-            const aliveDefenders = defenders.filter(m => m.health > 0);
-            if (aliveDefenders.length === 0) return;
+        this.logBattleEvent(BattleEventType.KILL, turn, {
+            attackerId,
+            defenderId: monster.id,
+            defenderTier: monster.tier,
+            defenderIsPlayer: monster.isPlayer
+        });
+        
+        const spawned = this.abilitySystem.createSplitMonsters(monster);
+        if (spawned.length > 0) {
+            team.push(...spawned);
+            
+            this.logBattleEvent(BattleEventType.SPLIT, turn, {
+                monsterId: monster.id,
+                monsterTier: monster.tier,
+                monsterIsPlayer: monster.isPlayer,
+                spawned: spawned.map(m => this.snapshotCombatant(m)),
+                ability: AbilityType.SPLIT,
+                abilityName: monster.abilities.split.name
+            });
+        }
+    }
+    
+    /**
+     * Move a boss into its next phases once its health drops low enough
+     * @param {Object} monster - The damaged monster
+     * @param {Array} team - Team of the monster (summoned minions are added to it)
+     * @param {number} turn - Current turn number
+     */
+    checkBossPhase(monster, team, turn) {
+        let phase;
+        while ((phase = this.bossSystem.tryAdvancePhase(monster))) {
+            this.logBattleEvent(BattleEventType.BOSS_PHASE, turn, {
+                monsterId: monster.id,
+                monsterTier: monster.tier,
+                monsterIsPlayer: monster.isPlayer,
+                bossName: monster.boss.name,
+                phase: monster.bossState.phase,
+                phaseName: phase.name,
+                attack: monster.attack
+            });
             
-            // Select a random defender
-            const defender = aliveDefenders[Math.floor(Math.random() * aliveDefenders.length)];
+            if (phase.summonCount) {
+                this.summonMinions(monster, phase.summonCount, team, turn);
+            }
+        }
+    }
+    
+    /**
+     * Let a boss summon minions into its team and record it
+     * @param {Object} monster - The summoning boss
+     * @param {number} count - Number of minions (capped by BossSystem.maxMinions)
+     * @param {Array} team - Team of the boss
+     * @param {number} turn - Current turn number
+     */
+    summonMinions(monster, count, team, turn) {
+        const summonCount = Math.min(count, this.bossSystem.getSummonCapacity(monster, team));
+        if (summonCount <= 0) return;
+        
+        const spawned = this.bossSystem.createMinions(monster, summonCount);
+        team.push(...spawned);
+        
+        this.logBattleEvent(BattleEventType.SUMMON, turn, {
+            monsterId: monster.id,
+            monsterTier: monster.tier,
+            monsterIsPlayer: monster.isPlayer,
+            bossName: monster.boss.name,
+            spawned: spawned.map(m => this.snapshotCombatant(m))
+        });
+        
+        spawned.forEach(m => this.applyWard(m, turn));
+    }
+    
+    /**
+     * Give a monster the status effect of its ward ability, if it has one
+     * @param {Object} monster - The monster
+     * @param {number} turn - Current turn number
+     */
+    applyWard(monster, turn) {
+        const ward = this.abilitySystem.getWard(monster);
+        if (ward) {
+            this.applyStatus(monster, ward, monster, turn);
+        }
+    }
+    
+    /**
+     * Apply a status effect and record it
+     * @param {Object} monster - The affected monster
+     * @param {Object} status - Status {type, duration, potency, abilityName}
+     * @param {Object} source - Monster that applied the effect
+     * @param {number} turn - Current turn number
+     */
+    applyStatus(monster, status, source, turn) {
+        const effect = this.statusEffects.apply(monster, { ...status, sourceId: source.id });
+        
+        this.logBattleEvent(BattleEventType.STATUS_APPLIED, turn, {
+            monsterId: monster.id,
+            monsterTier: monster.tier,
+            monsterIsPlayer: monster.isPlayer,
+            sourceId: source.id,
+            status: effect.type,
+            duration: effect.duration,
+            potency: effect.potency,
+            stacks: effect.stacks,
+            abilityName: status.abilityName
+        });
+    }
+    
+    /**
+     * Run the status effects of a monster at the start of its action
+     * @param {Object} monster - The acting monster
+     * @param {Array} team - Team of the monster
+     * @param {number} turn - Current turn number
+     * @returns {number} Damage the monster took from its status effects
+     */
+    tickStatusEffects(monster, team, turn) {
+        const { ticks, expired } = this.statusEffects.tick(monster);
+        let damageTaken = 0;
+        
+        ticks.forEach(tick => {
+            if (monster.health <= 0) return;
             
-            // Calculate and apply damage
-            const damage = this.calculateDamage(attacker, defender);
-            totalDamageDealt += damage;
+            const healthBefore = monster.health;
+            monster.health = Math.max(0, monster.health - tick.damage);
+            damageTaken += healthBefore - monster.health;
             
-            // Apply damage to defender
-            defender.health = Math.max(0, defender.health - damage);
-            const killed = defender.health <= 0;
+            const healthAfterDamage = monster.health;
+            monster.health = Math.min(monster.maxHealth, monster.health + tick.heal);
             
-            // Log the attack
-            const attackerType = attacker.isPlayer ? "Player" : "Enemy";
-            const defenderType = defender.isPlayer ? "Player" : "Enemy";
+            // Nothing to show for regen at full health
+            if (monster.health === healthBefore && tick.damage === 0) return;
             
-            this.logBattleEvent(
-                `${attackerType} Tier ${attacker.tier} monster attacks ${defenderType} Tier ${defender.tier} monster for ${damage} damage!`
-            );
+            this.logBattleEvent(BattleEventType.STATUS_TICK, turn, {
+                monsterId: monster.id,
+                monsterTier: monster.tier,
+                monsterIsPlayer: monster.isPlayer,
+                status: tick.type,
+                damage: healthBefore - healthAfterDamage,
+                heal: monster.health - healthAfterDamage,
+                healthAfter: monster.health
+            });
             
-            if (killed) {
-                this.logBattleEvent(`${defenderType} Tier ${defender.tier} monster is defeated!`);
+            if (monster.health <= 0) {
+                this.handleDefeat(monster, tick.sourceId, team, turn);
+            } else {
+                this.checkBossPhase(monster, team, turn);
             }
         });
         
-        return totalDamageDealt;
+        if (monster.health > 0) {
+            expired.forEach(status => this.logStatusExpired(monster, status, false, turn));
+        }
+        
+        return damageTaken;
+    }
+    
+    /**
+     * Record that a status effect ended
+     * @param {Object} monster - The affected monster
+     * @param {string} status - Status effect type
+     * @param {boolean} broken - True if the effect was used up (e.g. a shield) rather than running out
+     * @param {number} turn - Current turn number
+     */
+    logStatusExpired(monster, status, broken, turn) {
+        this.logBattleEvent(BattleEventType.STATUS_EXPIRED, turn, {
+            monsterId: monster.id,
+            monsterTier: monster.tier,
+            monsterIsPlayer: monster.isPlayer,
+            status,
+            broken
+        });
     }
     
     /**
@@ -160,17 +568,7 @@ class BattleSimulator {
      * @returns {number} Amount of damage dealt
      */
     calculateDamage(attacker, defender) {
-        // Basic damage formula
-        const baseDamage = attacker.attack;
-        const defenseValue = defender.defense || 0;
-        
-        // Apply random variance (80-120%)
-        const variance = 0.8 + (Math.random() * 0.4);
-        
-        // Calculate final damage with minimum of 1
-        let damage = Math.max(1, Math.floor((baseDamage - defenseValue * 0.5) * variance));
-        
-        return damage;
+        return this.combatRules.calculateDamage(attacker, defender);
     }
     
     /**
@@ -180,16 +578,19 @@ class BattleSimulator {
      * @returns {Object} Rewards object
      */
     calculateRewards(result, currentWave) {
+        // Results without an outcome only know whether they were won
+        const outcome = result.outcome || (result.victory ? BattleOutcome.VICTORY : BattleOutcome.DEFEAT);
+        
         // Base reward scales with wave number
         const baseReward = 15 * currentWave;
         let coins = baseReward;
         
-        // Bonus for remaining player monsters
         const remainingMonsters = result.remainingPlayerMonsters || result.remainingMonsters || [];
-        coins += remainingMonsters.length * 10;
         
-        // Bonus for victory
-        if (result.victory) {
+        if (outcome === BattleOutcome.VICTORY) {
+            // Bonus for remaining player monsters
+            coins += remainingMonsters.length * 10;
+            
             // Victory bonus increases with wave number
             coins += baseReward * 1.5;
             
@@ -197,15 +598,25 @@ class BattleSimulator {
             if (currentWave > 5) {
                 coins += Math.floor(currentWave * 10);
             }
+        } else if (outcome === BattleOutcome.DRAW) {
+            // A stalemate only pays half the survivor bonus and no victory bonus
+            coins += remainingMonsters.length * 5;
         }
         
+        // Taking down a boss pays out a large bonus on top
+        const bossBonus = result.bossDefeated ? currentWave * 25 : 0;
+        coins += bossBonus;
+        
         // Round to nearest integer
         coins = Math.floor(coins);
         
         return {
             coins,
-            waveCompleted: result.victory,
-            waveNumber: currentWave
+            outcome,
+            waveCompleted: outcome === BattleOutcome.VICTORY,
+            waveNumber: currentWave,
+            bossDefeated: Boolean(result.bossDefeated),
+            bossBonus
         };
     }
 }
\ No newline at end of file
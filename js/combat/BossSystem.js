@@ -0,0 +1,246 @@
+/**
+ * BossSystem defines the scripted boss waves. Every few waves a single,
+ * oversized boss replaces the regular enemies. Bosses change phase when
+ * their health drops below a threshold, enrage after a number of turns and
+ * summon minions while the battle goes on.
+ */
+
+// A boss wave happens every BOSS_WAVE_INTERVAL waves
+const BOSS_WAVE_INTERVAL = 5;
+
+// Bosses in the order they appear; after the last one the list starts over
+// (the wave scaling of their stats keeps them getting stronger).
+const BOSS_DEFINITIONS = Object.freeze([
+    {
+        name: 'Ogroid Warlord',
+        tier: 3,
+        healthMultiplier: 2.5,
+        attackMultiplier: 1.1,
+        defenseMultiplier: 1.5,
+        scale: 1.8,
+        enrageTurn: 8,
+        enrageAttackMultiplier: 1.5,
+        summon: { every: 3, tier: 2, count: 1 },
+        phases: [
+            { threshold: 0.5, name: 'Rallying Roar', attackMultiplier: 1.25, summonCount: 2 }
+        ]
+    },
+    {
+        name: 'Demon Lord',
+        tier: 6,
+        healthMultiplier: 2.5,
+        attackMultiplier: 1.1,
+        defenseMultiplier: 1.5,
+        scale: 1.8,
+        enrageTurn: 8,
+        enrageAttackMultiplier: 1.5,
+        summon: { every: 3, tier: 4, count: 1 },
+        phases: [
+            { threshold: 0.6, name: 'Hellfire', attackMultiplier: 1.2 },
+            { threshold: 0.3, name: 'Last Stand', attackMultiplier: 1.3, summonCount: 2 }
+        ]
+    },
+    {
+        name: 'Hydra Matriarch',
+        tier: 7,
+        healthMultiplier: 2.5,
+        attackMultiplier: 1.1,
+        defenseMultiplier: 1.5,
+        scale: 2,
+        enrageTurn: 10,
+        enrageAttackMultiplier: 1.5,
+        summon: { every: 4, tier: 5, count: 2 },
+        phases: [
+            { threshold: 0.5, name: 'Regrowth', attackMultiplier: 1.3, summonCount: 2 }
+        ]
+    },
+    {
+        name: 'Elder Dragon',
+        tier: 9,
+        healthMultiplier: 2.5,
+        attackMultiplier: 1.1,
+        defenseMultiplier: 1.5,
+        scale: 2.2,
+        enrageTurn: 10,
+        enrageAttackMultiplier: 1.75,
+        summon: { every: 4, tier: 5, count: 2 },
+        phases: [
+            { threshold: 0.66, name: 'Take Flight', attackMultiplier: 1.2 },
+            { threshold: 0.33, name: 'Inferno', attackMultiplier: 1.4, summonCount: 3 }
+        ]
+    }
+]);
+
+class BossSystem {
+    /**
+     * Create a new boss system
+     * @param {number} interval - Number of waves between boss waves
+     */
+    constructor(interval = BOSS_WAVE_INTERVAL) {
+        this.interval = interval;
+        
+        // A boss never has more than this many minions alive at once
+        this.maxMinions = 4;
+    }
+    
+    /**
+     * Check whether a wave is a boss wave
+     * @param {number} wave - The wave number
+     * @returns {boolean} True for every interval-th wave
+     */
+    isBossWave(wave) {
+        return wave > 0 && wave % this.interval === 0;
+    }
+    
+    /**
+     * Get the boss that appears in a wave
+     * @param {number} wave - The wave number
+     * @returns {Object|null} Boss definition, or null if the wave has no boss
+     */
+    getBossDefinition(wave) {
+        if (!this.isBossWave(wave)) return null;
+        
+        const index = (wave / this.interval - 1) % BOSS_DEFINITIONS.length;
+        return BOSS_DEFINITIONS[index];
+    }
+    
+    /**
+     * Get a boss by its name
+     * @param {string} name - Name of a boss in BOSS_DEFINITIONS
+     * @returns {Object} Boss definition
+     */
+    getBossByName(name) {
+        const definition = BOSS_DEFINITIONS.find(boss => boss.name === name);
+        if (!definition) {
+            throw new Error(`Unknown boss "${name}" (expected one of: ${BOSS_DEFINITIONS.map(boss => boss.name).join(', ')})`);
+        }
+        
+        return definition;
+    }
+    
+    /**
+     * Turn the wave-scaled stats of an enemy into the stats of a boss
+     * @param {Object} definition - Boss definition from BOSS_DEFINITIONS
+     * @param {Object} baseStats - Enemy stats for the boss tier and wave
+     * @param {Object} minionStats - Enemy stats for the summoned minions
+     * @returns {Object} Boss stats with a `boss` description used by the BattleSimulator
+     */
+    createBossStats(definition, baseStats, minionStats) {
+        const maxHealth = Math.floor(baseStats.maxHealth * definition.healthMultiplier);
+        
+        return {
+            ...baseStats,
+            attack: Math.floor(baseStats.attack * definition.attackMultiplier),
+            defense: Math.floor(baseStats.defense * definition.defenseMultiplier),
+            health: maxHealth,
+            maxHealth,
+            boss: {
+                name: definition.name,
+                scale: definition.scale,
+                enrageTurn: definition.enrageTurn,
+                enrageAttackMultiplier: definition.enrageAttackMultiplier,
+                summon: {
+                    every: definition.summon.every,
+                    count: definition.summon.count,
+                    minion: { ...minionStats }
+                },
+                phases: definition.phases.map(phase => ({ ...phase }))
+            }
+        };
+    }
+    
+    /**
+     * Reset the battle state of the bosses in a team. Call once at the start
+     * of a battle on the battle copies of the monsters.
+     * @param {Array} team - Monsters of one team
+     */
+    prepare(team) {
+        team.filter(monster => monster.boss).forEach(monster => {
+            monster.bossState = { phase: 0, enraged: false, summoned: 0 };
+        });
+    }
+    
+    /**
+     * Enrage a boss once its enrage turn is reached
+     * @param {Object} monster - The boss
+     * @param {number} turn - Current turn number
+     * @returns {boolean} True if the boss enraged this turn
+     */
+    tryEnrage(monster, turn) {
+        if (!monster.boss || monster.bossState.enraged || turn < monster.boss.enrageTurn) {
+            return false;
+        }
+        
+        monster.bossState.enraged = true;
+        monster.attack = Math.floor(monster.attack * monster.boss.enrageAttackMultiplier);
+        return true;
+    }
+    
+    /**
+     * Move a boss into its next phase once its health drops below the threshold.
+     * Phases are entered one at a time, in order.
+     * @param {Object} monster - The boss
+     * @returns {Object|null} The phase that was entered, or null
+     */
+    tryAdvancePhase(monster) {
+        if (!monster.boss || monster.health <= 0) return null;
+        
+        const phase = monster.boss.phases[monster.bossState.phase];
+        if (!phase || monster.health > monster.maxHealth * phase.threshold) return null;
+        
+        monster.bossState.phase++;
+        monster.attack = Math.floor(monster.attack * (phase.attackMultiplier || 1));
+        return phase;
+    }
+    
+    /**
+     * Check whether a boss summons minions at the start of its action
+     * @param {Object} monster - The boss
+     * @param {number} turn - Current turn number
+     * @returns {boolean} True if the boss summons this turn
+     */
+    shouldSummon(monster, turn) {
+        return Boolean(monster.boss) && turn % monster.boss.summon.every === 0;
+    }
+    
+    /**
+     * Get how many more minions a boss may summon right now
+     * @param {Object} monster - The boss
+     * @param {Array} team - Team of the boss
+     * @returns {number} Number of minions that fit under maxMinions
+     */
+    getSummonCapacity(monster, team) {
+        const alive = team.filter(m => m.summonedBy === monster.id && m.health > 0).length;
+        return Math.max(0, this.maxMinions - alive);
+    }
+    
+    /**
+     * Create the minions summoned by a boss. They fight for the rest of the
+     * battle with the abilities of their monster type.
+     * @param {Object} monster - The summoning boss
+     * @param {number} count - Number of minions
+     * @returns {Array} New combatants (not yet added to the team)
+     */
+    createMinions(monster, count) {
+        const minion = monster.boss.summon.minion;
+        const typeData = monsterTypes.types[minion.tier];
+        const minions = [];
+        
+        for (let i = 0; i < count; i++) {
+            minions.push({
+                ...minion,
+                id: `${monster.id}-minion-${monster.bossState.summoned++}`,
+                isPlayer: monster.isPlayer,
+                summoned: true,
+                summonedBy: monster.id,
+                special: { ...(typeData.special || {}) },
+                abilities: { ...(typeData.abilities || {}) },
+                // Minions join the boss in the front line
+                formation: monster.formation ? { ...monster.formation, adjacentAllies: 0 } : null,
+                statusEffects: []
+            });
+        }
+        
+        return minions;
+    }
+}
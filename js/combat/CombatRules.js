@@ -0,0 +1,148 @@
+/**
+ * CombatRules is the single place where attack damage is calculated.
+ * The BattleSimulator and the MonsterFactory both delegate to it, so the
+ * selected rule set, the element chart and the monster specials apply everywhere.
+ */
+const CombatRuleSet = Object.freeze({
+    // (attack - defense * 0.5) with 80-120% variance
+    CLASSIC: 'classic',
+    // attack reduced by defense / (defense + 50) with 90-110% variance
+    DIMINISHING_RETURNS: 'diminishingReturns'
+});
+
+class CombatRules {
+    /**
+     * Create a new set of combat rules
+     * @param {string} ruleSet - One of CombatRuleSet (defaults to classic)
+     * @param {SeededRandom} random - Random number generator for damage variance
+     */
+    constructor(ruleSet = CombatRuleSet.CLASSIC, random) {
+        this.setRuleSet(ruleSet);
+        this.random = random || new SeededRandom();
+        
+        // Weakness/resistance multipliers between elements
+        this.elementChart = new ElementChart();
+    }
+    
+    /**
+     * Select the damage formula
+     * @param {string} ruleSet - One of CombatRuleSet
+     */
+    setRuleSet(ruleSet) {
+        if (!Object.values(CombatRuleSet).includes(ruleSet)) {
+            throw new Error(`Unknown combat rule set "${ruleSet}" (expected one of: ${Object.values(CombatRuleSet).join(', ')})`);
+        }
+        
+        this.ruleSet = ruleSet;
+    }
+    
+    /**
+     * Set the random number generator used for damage variance
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+    
+    /**
+     * Set the element chart used for weaknesses and resistances
+     * @param {ElementChart} elementChart - Element chart to use
+     */
+    setElementChart(elementChart) {
+        this.elementChart = elementChart;
+    }
+    
+    /**
+     * Get the element multiplier of an attack
+     * @param {Object} attacker - The attacking monster
+     * @param {Object} defender - The defending monster
+     * @returns {number} Damage multiplier (1 when neutral)
+     */
+    getElementMultiplier(attacker, defender) {
+        return this.elementChart.getMultiplier(attacker.element, defender.element);
+    }
+    
+    /**
+     * Calculate damage from attacker to defender
+     * @param {Object} attacker - The attacking monster
+     * @param {Object} defender - The defending monster
+     * @returns {number} The calculated damage (at least 1)
+     */
+    calculateDamage(attacker, defender) {
+        let damage;
+        
+        if (this.ruleSet === CombatRuleSet.DIMINISHING_RETURNS) {
+            damage = this.calculateDiminishingReturnsDamage(attacker, defender);
+        } else {
+            damage = this.calculateClassicDamage(attacker, defender);
+        }
+        
+        // Apply elemental weaknesses and resistances
+        damage = Math.floor(damage * this.getElementMultiplier(attacker, defender));
+        
+        // Apply any special effects based on monster types
+        damage = this.applySpecialEffects(attacker, defender, damage);
+        
+        return Math.max(1, damage);
+    }
+    
+    /**
+     * Classic formula: defense subtracts half its value from the attack
+     * @param {Object} attacker - The attacking monster
+     * @param {Object} defender - The defending monster
+     * @returns {number} Damage before special effects
+     */
+    calculateClassicDamage(attacker, defender) {
+        const baseDamage = attacker.attack;
+        const defenseValue = defender.defense || 0;
+        
+        // Apply random variance (80-120%)
+        const variance = 0.8 + (this.random.next() * 0.4);
+        
+        return Math.max(1, Math.floor((baseDamage - defenseValue * 0.5) * variance));
+    }
+    
+    /**
+     * Diminishing returns formula: defense reduces damage by a percentage
+     * that approaches but never reaches 100%
+     * @param {Object} attacker - The attacking monster
+     * @param {Object} defender - The defending monster
+     * @returns {number} Damage before special effects
+     */
+    calculateDiminishingReturnsDamage(attacker, defender) {
+        const defenseValue = defender.defense || 0;
+        
+        // Reduce damage based on defender's defense (with diminishing returns formula)
+        const damageReduction = defenseValue / (defenseValue + 50);
+        let damage = Math.max(1, Math.floor(attacker.attack * (1 - damageReduction)));
+        
+        // Add a small random factor (±10%)
+        const randomFactor = 0.9 + this.random.next() * 0.2;
+        damage = Math.max(1, Math.floor(damage * randomFactor));
+        
+        return damage;
+    }
+    
+    /**
+     * Apply the special properties declared in MonsterTypes to a damage value
+     * @param {Object} attacker - The attacking monster
+     * @param {Object} defender - The defending monster
+     * @param {number} baseDamage - The initial calculated damage
+     * @returns {number} The modified damage
+     */
+    applySpecialEffects(attacker, defender, baseDamage) {
+        let damage = baseDamage;
+        
+        // Dragons deal more damage to all targets
+        if (attacker.special && attacker.special.breathWeapon === "fire") {
+            damage = Math.floor(damage * 1.2); // 20% more damage
+        }
+        
+        // Golems take reduced damage from all sources
+        if (defender.special && defender.special.heavyArmor) {
+            damage = Math.floor(damage * 0.8); // 20% less damage
+        }
+        
+        return damage;
+    }
+}
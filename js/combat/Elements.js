@@ -0,0 +1,106 @@
+/**
+ * Elements gives every monster an element and defines how effective the
+ * elements are against each other. The ElementChart is consumed by
+ * CombatRules, so the multipliers apply to every damage calculation.
+ */
+const ElementType = Object.freeze({
+    FIRE: 'fire',
+    WATER: 'water',
+    EARTH: 'earth',
+    AIR: 'air',
+    SHADOW: 'shadow'
+});
+
+// Display colors, used for element badges and enemy tints
+const ELEMENT_COLORS = Object.freeze({
+    fire: 0xf97316,
+    water: 0x3b82f6,
+    earth: 0xa16207,
+    air: 0xa5f3fc,
+    shadow: 0x7c3aed
+});
+
+// Damage multipliers by attacking element, then defending element (missing pairs are 1).
+// Water beats fire, fire beats earth, earth beats air and air beats water;
+// shadow is neutral against everything but itself.
+const DEFAULT_ELEMENT_MATRIX = Object.freeze({
+    fire: { earth: 1.5, water: 0.75 },
+    water: { fire: 1.5, air: 0.75 },
+    earth: { air: 1.5, fire: 0.75 },
+    air: { water: 1.5, earth: 0.75 },
+    shadow: { shadow: 1.5 }
+});
+
+class ElementChart {
+    /**
+     * Create a new element chart
+     * @param {Object} matrix - Optional multipliers {attackerElement: {defenderElement: multiplier}}
+     */
+    constructor(matrix = DEFAULT_ELEMENT_MATRIX) {
+        this.setMatrix(matrix);
+    }
+    
+    /**
+     * Replace the effectiveness matrix
+     * @param {Object} matrix - Multipliers {attackerElement: {defenderElement: multiplier}}
+     */
+    setMatrix(matrix) {
+        const elements = Object.values(ElementType);
+        
+        if (!matrix || typeof matrix !== 'object') {
+            throw new Error('Element matrix must be an object of attacking elements');
+        }
+        
+        Object.entries(matrix).forEach(([attacker, row]) => {
+            if (!elements.includes(attacker)) {
+                throw new Error(`Unknown element "${attacker}" in element matrix (expected one of: ${elements.join(', ')})`);
+            }
+            
+            Object.entries(row).forEach(([defender, multiplier]) => {
+                if (!elements.includes(defender)) {
+                    throw new Error(`Unknown element "${defender}" in element matrix (expected one of: ${elements.join(', ')})`);
+                }
+                
+                if (typeof multiplier !== 'number' || !(multiplier >= 0)) {
+                    throw new Error(`Invalid multiplier for ${attacker} against ${defender}: ${multiplier}`);
+                }
+            });
+        });
+        
+        this.matrix = matrix;
+    }
+    
+    /**
+     * Get the damage multiplier of one element against another
+     * @param {string} attackerElement - Element of the attacker
+     * @param {string} defenderElement - Element of the defender
+     * @returns {number} Damage multiplier (1 when neutral or an element is missing)
+     */
+    getMultiplier(attackerElement, defenderElement) {
+        const row = this.matrix[attackerElement];
+        if (!row || row[defenderElement] === undefined) return 1;
+        
+        return row[defenderElement];
+    }
+    
+    /**
+     * Get the elements an element deals extra damage to
+     * @param {string} element - The attacking element
+     * @returns {Array<string>} Elements taking more than normal damage
+     */
+    getStrengths(element) {
+        return Object.entries(this.matrix[element] || {})
+            .filter(([, multiplier]) => multiplier > 1)
+            .map(([defender]) => defender);
+    }
+    
+    /**
+     * Get the elements that deal extra damage to an element
+     * @param {string} element - The defending element
+     * @returns {Array<string>} Attacking elements dealing more than normal damage
+     */
+    getWeaknesses(element) {
+        return Object.values(ElementType)
+            .filter(attacker => this.getMultiplier(attacker, element) > 1);
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * FormationRules turns the placement of monsters on the 5x5 grid into battle
+ * effects. Enemies approach from the right side of the board, so the column
+ * closest to them (col 4) is the front line and col 0 the back line; the grid
+ * row is the lane within a line.
+ *
+ * - Attacks target the frontmost line that still has a monster alive
+ * - Monsters behind the current front line take reduced damage
+ * - Every orthogonally adjacent ally boosts a monster's attack and defense
+ */
+class FormationRules {
+    /**
+     * Create new formation rules
+     * @param {number} gridSize - Size of the board (defaults to the 5x5 grid)
+     */
+    constructor(gridSize = 5) {
+        this.gridSize = gridSize;
+        
+        // Damage taken is reduced by 10% for every line behind the front line
+        this.damageReductionPerLine = 0.1;
+        this.maxDamageReduction = 0.3;
+        
+        // Attack and defense bonus for every adjacent ally
+        this.adjacencyBonus = 0.05;
+    }
+    
+    /**
+     * Get the line of a grid position (0 = front line)
+     * @param {Object} position - Grid position {row, col}
+     * @returns {number} Line index
+     */
+    getLine(position) {
+        return this.gridSize - 1 - position.col;
+    }
+    
+    /**
+     * Get the position used for monsters that are not on the grid (enemies and
+     * headless combatants without a gridPosition). The front line fills up first.
+     * @param {number} index - Index of the monster in its team
+     * @returns {Object} Grid position {row, col}
+     */
+    getDefaultPosition(index) {
+        return {
+            row: index % this.gridSize,
+            col: this.gridSize - 1 - (Math.floor(index / this.gridSize) % this.gridSize)
+        };
+    }
+    
+    /**
+     * Assign every monster of a team its formation and apply the adjacency
+     * bonus to its attack and defense. Call once at the start of a battle on
+     * the battle copies of the monsters.
+     * @param {Array} team - Monsters of one team
+     */
+    applyFormation(team) {
+        const positions = team.map((monster, index) => {
+            const gridPosition = monster.gridPosition;
+            return gridPosition && gridPosition.row !== null && gridPosition.col !== null
+                ? { row: gridPosition.row, col: gridPosition.col }
+                : this.getDefaultPosition(index);
+        });
+        
+        team.forEach((monster, index) => {
+            const position = positions[index];
+            const adjacentAllies = positions.filter(other =>
+                Math.abs(other.row - position.row) + Math.abs(other.col - position.col) === 1).length;
+            
+            const bonus = 1 + adjacentAllies * this.adjacencyBonus;
+            monster.attack = Math.round(monster.attack * bonus);
+            monster.defense = Math.round((monster.defense || 0) * bonus);
+            
+            monster.formation = {
+                row: position.row,
+                col: position.col,
+                line: this.getLine(position),
+                adjacentAllies
+            };
+        });
+    }
+    
+    /**
+     * Get the line of a monster (monsters without a formation count as front line)
+     * @param {Object} monster - The monster
+     * @returns {number} Line index
+     */
+    getMonsterLine(monster) {
+        return monster.formation ? monster.formation.line : 0;
+    }
+    
+    /**
+     * Get the frontmost line that still has a monster alive
+     * @param {Array} team - Monsters of one team
+     * @returns {number} Line index of the current front line
+     */
+    getFrontLine(team) {
+        const alive = team.filter(monster => monster.health > 0);
+        return Math.min(...alive.map(monster => this.getMonsterLine(monster)));
+    }
+    
+    /**
+     * Get the defenders an attack may target: the alive monsters of the front line
+     * @param {Array} aliveDefenders - Alive monsters of the defending team
+     * @returns {Array} Targetable defenders
+     */
+    getTargetableDefenders(aliveDefenders) {
+        const frontLine = this.getFrontLine(aliveDefenders);
+        return aliveDefenders.filter(monster => this.getMonsterLine(monster) === frontLine);
+    }
+    
+    /**
+     * Get the damage multiplier for a defender based on how far it stands
+     * behind its team's current front line
+     * @param {Object} defender - The defending monster
+     * @param {Array} team - The defending team
+     * @returns {number} Damage multiplier (1 for the front line)
+     */
+    getDamageTakenMultiplier(defender, team) {
+        const linesBehind = this.getMonsterLine(defender) - this.getFrontLine(team);
+        return 1 - Math.min(this.maxDamageReduction, Math.max(0, linesBehind) * this.damageReductionPerLine);
+    }
+}
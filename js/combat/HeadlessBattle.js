@@ -0,0 +1,87 @@
+/**
+ * HeadlessBattle runs complete battles from plain monster stats without a
+ * scene, meshes or animations. It is used by the Node tools (see
+ * headless_battle.js) and can also be used from the browser console.
+ */
+class HeadlessBattle {
+    /**
+     * Create a new headless battle runner
+     * @param {Object} options - Simulation options
+     * @param {number|string} options.seed - Optional seed for a reproducible battle
+     * @param {SeededRandom} options.random - Optional generator to share between battles
+     * @param {number} options.maxTurns - Optional turn limit before the battle is a draw
+     * @param {string} options.ruleSet - Optional damage formula, one of CombatRuleSet
+     * @param {Object} options.elementMatrix - Optional element effectiveness matrix for the ElementChart
+     */
+    constructor(options = {}) {
+        this.random = options.random || new SeededRandom(options.seed);
+        
+        this.simulator = new BattleSimulator(null, this.random);
+        this.simulator.debugMode = false;
+        
+        if (options.maxTurns) {
+            this.simulator.maxTurns = options.maxTurns;
+        }
+        
+        if (options.ruleSet) {
+            this.simulator.combatRules.setRuleSet(options.ruleSet);
+        }
+        
+        if (options.elementMatrix) {
+            this.simulator.combatRules.elementChart.setMatrix(options.elementMatrix);
+        }
+    }
+    
+    /**
+     * Turn a plain stat object into a battle-ready combatant. Missing stats
+     * fall back to the base values of the monster type for that tier.
+     * @param {Object} stats - Monster stats {tier, attack, defense, health, maxHealth, speed, element, id, gridPosition, boss}
+     * @param {boolean} isPlayer - Whether the monster fights for the player
+     * @param {number} index - Position in the team, used for the default id
+     * @returns {Object} Combatant for the BattleSimulator
+     */
+    createCombatant(stats, isPlayer, index) {
+        // Clamp tier between 1 and 9 like the MonsterFactory does
+        const tier = Math.max(1, Math.min(9, stats.tier || 1));
+        const typeData = monsterTypes.types[tier];
+        
+        const maxHealth = stats.maxHealth || stats.health || typeData.baseHealth;
+        
+        return {
+            id: stats.id !== undefined ? stats.id : `${isPlayer ? 'player' : 'enemy'}-${index}`,
+            tier: tier,
+            attack: stats.attack !== undefined ? stats.attack : typeData.baseAttack,
+            defense: stats.defense !== undefined ? stats.defense : typeData.baseDefense,
+            speed: stats.speed !== undefined ? stats.speed : typeData.baseSpeed,
+            element: stats.element || typeData.element,
+            health: stats.health !== undefined ? stats.health : maxHealth,
+            maxHealth: maxHealth,
+            special: { ...(stats.special || typeData.special) },
+            abilities: { ...(stats.abilities || typeData.abilities) },
+            // Without a grid position the monster fills the front line first
+            gridPosition: stats.gridPosition ? { ...stats.gridPosition } : null,
+            // Boss description from WaveManager.rollEnemyWave on boss waves
+            boss: stats.boss || null,
+            isPlayer: isPlayer
+        };
+    }
+    
+    /**
+     * Simulate a battle between two teams of plain stat objects
+     * @param {Array<Object>} playerStats - Player monster stats
+     * @param {Array<Object>} enemyStats - Enemy monster stats
+     * @returns {Object} Battle results with the final teams and the full battle log
+     */
+    run(playerStats, enemyStats) {
+        const playerTeam = playerStats.map((stats, index) => this.createCombatant(stats, true, index));
+        const enemyTeam = enemyStats.map((stats, index) => this.createCombatant(stats, false, index));
+        
+        const result = this.simulator.runBattle(playerTeam, enemyTeam);
+        
+        return {
+            ...result,
+            playerTeam,
+            enemyTeam
+        };
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * StatusEffects handles lingering effects on monsters during a battle.
+ * Effects are applied by abilities, last a number of the affected monster's
+ * actions and tick at the start of each of its actions. Every effect type
+ * declares how repeated applications stack and what its tick does.
+ */
+const StatusEffectType = Object.freeze({
+    BURN: 'burn',
+    POISON: 'poison',
+    STUN: 'stun',
+    SHIELD: 'shield',
+    REGEN: 'regen'
+});
+
+const StatusStacking = Object.freeze({
+    // Keep one instance; take the longer duration and the higher potency
+    REFRESH: 'refresh',
+    // Add a stack (up to maxStacks) and refresh the duration
+    STACK: 'stack',
+    // Add the potency to the existing instance (e.g. shield points)
+    ADD: 'add'
+});
+
+// Behaviour of every status effect. onTick runs at the start of the affected
+// monster's action and returns the damage and/or healing it causes.
+const STATUS_EFFECT_DEFINITIONS = Object.freeze({
+    burn: {
+        name: 'Burn',
+        color: 0xf97316,
+        stacking: StatusStacking.REFRESH,
+        onTick: effect => ({ damage: effect.potency })
+    },
+    poison: {
+        name: 'Poison',
+        color: 0x84cc16,
+        stacking: StatusStacking.STACK,
+        maxStacks: 5,
+        onTick: effect => ({ damage: effect.potency * effect.stacks })
+    },
+    stun: {
+        name: 'Stun',
+        color: 0xfacc15,
+        stacking: StatusStacking.REFRESH,
+        preventsAction: true
+    },
+    shield: {
+        name: 'Shield',
+        color: 0x60a5fa,
+        stacking: StatusStacking.ADD,
+        absorbsDamage: true
+    },
+    regen: {
+        name: 'Regen',
+        color: 0x4ade80,
+        stacking: StatusStacking.REFRESH,
+        onTick: effect => ({ heal: effect.potency })
+    }
+});
+
+class StatusEffectSystem {
+    /**
+     * Get the definition of a status effect type
+     * @param {string} type - One of StatusEffectType
+     * @returns {Object} Status effect definition
+     */
+    getDefinition(type) {
+        const definition = STATUS_EFFECT_DEFINITIONS[type];
+        if (!definition) {
+            throw new Error(`Unknown status effect "${type}" (expected one of: ${Object.values(StatusEffectType).join(', ')})`);
+        }
+        
+        return definition;
+    }
+    
+    /**
+     * Get the active status effects of a monster
+     * @param {Object} monster - The monster
+     * @returns {Array<Object>} Active effects {type, duration, potency, stacks, sourceId}
+     */
+    getEffects(monster) {
+        if (!monster.statusEffects) {
+            monster.statusEffects = [];
+        }
+        
+        return monster.statusEffects;
+    }
+    
+    /**
+     * Remove all status effects from a monster
+     * @param {Object} monster - The monster
+     */
+    clear(monster) {
+        monster.statusEffects = [];
+    }
+    
+    /**
+     * Apply a status effect to a monster, following the stacking rule of its type
+     * @param {Object} monster - The affected monster
+     * @param {Object} status - Effect to apply {type, duration, potency, sourceId}
+     * @returns {Object} The resulting active effect
+     */
+    apply(monster, status) {
+        const definition = this.getDefinition(status.type);
+        const effects = this.getEffects(monster);
+        const existing = effects.find(effect => effect.type === status.type);
+        
+        if (!existing) {
+            const effect = {
+                type: status.type,
+                duration: status.duration,
+                potency: status.potency || 0,
+                stacks: 1,
+                sourceId: status.sourceId
+            };
+            effects.push(effect);
+            return effect;
+        }
+        
+        switch (definition.stacking) {
+            case StatusStacking.STACK:
+                existing.stacks = Math.min(definition.maxStacks || Infinity, existing.stacks + 1);
+                existing.duration = Math.max(existing.duration, status.duration);
+                break;
+            case StatusStacking.ADD:
+                existing.potency += status.potency || 0;
+                existing.duration = Math.max(existing.duration, status.duration);
+                break;
+            default:
+                existing.duration = Math.max(existing.duration, status.duration);
+                existing.potency = Math.max(existing.potency, status.potency || 0);
+                break;
+        }
+        
+        existing.sourceId = status.sourceId;
+        return existing;
+    }
+    
+    /**
+     * Check whether a monster has an effect that prevents it from acting
+     * @param {Object} monster - The monster
+     * @returns {boolean} True if the monster loses its action
+     */
+    isActionPrevented(monster) {
+        return this.getEffects(monster).some(effect => this.getDefinition(effect.type).preventsAction);
+    }
+    
+    /**
+     * Run the tick hooks of every effect on a monster and count down their durations
+     * @param {Object} monster - The monster whose action starts
+     * @returns {Object} Tick results {ticks: [{type, damage, heal, sourceId}], expired: [type]}
+     */
+    tick(monster) {
+        const ticks = [];
+        const expired = [];
+        
+        this.getEffects(monster).forEach(effect => {
+            const definition = this.getDefinition(effect.type);
+            
+            if (definition.onTick) {
+                const result = definition.onTick(effect, monster);
+                ticks.push({
+                    type: effect.type,
+                    damage: result.damage || 0,
+                    heal: result.heal || 0,
+                    sourceId: effect.sourceId
+                });
+            }
+            
+            effect.duration--;
+            if (effect.duration <= 0) {
+                expired.push(effect.type);
+            }
+        });
+        
+        monster.statusEffects = this.getEffects(monster).filter(effect => effect.duration > 0);
+        
+        return { ticks, expired };
+    }
+    
+    /**
+     * Let damage-absorbing effects soak up incoming damage
+     * @param {Object} monster - The defending monster
+     * @param {number} damage - Incoming damage
+     * @returns {Object} {damage: remaining damage, absorbed: damage soaked up, broken: [types used up]}
+     */
+    absorbDamage(monster, damage) {
+        let remaining = damage;
+        const broken = [];
+        
+        this.getEffects(monster).forEach(effect => {
+            if (remaining <= 0 || !this.getDefinition(effect.type).absorbsDamage) return;
+            
+            const absorbed = Math.min(effect.potency, remaining);
+            effect.potency -= absorbed;
+            remaining -= absorbed;
+            
+            if (effect.potency <= 0) {
+                broken.push(effect.type);
+            }
+        });
+        
+        monster.statusEffects = this.getEffects(monster).filter(effect => !broken.includes(effect.type));
+        
+        return { damage: remaining, absorbed: damage - remaining, broken };
+    }
+}
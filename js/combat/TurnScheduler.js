@@ -0,0 +1,51 @@
+/**
+ * TurnScheduler decides the order in which monsters act during a turn.
+ * Monsters of both teams are interleaved by their speed stat, so a fast
+ * enemy can strike before a slow player monster. Ties are broken randomly
+ * (with the seeded generator, so battles stay reproducible).
+ */
+class TurnScheduler {
+    /**
+     * Create a new turn scheduler
+     * @param {SeededRandom} random - Random number generator for tie breaks
+     */
+    constructor(random) {
+        this.random = random || new SeededRandom();
+    }
+    
+    /**
+     * Set the random number generator used for tie breaks
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+    
+    /**
+     * Get the speed of a monster, falling back to the base speed of its type
+     * @param {Object} monster - The monster
+     * @returns {number} Speed value
+     */
+    getSpeed(monster) {
+        if (monster.speed !== undefined) {
+            return monster.speed;
+        }
+        
+        const typeData = monsterTypes.types[monster.tier];
+        return typeData ? typeData.baseSpeed : 0;
+    }
+    
+    /**
+     * Get the order in which the alive monsters of both teams act this turn
+     * @param {Array} playerTeam - Player monsters
+     * @param {Array} enemyTeam - Enemy monsters
+     * @returns {Array} Alive monsters, fastest first
+     */
+    getTurnOrder(playerTeam, enemyTeam) {
+        return [...playerTeam, ...enemyTeam]
+            .filter(monster => monster.health > 0)
+            .map(monster => ({ monster, speed: this.getSpeed(monster), tieBreak: this.random.next() }))
+            .sort((a, b) => (b.speed - a.speed) || (a.tieBreak - b.tieBreak))
+            .map(entry => entry.monster);
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * WaveDefinitions holds the authored wave data used by the WaveManager.
+ * Waves are defined in data/waves.json: explicit enemy compositions for
+ * specific waves, formulas for every other (endless) wave and per-wave
+ * modifiers. The data is validated when it is loaded, so authoring mistakes
+ * surface as clear errors instead of broken waves.
+ */
+
+// Difficulty values of endless waves that are calculated from a formula
+const WAVE_FORMULA_KEYS = Object.freeze([
+    'enemyCount', 'minTier', 'maxTier', 'highTierChance', 'midTierChance', 'elementSkew'
+]);
+
+// Enemy stats a wave modifier can multiply
+const WAVE_MODIFIER_KEYS = Object.freeze(['health', 'attack', 'defense', 'speed']);
+
+// Built-in data, used until data/waves.json is loaded (and by tools that don't
+// load it). It only holds the endless wave formulas.
+const DEFAULT_WAVE_DATA = Object.freeze({
+    bossInterval: 5,
+    waves: {},
+    endless: {
+        // Starts with 2 enemies and grows by 0.7 per wave, up to 10
+        enemyCount: { base: 2, perWave: 0.7, round: true, max: 10 },
+        // Higher tiers unlock as waves progress
+        maxTier: { base: 1, perWave: 0.4, round: true, max: 9 },
+        minTier: { base: 0, perWave: 0.2, round: true, min: 1 },
+        // Probability shifts toward higher tiers
+        highTierChance: { base: 0.15, perWave: 0.05, max: 0.7 },
+        midTierChance: { base: 0.35, perWave: 0.03, max: 0.8 },
+        // Chance that an enemy takes the wave's dominant element instead of its own
+        elementSkew: { base: 0.4, perWave: 0.04, max: 0.8 }
+    }
+});
+
+class WaveDefinitions {
+    /**
+     * Create wave definitions from wave data
+     * @param {Object} data - Wave data in the format of data/waves.json (defaults to DEFAULT_WAVE_DATA)
+     */
+    constructor(data = DEFAULT_WAVE_DATA) {
+        this.setData(data);
+    }
+    
+    /**
+     * Load and validate wave data from a URL
+     * @param {string} url - URL of the wave data, e.g. data/waves.json
+     * @returns {Promise<WaveDefinitions>} The loaded wave definitions
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load wave data from ${url}: ${response.status} ${response.statusText}`);
+        }
+        
+        return new WaveDefinitions(await response.json());
+    }
+    
+    /**
+     * Validate and use new wave data
+     * @param {Object} data - Wave data in the format of data/waves.json
+     */
+    setData(data) {
+        WaveDefinitions.validate(data);
+        this.data = data;
+    }
+    
+    /**
+     * Check wave data against the schema of data/waves.json
+     * @param {Object} data - Wave data
+     * @throws {Error} Describing the first problem found, with its path in the data
+     */
+    static validate(data) {
+        const fail = (path, problem) => {
+            throw new Error(`Invalid wave data: ${path} ${problem}`);
+        };
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const checkNumber = (path, value, min, max) => {
+            if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+                const range = isFinite(min) && isFinite(max) ? ` from ${min} to ${max}` : '';
+                fail(path, `must be a number${range} (got ${JSON.stringify(value)})`);
+            }
+        };
+        const checkInteger = (path, value, min, max) => {
+            if (!Number.isInteger(value) || value < min || value > max) {
+                const range = isFinite(max) ? ` from ${min} to ${max}` : ` of at least ${min}`;
+                fail(path, `must be a whole number${range} (got ${JSON.stringify(value)})`);
+            }
+        };
+        const checkKeys = (path, object, allowed) => {
+            Object.keys(object).forEach(key => {
+                if (!allowed.includes(key)) {
+                    fail(`${path}.${key}`, `is not a known field (expected one of: ${allowed.join(', ')})`);
+                }
+            });
+        };
+        const checkElement = (path, value) => {
+            const elements = Object.values(ElementType);
+            if (!elements.includes(value)) {
+                fail(path, `must be one of: ${elements.join(', ')} (got ${JSON.stringify(value)})`);
+            }
+        };
+        
+        if (!isObject(data)) {
+            fail('root', 'must be an object');
+        }
+        checkKeys('root', data, ['bossInterval', 'waves', 'endless']);
+        
+        if (data.bossInterval !== undefined) {
+            checkInteger('bossInterval', data.bossInterval, 1, Infinity);
+        }
+        
+        // Endless wave formulas: value = base + perWave * wave, optionally rounded down and clamped
+        if (!isObject(data.endless)) {
+            fail('endless', 'must be an object of formulas');
+        }
+        checkKeys('endless', data.endless, WAVE_FORMULA_KEYS);
+        WAVE_FORMULA_KEYS.forEach(key => {
+            const path = `endless.${key}`;
+            const formula = data.endless[key];
+            
+            if (!isObject(formula)) {
+                fail(path, 'must be a formula {base, perWave, round, min, max}');
+            }
+            checkKeys(path, formula, ['base', 'perWave', 'round', 'min', 'max']);
+            checkNumber(`${path}.base`, formula.base, -Infinity, Infinity);
+            checkNumber(`${path}.perWave`, formula.perWave, -Infinity, Infinity);
+            if (formula.round !== undefined && typeof formula.round !== 'boolean') {
+                fail(`${path}.round`, 'must be true or false');
+            }
+            ['min', 'max'].filter(bound => formula[bound] !== undefined)
+                .forEach(bound => checkNumber(`${path}.${bound}`, formula[bound], -Infinity, Infinity));
+        });
+        
+        // Authored waves, keyed by wave number
+        if (data.waves !== undefined && !isObject(data.waves)) {
+            fail('waves', 'must be an object keyed by wave number');
+        }
+        Object.entries(data.waves || {}).forEach(([waveKey, entry]) => {
+            const path = `waves.${waveKey}`;
+            
+            if (!/^[1-9]\d*$/.test(waveKey)) {
+                fail(path, 'must be keyed by a wave number (1, 2, 3...)');
+            }
+            if (!isObject(entry)) {
+                fail(path, 'must be an object');
+            }
+            checkKeys(path, entry, ['name', 'enemies', 'element', 'boss', 'modifiers', ...WAVE_FORMULA_KEYS]);
+            
+            if (entry.name !== undefined && typeof entry.name !== 'string') {
+                fail(`${path}.name`, 'must be a string');
+            }
+            
+            if (entry.enemies !== undefined) {
+                if (!Array.isArray(entry.enemies) || entry.enemies.length === 0) {
+                    fail(`${path}.enemies`, 'must be a non-empty array of enemies {tier, count, element}');
+                }
+                
+                // An explicit composition leaves nothing for the formulas to decide
+                WAVE_FORMULA_KEYS.filter(key => entry[key] !== undefined).forEach(key => {
+                    fail(`${path}.${key}`, 'cannot be combined with an explicit enemies list');
+                });
+                
+                entry.enemies.forEach((enemy, index) => {
+                    const enemyPath = `${path}.enemies[${index}]`;
+                    if (!isObject(enemy)) {
+                        fail(enemyPath, 'must be an object {tier, count, element}');
+                    }
+                    checkKeys(enemyPath, enemy, ['tier', 'count', 'element']);
+                    checkInteger(`${enemyPath}.tier`, enemy.tier, 1, 9);
+                    if (enemy.count !== undefined) {
+                        checkInteger(`${enemyPath}.count`, enemy.count, 1, 25);
+                    }
+                    if (enemy.element !== undefined) {
+                        checkElement(`${enemyPath}.element`, enemy.element);
+                    }
+                });
+            }
+            
+            // Fixed difficulty values replacing the formulas for this wave
+            ['enemyCount', 'minTier', 'maxTier'].filter(key => entry[key] !== undefined)
+                .forEach(key => checkInteger(`${path}.${key}`, entry[key], 1, key === 'enemyCount' ? 25 : 9));
+            ['highTierChance', 'midTierChance', 'elementSkew'].filter(key => entry[key] !== undefined)
+                .forEach(key => checkNumber(`${path}.${key}`, entry[key], 0, 1));
+            
+            if (entry.element !== undefined) {
+                checkElement(`${path}.element`, entry.element);
+            }
+            
+            if (entry.boss !== undefined && entry.boss !== false) {
+                const names = BOSS_DEFINITIONS.map(boss => boss.name);
+                if (!names.includes(entry.boss)) {
+                    fail(`${path}.boss`, `must be false or one of: ${names.join(', ')} (got ${JSON.stringify(entry.boss)})`);
+                }
+            }
+            
+            if (entry.modifiers !== undefined) {
+                if (!isObject(entry.modifiers)) {
+                    fail(`${path}.modifiers`, 'must be an object of stat multipliers');
+                }
+                checkKeys(`${path}.modifiers`, entry.modifiers, WAVE_MODIFIER_KEYS);
+                Object.entries(entry.modifiers).forEach(([stat, multiplier]) => {
+                    checkNumber(`${path}.modifiers.${stat}`, multiplier, 0.1, 10);
+                });
+            }
+        });
+    }
+    
+    /**
+     * Calculate the value of an endless wave formula
+     * @param {Object} formula - Formula {base, perWave, round, min, max}
+     * @param {number} wave - The wave number
+     * @returns {number} Formula value for the wave
+     */
+    evaluateFormula(formula, wave) {
+        const growth = formula.perWave * wave;
+        const value = formula.base + (formula.round ? Math.floor(growth) : growth);
+        
+        return Math.min(
+            formula.max !== undefined ? formula.max : Infinity,
+            Math.max(formula.min !== undefined ? formula.min : -Infinity, value)
+        );
+    }
+    
+    /**
+     * Get the authored entry of a wave
+     * @param {number} wave - The wave number
+     * @returns {Object|null} Entry from the `waves` section, or null for endless waves
+     */
+    getEntry(wave) {
+        return (this.data.waves && this.data.waves[wave]) || null;
+    }
+    
+    /**
+     * Get the difficulty of a wave: the endless formulas, with any fixed values of its entry
+     * @param {number} wave - The wave number
+     * @returns {Object} Enemy count, tier range, tier chances and element skew
+     */
+    getDifficulty(wave) {
+        const entry = this.getEntry(wave) || {};
+        const difficulty = {};
+        
+        WAVE_FORMULA_KEYS.forEach(key => {
+            difficulty[key] = entry[key] !== undefined
+                ? entry[key]
+                : this.evaluateFormula(this.data.endless[key], wave);
+        });
+        
+        // The lowest tier can never exceed the highest
+        difficulty.minTier = Math.min(difficulty.maxTier, difficulty.minTier);
+        
+        return difficulty;
+    }
+    
+    /**
+     * Get the explicit enemy composition of a wave
+     * @param {number} wave - The wave number
+     * @returns {Array<Object>|null} One {tier, element} per enemy, or null when the wave is rolled
+     */
+    getEnemies(wave) {
+        const entry = this.getEntry(wave);
+        if (!entry || !entry.enemies) return null;
+        
+        const enemies = [];
+        entry.enemies.forEach(enemy => {
+            for (let i = 0; i < (enemy.count || 1); i++) {
+                enemies.push({ tier: enemy.tier, element: enemy.element || null });
+            }
+        });
+        
+        return enemies;
+    }
+    
+    /**
+     * Get the stat multipliers of a wave
+     * @param {number} wave - The wave number
+     * @returns {Object} Multipliers {health, attack, defense, speed}
+     */
+    getModifiers(wave) {
+        const entry = this.getEntry(wave);
+        const modifiers = { health: 1, attack: 1, defense: 1, speed: 1 };
+        
+        return Object.assign(modifiers, entry && entry.modifiers);
+    }
+    
+    /**
+     * Get the number of waves between boss waves
+     * @returns {number} Boss wave interval
+     */
+    getBossInterval() {
+        return this.data.bossInterval || BOSS_WAVE_INTERVAL;
+    }
+    
+    /**
+     * Get the boss a wave entry asks for
+     * @param {number} wave - The wave number
+     * @returns {string|boolean|undefined} Boss name, false for no boss, or undefined to follow the boss interval
+     */
+    getBoss(wave) {
+        const entry = this.getEntry(wave);
+        return entry ? entry.boss : undefined;
+    }
+    
+    /**
+     * Get the element a wave leans toward, if its entry sets one
+     * @param {number} wave - The wave number
+     * @returns {string|null} One of ElementType, or null to use the default cycle
+     */
+    getElement(wave) {
+        const entry = this.getEntry(wave);
+        return entry && entry.element ? entry.element : null;
+    }
+    
+    /**
+     * Get the display name of a wave
+     * @param {number} wave - The wave number
+     * @returns {string|null} Name from the wave entry, if any
+     */
+    getName(wave) {
+        const entry = this.getEntry(wave);
+        return entry && entry.name ? entry.name : null;
+    }
+}
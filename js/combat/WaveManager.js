@@ -2,12 +2,24 @@
  * WaveManager handles generation and management of enemy waves
  */
 class WaveManager {
-    constructor(scene, monsterManager) {
+    constructor(scene, monsterManager, random) {
         this.scene = scene;
         this.monsterManager = monsterManager;
         this.currentWave = 1;
         this.enemyMonsters = [];
         
+        // Random number generator for tier rolls and spawn positions
+        this.random = random || new SeededRandom();
+        
+        // Print every generated wave to the console (see CombatManager.setDebugMode)
+        this.debugMode = false;
+        
+        // Authored waves and endless wave formulas (see data/waves.json)
+        this.waveDefinitions = new WaveDefinitions();
+        
+        // Scripted boss waves replace the regular enemies every few waves
+        this.bossSystem = new BossSystem(this.waveDefinitions.getBossInterval());
+        
         // Area where enemies spawn (right side of grid)
         this.enemySpawnArea = {
             x: 4,
@@ -15,14 +27,35 @@ class WaveManager {
             width: 4,
             depth: 5
         };
+        
+        // Size of the grid shared boards are laid out on
+        this.gridSize = 5;
+    }
+    
+    /**
+     * Set the random number generator used for wave generation
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+    
+    /**
+     * Replace the wave definitions, e.g. with the ones loaded from data/waves.json
+     * @param {WaveDefinitions} waveDefinitions - Validated wave definitions
+     */
+    setWaveDefinitions(waveDefinitions) {
+        this.waveDefinitions = waveDefinitions;
+        this.bossSystem.interval = waveDefinitions.getBossInterval();
     }
     
     /**
      * Generate enemies for the current wave
      * @param {number} waveNumber - Optional wave number to generate (defaults to currentWave)
+     * @param {Array<Object>} enemyStats - Optional enemy stats rolled beforehand with rollEnemyWave; rolled now if omitted
      * @returns {Array} Array of generated enemy monsters
      */
-    generateEnemyWave(waveNumber) {
+    generateEnemyWave(waveNumber, enemyStats) {
         // Use provided wave number or fall back to current wave
         const wave = waveNumber || this.currentWave;
         
@@ -33,51 +66,42 @@ class WaveManager {
         
         this.clearEnemies();
         
-        // Determine number of enemies based on wave (starts with 2, increases more aggressively)
-        const enemyCount = Math.min(10, 2 + Math.floor(wave * 0.7));
-        
-        // Determine max enemy tier based on wave (faster tier progression)
-        const maxEnemyTier = Math.min(9, 1 + Math.floor(wave * 0.4));
-        
-        // Minimum tier increases with wave number to ensure stronger enemies
-        const minEnemyTier = Math.min(maxEnemyTier, Math.max(1, Math.floor(wave * 0.2)));
-        
-        console.log(`Generating wave ${wave} with ${enemyCount} enemies (tier range: ${minEnemyTier}-${maxEnemyTier})`);
-        
-        for (let i = 0; i < enemyCount; i++) {
-            // Random tier between min and max for this wave, weighted toward higher tiers as waves progress
-            const tierRoll = Math.random();
-            let tier;
-            
-            // As waves progress, shift probability toward higher tiers
-            const highTierChance = Math.min(0.7, 0.15 + (wave * 0.05));
-            const midTierChance = Math.min(0.8, 0.35 + (wave * 0.03));
-            
-            if (tierRoll < (1 - midTierChance - highTierChance)) {
-                // Low tier chance (decreases as waves progress)
-                tier = minEnemyTier;
-            } else if (tierRoll < (1 - highTierChance)) {
-                // Mid tier chance
-                tier = Math.floor(minEnemyTier + ((maxEnemyTier - minEnemyTier) * 0.5));
+        const difficulty = this.getWaveDifficulty(wave);
+        const boss = this.getWaveBoss(wave);
+        if (this.debugMode) {
+            if (boss) {
+                console.log(`Generating boss wave ${wave}: ${boss.name}`);
             } else {
-                // High tier chance (increases as waves progress)
-                tier = maxEnemyTier;
+                console.log(`Generating wave ${wave} with ${difficulty.enemyCount} enemies (tier range: ${difficulty.minTier}-${difficulty.maxTier})`);
             }
-            
+        }
+        
+        // Use the enemies rolled for the wave preview, or roll them now, then build the actual monsters
+        const waveEnemies = enemyStats || this.rollEnemyWave(wave);
+        
+        waveEnemies.forEach((stats, i) => {
             // Create the enemy monster
-            const enemy = this.monsterManager.createMonster(tier);
+            const enemy = this.monsterManager.createMonster(stats.tier);
             
             // Set properties
             enemy.isPlayer = false;
-            enemy.id = `enemy-${Date.now()}-${i}`;
-            enemy.maxHealth = this.calculateEnemyHealth(tier, wave);
-            enemy.health = enemy.maxHealth;
-            enemy.attack = this.calculateEnemyAttack(tier, wave);
-            enemy.defense = this.calculateEnemyDefense(tier, wave);
-            enemy.tier = tier;
+            enemy.id = `enemy-${wave}-${i}`;
+            enemy.maxHealth = stats.maxHealth;
+            enemy.health = stats.health;
+            enemy.attack = stats.attack;
+            enemy.defense = stats.defense;
+            enemy.speed = stats.speed;
+            enemy.element = stats.element;
+            enemy.tier = stats.tier;
             
             // Apply visual enhancements based on wave number
             this.enhanceEnemyAppearance(enemy, wave);
+            this.applyElementTint(enemy);
+            
+            if (stats.boss) {
+                enemy.boss = stats.boss;
+                enemy.mesh.scale.multiplyScalar(stats.boss.scale);
+            }
             
             // Store reference for battle animations
             enemy.originalMesh = enemy.mesh;
@@ -90,10 +114,17 @@ class WaveManager {
                 }
             });
             
-            // Position the enemy in the enemy area
-            const x = this.enemySpawnArea.x + Math.random() * this.enemySpawnArea.width;
-            const z = this.enemySpawnArea.z + Math.random() * this.enemySpawnArea.depth;
-            enemy.mesh.position.set(x, 0.5, z);
+            // Position the enemy in the enemy area: enemies of a shared board at their
+            // mirrored cell and with their formation, rolled enemies anywhere
+            if (stats.gridPosition) {
+                enemy.gridPosition = { ...stats.gridPosition };
+                const { x, z } = this.getMirroredSpawnPosition(stats.gridPosition);
+                enemy.mesh.position.set(x, 0.5, z);
+            } else {
+                const x = this.enemySpawnArea.x + this.random.next() * this.enemySpawnArea.width;
+                const z = this.enemySpawnArea.z + this.random.next() * this.enemySpawnArea.depth;
+                enemy.mesh.position.set(x, 0.5, z);
+            }
             
             // Add to scene if not already added
             if (!this.scene.children.includes(enemy.mesh)) {
@@ -101,22 +132,197 @@ class WaveManager {
             }
             
             this.enemyMonsters.push(enemy);
-        }
+        });
         
         // Log the enemies for debugging
-        console.log("Generated enemy monsters:", this.enemyMonsters.map(e => ({
-            id: e.id,
-            tier: e.tier,
-            health: e.health,
-            attack: e.attack,
-            defense: e.defense,
-            position: e.mesh ? e.mesh.position.clone() : 'unknown',
-            visible: e.mesh ? e.mesh.visible : 'unknown'
-        })));
+        if (this.debugMode) {
+            console.log("Generated enemy monsters:", this.enemyMonsters.map(e => ({
+                id: e.id,
+                tier: e.tier,
+                health: e.health,
+                attack: e.attack,
+                defense: e.defense,
+                position: e.mesh ? e.mesh.position.clone() : 'unknown',
+                visible: e.mesh ? e.mesh.visible : 'unknown'
+            })));
+        }
         
         return this.enemyMonsters;
     }
     
+    /**
+     * Get where an enemy from a shared board stands in the enemy area. The board
+     * is mirrored, so its front line (col 4) faces the player's front line.
+     * @param {Object} gridPosition - Cell of the enemy on its board {row, col}
+     * @returns {Object} World position {x, z}
+     */
+    getMirroredSpawnPosition(gridPosition) {
+        const lastCell = this.gridSize - 1;
+        
+        return {
+            x: this.enemySpawnArea.x + ((lastCell - gridPosition.col) / lastCell) * this.enemySpawnArea.width,
+            z: this.enemySpawnArea.z + (gridPosition.row / lastCell) * this.enemySpawnArea.depth
+        };
+    }
+    
+    /**
+     * Get the difficulty parameters for a wave from the wave definitions
+     * @param {number} wave - The wave number
+     * @returns {Object} Enemy count, tier range, tier chances and element skew for the wave
+     */
+    getWaveDifficulty(wave) {
+        return this.waveDefinitions.getDifficulty(wave);
+    }
+    
+    /**
+     * Get the boss of a wave. A wave entry can name its boss or opt out with
+     * `boss: false`; otherwise every boss interval brings the next boss, unless
+     * the wave has an explicit enemies list.
+     * @param {number} wave - The wave number
+     * @returns {Object|null} Boss definition, or null if the wave has no boss
+     */
+    getWaveBoss(wave) {
+        const boss = this.waveDefinitions.getBoss(wave);
+        
+        if (typeof boss === 'string') {
+            return this.bossSystem.getBossByName(boss);
+        }
+        
+        if (boss === false || this.waveDefinitions.getEnemies(wave)) {
+            return null;
+        }
+        
+        return this.bossSystem.getBossDefinition(wave);
+    }
+    
+    /**
+     * Get the display name of a wave
+     * @param {number} wave - The wave number
+     * @returns {string} Name from the wave definitions, or "Wave N"
+     */
+    getWaveName(wave) {
+        return this.waveDefinitions.getName(wave) || `Wave ${wave}`;
+    }
+    
+    /**
+     * Roll the tier of a single enemy, weighted toward higher tiers as waves progress
+     * @param {Object} difficulty - Wave difficulty from getWaveDifficulty
+     * @param {SeededRandom} random - Random number generator to roll with
+     * @returns {number} Enemy tier
+     */
+    rollEnemyTier(difficulty, random = this.random) {
+        const { minTier, maxTier, highTierChance, midTierChance } = difficulty;
+        const tierRoll = random.next();
+        
+        if (tierRoll < (1 - midTierChance - highTierChance)) {
+            // Low tier chance (decreases as waves progress)
+            return minTier;
+        } else if (tierRoll < (1 - highTierChance)) {
+            // Mid tier chance
+            return Math.floor(minTier + ((maxTier - minTier) * 0.5));
+        }
+        
+        // High tier chance (increases as waves progress)
+        return maxTier;
+    }
+    
+    /**
+     * Calculate the wave-scaled stats of an enemy, including the stat modifiers of the wave
+     * @param {number} tier - Enemy tier
+     * @param {number} wave - The wave number
+     * @param {string} element - Optional element overriding the element of the tier
+     * @returns {Object} Plain enemy stats {tier, attack, defense, speed, element, health, maxHealth}
+     */
+    createEnemyStats(tier, wave, element) {
+        const modifiers = this.waveDefinitions.getModifiers(wave);
+        const maxHealth = Math.floor(this.calculateEnemyHealth(tier, wave) * modifiers.health);
+        
+        return {
+            tier,
+            attack: Math.floor(this.calculateEnemyAttack(tier, wave) * modifiers.attack),
+            defense: Math.floor(this.calculateEnemyDefense(tier, wave) * modifiers.defense),
+            speed: Math.round(monsterTypes.types[tier].baseSpeed * modifiers.speed),
+            element: element || monsterTypes.types[tier].element,
+            health: maxHealth,
+            maxHealth
+        };
+    }
+    
+    /**
+     * Roll the enemies of a wave as plain stats, without creating any meshes
+     * @param {number} wave - The wave number
+     * @param {SeededRandom} random - Random number generator to roll with
+     * @returns {Array<Object>} Enemy stats {tier, attack, defense, speed, element, health, maxHealth}; on boss waves a single boss with a `boss` description
+     */
+    rollEnemyWave(wave, random = this.random) {
+        const boss = this.getWaveBoss(wave);
+        if (boss) {
+            return [this.createBossStats(boss, wave)];
+        }
+        
+        // Authored waves list their enemies explicitly
+        const explicitEnemies = this.waveDefinitions.getEnemies(wave);
+        if (explicitEnemies) {
+            return explicitEnemies.map(enemy => this.createEnemyStats(enemy.tier, wave, enemy.element));
+        }
+        
+        const difficulty = this.getWaveDifficulty(wave);
+        
+        // Every wave leans toward one element so players can counter-build
+        const dominantElement = this.getDominantElement(wave);
+        
+        const enemies = [];
+        for (let i = 0; i < difficulty.enemyCount; i++) {
+            const tier = this.rollEnemyTier(difficulty, random);
+            const element = random.next() < difficulty.elementSkew ? dominantElement : null;
+            enemies.push(this.createEnemyStats(tier, wave, element));
+        }
+        
+        return enemies;
+    }
+    
+    /**
+     * Create the stats of the boss of a boss wave
+     * @param {Object} definition - Boss definition from getWaveBoss
+     * @param {number} wave - The wave number
+     * @returns {Object} Boss stats, see BossSystem.createBossStats
+     */
+    createBossStats(definition, wave) {
+        return this.bossSystem.createBossStats(
+            definition,
+            this.createEnemyStats(definition.tier, wave),
+            this.createEnemyStats(definition.summon.tier, wave)
+        );
+    }
+    
+    /**
+     * Get the element a wave leans toward. Unless the wave definition sets one it
+     * cycles through the elements so consecutive waves ask for different counters.
+     * @param {number} wave - The wave number
+     * @returns {string} One of ElementType
+     */
+    getDominantElement(wave) {
+        const elements = Object.values(ElementType);
+        return this.waveDefinitions.getElement(wave) || elements[(wave - 1) % elements.length];
+    }
+    
+    /**
+     * Tint enemies whose element differs from their monster type, so
+     * elemental variants can be recognised on the battlefield
+     * @param {Object} enemy - The enemy monster
+     */
+    applyElementTint(enemy) {
+        const typeData = monsterTypes.types[enemy.tier];
+        if (!enemy.mesh || !typeData || enemy.element === typeData.element) return;
+        
+        const tint = new THREE.Color(ELEMENT_COLORS[enemy.element]);
+        enemy.mesh.traverse(child => {
+            if (child.isMesh && child.material && child.material.emissive) {
+                child.material.emissive.copy(tint).multiplyScalar(0.4);
+            }
+        });
+    }
+    
     /**
      * Enhance enemy appearance based on wave number
      * @param {Object} enemy - The enemy monster to enhance
@@ -254,56 +460,34 @@ class WaveManager {
     
     /**
      * Preview the upcoming enemy wave
-     * @returns {Array} Array of simplified enemy data for display
+     * @param {number} wave - Optional wave number (defaults to currentWave)
+     * @param {SeededRandom} random - Optional generator; pass the one the wave will be generated with to preview it exactly
+     * @returns {Array} Array of simplified enemy data for display, including each enemy's element; a boss is flagged with `isBoss` and its name, phases, enrage turn and minions
      */
-    previewNextWave() {
-        // Generate a temporary wave without adding to the scene
-        const tempManager = new MonsterManager(new THREE.Scene());
-        const enemyCount = Math.min(10, 2 + Math.floor(this.currentWave * 0.7));
-        const maxEnemyTier = Math.min(9, 1 + Math.floor(this.currentWave * 0.4));
-        const minEnemyTier = Math.min(maxEnemyTier, Math.max(1, Math.floor(this.currentWave * 0.2)));
-        
-        const enemies = [];
-        
-        for (let i = 0; i < enemyCount; i++) {
-            const tierRoll = Math.random();
-            let tier;
-            
-            // As waves progress, shift probability toward higher tiers
-            const highTierChance = Math.min(0.7, 0.15 + (this.currentWave * 0.05));
-            const midTierChance = Math.min(0.8, 0.35 + (this.currentWave * 0.03));
-            
-            if (tierRoll < (1 - midTierChance - highTierChance)) {
-                // Low tier chance (decreases as waves progress)
-                tier = minEnemyTier;
-            } else if (tierRoll < (1 - highTierChance)) {
-                // Mid tier chance
-                tier = Math.floor(minEnemyTier + ((maxEnemyTier - minEnemyTier) * 0.5));
-            } else {
-                // High tier chance (increases as waves progress)
-                tier = maxEnemyTier;
-            }
-            
-            const enemy = tempManager.createMonster(tier);
-            
-            // Apply wave scaling to stats
-            enemy.attack = this.calculateEnemyAttack(tier, this.currentWave);
-            enemy.defense = this.calculateEnemyDefense(tier, this.currentWave);
-            enemy.health = this.calculateEnemyHealth(tier, this.currentWave);
-            enemy.maxHealth = enemy.health;
-            
-            enemies.push({
-                tier: enemy.tier,
-                attack: enemy.attack,
-                defense: enemy.defense,
-                health: enemy.health,
-                maxHealth: enemy.maxHealth,
-                // Add visual indicator for preview
-                enhanced: this.currentWave > 1
-            });
-        }
-        
-        return enemies;
+    previewNextWave(wave = this.currentWave, random = new SeededRandom()) {
+        // Roll a separate wave so previewing does not change the real one
+        return this.describeEnemies(this.rollEnemyWave(wave, random), wave);
+    }
+    
+    /**
+     * Turn rolled enemy stats into preview entries for display
+     * @param {Array<Object>} enemyStats - Enemy stats from rollEnemyWave
+     * @param {number} wave - The wave number
+     * @returns {Array} Preview entries, see previewNextWave
+     */
+    describeEnemies(enemyStats, wave) {
+        return enemyStats.map(enemy => ({
+            ...enemy,
+            // Add visual indicator for preview
+            enhanced: wave > 1,
+            isBoss: Boolean(enemy.boss),
+            ...(enemy.boss ? {
+                bossName: enemy.boss.name,
+                phaseCount: enemy.boss.phases.length,
+                enrageTurn: enemy.boss.enrageTurn,
+                minionTier: enemy.boss.summon.minion.tier
+            } : {})
+        }));
     }
     
     /**
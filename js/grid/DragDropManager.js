@@ -2,9 +2,12 @@
  * DragDropManager handles dragging and dropping of monsters on the grid
  */
 class DragDropManager {
-    constructor(sceneManager, gridManager) {
+    constructor(sceneManager, gridManager, gameManager = null) {
         this.sceneManager = sceneManager;
         this.gridManager = gridManager;
+        
+        // The game, for moves, sales, equipping items and the UI
+        this.gameManager = gameManager;
         this.scene = sceneManager.scene;
         
         this.isDragging = false;
@@ -23,6 +26,13 @@ class DragDropManager {
         // Default Y position for monsters on the grid (slightly above the grid surface)
         this.defaultMonsterY = 0.5;
         
+        // Dropping a monster on the sell zone offers to sell it
+        this.sellZone = document.getElementById('sell-zone');
+        
+        // The hover tooltip is updated at most once per animation frame
+        this.tooltipFrame = null;
+        this.tooltipPosition = null;
+        
         this.setupEventListeners();
     }
     
@@ -71,62 +81,92 @@ class DragDropManager {
             e.preventDefault();
             this.onMouseUp({});
         });
+        
+        // Items are dragged from the inventory onto a monster to equip them
+        canvas.addEventListener('dragover', (e) => e.preventDefault());
+        canvas.addEventListener('drop', (e) => this.onItemDrop(e));
+        canvas.addEventListener('mouseleave', () => this.hideMonsterTooltip());
     }
     
-    onMouseDown(event) {
-        const raycaster = this.sceneManager.getRaycaster(event.clientX, event.clientY);
-        // Use recursive true to check all descendants of objects
-        const intersects = raycaster.intersectObjects(this.scene.children, true);
+    /**
+     * Find the monster on the grid or the bench under a screen position
+     * @param {number} clientX - Screen X position
+     * @param {number} clientY - Screen Y position
+     * @returns {Object|null} The monster, or null if there is none
+     */
+    findMonsterAt(clientX, clientY) {
+        // Only the meshes of the player's monsters are tested, not the whole scene
+        const monsters = this.gridManager.getAllMonsters().filter(monster => monster.mesh);
+        if (monsters.length === 0) return null;
+        
+        const raycaster = this.sceneManager.getRaycaster(clientX, clientY);
+        // Recursive, so every part of a model counts as its monster
+        const intersects = raycaster.intersectObjects(monsters.map(monster => monster.mesh), true);
         
+        for (const intersect of intersects) {
+            // Walk up from the part that was hit to the root mesh of its monster
+            for (let object = intersect.object; object; object = object.parent) {
+                const monsterObj = monsters.find(monster => monster.mesh === object);
+                if (monsterObj) return monsterObj;
+            }
+        }
+        
+        return null;
+    }
+    
+    onMouseDown(event) {
         // Store last known mouse position for touch events
         this.lastClientX = event.clientX;
         this.lastClientY = event.clientY;
         
-        for (const intersect of intersects) {
-            const object = intersect.object;
-            
-            // Check if the object is a monster
-            if (object.userData && object.userData.isMonster) {
-                const monsterObj = object.userData.monsterObj;
-                const { row, col } = this.gridManager.getMonsterGridPosition(monsterObj);
-                
-                if (row !== null && col !== null) {
-                    this.isDragging = true;
-                    this.draggedMonster = monsterObj;
-                    this.originalPosition = monsterObj.mesh.position.clone();
-                    this.originalGridPos = { row, col };
-                    
-                    // Notify state change
-                    this.notifyDragStateChange();
-                    
-                    // Record the initial mouse position on the floor
-                    const floorIntersect = raycaster.intersectObject(this.sceneManager.floor);
-                    if (floorIntersect.length > 0) {
-                        this.prevCursorPosition = floorIntersect[0].point.clone();
-                    }
-                    
-                    // Remove from grid while dragging
-                    this.gridManager.removeMonsterFromGrid(row, col);
-                    
-                    // Raise the monster slightly while dragging
-                    monsterObj.mesh.position.y = this.defaultMonsterY + 0.5;
-                    
-                    // Highlight valid cells
-                    this.gridManager.highlightValidDropCells(monsterObj);
-                    
-                    return;
-                }
-            }
+        const monsterObj = this.findMonsterAt(event.clientX, event.clientY);
+        if (!monsterObj) return;
+        
+        const { row, col } = this.gridManager.getMonsterGridPosition(monsterObj);
+        
+        this.hideMonsterTooltip();
+        
+        this.isDragging = true;
+        this.draggedMonster = monsterObj;
+        this.originalPosition = monsterObj.mesh.position.clone();
+        this.originalGridPos = { row, col };
+        
+        // Notify state change
+        this.notifyDragStateChange();
+        
+        // Record the initial mouse position on the floor
+        const raycaster = this.sceneManager.getRaycaster(event.clientX, event.clientY);
+        const floorIntersect = raycaster.intersectObject(this.sceneManager.floor);
+        if (floorIntersect.length > 0) {
+            this.prevCursorPosition = floorIntersect[0].point.clone();
         }
+        
+        // Remove from grid while dragging
+        this.gridManager.removeMonsterFromGrid(row, col);
+        
+        // Raise the monster slightly while dragging
+        monsterObj.mesh.position.y = this.defaultMonsterY + 0.5;
+        
+        // Highlight valid cells
+        this.gridManager.highlightValidDropCells(monsterObj);
+        
+        this.showSellZone(true);
     }
     
     onMouseMove(event) {
-        if (!this.isDragging || !this.draggedMonster) return;
+        if (!this.isDragging || !this.draggedMonster) {
+            this.scheduleTooltipUpdate(event);
+            return;
+        }
         
         // Store last known mouse position for touch events
         this.lastClientX = event.clientX;
         this.lastClientY = event.clientY;
         
+        if (this.sellZone) {
+            this.sellZone.classList.toggle('active', this.isOverSellZone(event.clientX, event.clientY));
+        }
+        
         const raycaster = this.sceneManager.getRaycaster(event.clientX, event.clientY);
         const intersect = raycaster.intersectObject(this.sceneManager.floor);
         
@@ -152,8 +192,8 @@ class DragDropManager {
     updateDraggedMonsterHealthBar() {
         if (!this.draggedMonster) return;
         
-        // Only proceed if the game object exists and has a UIManager with updateAllHealthBars
-        const game = window.game;
+        // Only proceed if the game has a UIManager with updateAllHealthBars
+        const game = this.gameManager;
         if (!game || !game.uiManager || typeof game.uiManager.updateAllHealthBars !== 'function') return;
         
         // Create an array with just the dragged monster
@@ -170,7 +210,12 @@ class DragDropManager {
     onMouseUp(event) {
         if (!this.isDragging || !this.draggedMonster) return;
         
-        const dropped = this.tryDropMonster(event);
+        // Touch events don't provide coordinates on touchend
+        const clientX = event.clientX || this.lastClientX;
+        const clientY = event.clientY || this.lastClientY;
+        const sellPosition = this.isOverSellZone(clientX, clientY) ? { ...this.originalGridPos } : null;
+        
+        const dropped = !sellPosition && this.tryDropMonster(event);
         
         if (!dropped) {
             // Return to original position
@@ -191,6 +236,106 @@ class DragDropManager {
         
         // Remove all cell highlights
         this.gridManager.resetCellHighlights();
+        
+        this.showSellZone(false);
+        
+        // Moves and merges change the board; let the game autosave it
+        if (dropped && this.gameManager) {
+            this.gameManager.notifyStateChanged('move');
+        }
+        
+        // The monster stays on the board until the sale is confirmed
+        if (sellPosition && this.gameManager) {
+            this.gameManager.requestSellMonster(sellPosition.row, sellPosition.col);
+        }
+    }
+    
+    /**
+     * Equip an item dropped from the inventory on the monster under the cursor
+     * @param {DragEvent} event - The drop event
+     */
+    onItemDrop(event) {
+        event.preventDefault();
+        
+        const inventoryIndex = parseInt(event.dataTransfer.getData('text/plain'), 10);
+        if (isNaN(inventoryIndex)) return;
+        
+        const monster = this.findMonsterAt(event.clientX, event.clientY);
+        if (!monster) return;
+        
+        if (this.gameManager) {
+            this.gameManager.equipItem(inventoryIndex, monster);
+        }
+    }
+    
+    /**
+     * Update the hover tooltip on the next animation frame. Mouse moves in
+     * between only replace the position, so at most one raycast runs per frame.
+     * @param {Object} event - Mouse event with clientX and clientY
+     */
+    scheduleTooltipUpdate(event) {
+        this.tooltipPosition = { clientX: event.clientX, clientY: event.clientY };
+        if (this.tooltipFrame !== null) return;
+        
+        this.tooltipFrame = requestAnimationFrame(() => {
+            this.tooltipFrame = null;
+            if (!this.isDragging) {
+                this.updateMonsterTooltip(this.tooltipPosition);
+            }
+        });
+    }
+    
+    /**
+     * Show the tooltip of the monster under the cursor, listing its stats and items
+     * @param {Object} event - The mouse event
+     */
+    updateMonsterTooltip(event) {
+        const game = this.gameManager;
+        if (!game || !game.uiManager || event.clientX === undefined) return;
+        
+        const monster = this.findMonsterAt(event.clientX, event.clientY);
+        if (monster) {
+            game.uiManager.showMonsterTooltip(monster, event.clientX, event.clientY);
+        } else {
+            this.hideMonsterTooltip();
+        }
+    }
+    
+    hideMonsterTooltip() {
+        // A scheduled update must not show the tooltip again
+        if (this.tooltipFrame !== null) {
+            cancelAnimationFrame(this.tooltipFrame);
+            this.tooltipFrame = null;
+        }
+        
+        if (this.gameManager && this.gameManager.uiManager) {
+            this.gameManager.uiManager.hideMonsterTooltip();
+        }
+    }
+    
+    /**
+     * Show or hide the sell zone while a monster is dragged
+     * @param {boolean} visible - Whether the zone should be visible
+     */
+    showSellZone(visible) {
+        if (!this.sellZone) return;
+        
+        this.sellZone.classList.toggle('hidden', !visible);
+        this.sellZone.classList.remove('active');
+    }
+    
+    /**
+     * Check whether a screen position is over the sell zone
+     * @param {number} clientX - Screen X position
+     * @param {number} clientY - Screen Y position
+     * @returns {boolean} True if the position is inside the visible sell zone
+     */
+    isOverSellZone(clientX, clientY) {
+        if (!this.sellZone || this.sellZone.classList.contains('hidden')) return false;
+        if (clientX === null || clientY === null) return false;
+        
+        const rect = this.sellZone.getBoundingClientRect();
+        return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
     }
     
     tryDropMonster(event) {
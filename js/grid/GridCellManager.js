@@ -1,13 +1,19 @@
 /**
- * GridCellManager handles the creation and management of the grid cells
+ * GridCellManager handles the creation and management of the grid cells and
+ * of the bench strip in front of the grid
  */
 class GridCellManager {
-    constructor(scene, gridSize, cellSize) {
+    constructor(scene, gridSize, cellSize, benchSize = 0) {
         this.scene = scene;
         this.gridSize = gridSize;
         this.cellSize = cellSize;
         this.gridOffset = (gridSize * cellSize) / 2 - cellSize / 2;
         
+        // Bench cells use the row after the last grid row, separated by a small gap
+        this.benchSize = benchSize;
+        this.benchRow = gridSize;
+        this.benchGap = cellSize / 3;
+        
         this.cells = [];
         
         // Create texture manager and generate textures
@@ -34,7 +40,18 @@ class GridCellManager {
             opacity: 0.8
         });
         
+        // The bench is tinted so it reads as storage rather than part of the battle line-up
+        this.benchMaterial = new THREE.MeshStandardMaterial({ 
+            map: gridTexture,
+            color: 0x8899bb,
+            roughness: 0.8,
+            metalness: 0.2,
+            transparent: true,
+            opacity: 0.6
+        });
+        
         this.setupGrid();
+        this.setupBench();
     }
     
     setupGrid() {
@@ -66,17 +83,44 @@ class GridCellManager {
         }
     }
     
+    setupBench() {
+        const cellGeometry = new THREE.BoxGeometry(this.cellSize, 0.1, this.cellSize);
+        
+        for (let col = 0; col < this.benchSize; col++) {
+            const cell = new THREE.Mesh(cellGeometry, this.benchMaterial);
+            
+            const position = this.calculateCellPosition(this.benchRow, col);
+            cell.position.set(position.x, position.y, position.z);
+            
+            cell.receiveShadow = true;
+            
+            cell.userData = {
+                row: this.benchRow,
+                col,
+                isCell: true,
+                isBench: true,
+                normalMaterial: this.benchMaterial,
+                highlightMaterial: this.highlightMaterial
+            };
+            
+            this.scene.add(cell);
+            this.cells.push(cell);
+        }
+    }
+    
     /**
      * Calculate the exact position for a cell at given row and column
-     * @param {number} row - Row index
+     * @param {number} row - Row index (benchRow for bench cells)
      * @param {number} col - Column index
      * @returns {Object} Position object with x, y, z coordinates
      */
     calculateCellPosition(row, col) {
+        const benchOffset = row === this.benchRow ? this.benchGap : 0;
+        
         return {
             x: col * this.cellSize - this.gridOffset,
             y: 0.05, // Slight elevation to avoid z-fighting
-            z: row * this.cellSize - this.gridOffset
+            z: row * this.cellSize - this.gridOffset + benchOffset
         };
     }
     
@@ -25,6 +25,12 @@ class MergeManager {
         // Create a new monster of the next tier
         const newTier = monster1.tier + 1;
         
+        // Take the items off the parents so their bonuses don't grow with the merge
+        const itemManager = this.gameManager && this.gameManager.itemManager;
+        const parentItems = itemManager
+            ? [...itemManager.unequipAll(monster1), ...itemManager.unequipAll(monster2)]
+            : [];
+        
         // Calculate bonus stats based on the parents
         const attackBonus = Math.floor((monster1.attack + monster2.attack) * 0.1);
         const defenseBonus = Math.floor((monster1.defense + monster2.defense) * 0.1);
@@ -35,9 +41,19 @@ class MergeManager {
             attack: monster1.attack + attackBonus,
             defense: monster1.defense + defenseBonus,
             health: monster1.maxHealth + healthBonus,
-            maxHealth: monster1.maxHealth + healthBonus
+            maxHealth: monster1.maxHealth + healthBonus,
+            value: monster1.value + monster2.value
         });
         
+        // The merged monster keeps the parents' items while it has free slots;
+        // the rest go back to the inventory, or are lost when it is full
+        if (itemManager && parentItems.length > 0) {
+            const transfer = itemManager.transferItems(newMonster, parentItems);
+            if (this.gameManager.uiManager && transfer.lost.length > 0) {
+                this.gameManager.uiManager.showNotification(`Inventory full: ${transfer.lost.length} item(s) lost in the merge`, 'error');
+            }
+        }
+        
         // Calculate position for the new monster
         const position = this.gridCellManager.getWorldPosition(row, col);
         
@@ -53,8 +69,8 @@ class MergeManager {
         this.playMergeEffect(row, col);
         
         // Notify the game about the merge
-        if (window.game && typeof window.game.onMonsterMerged === 'function') {
-            window.game.onMonsterMerged(newTier);
+        if (this.gameManager && typeof this.gameManager.onMonsterMerged === 'function') {
+            this.gameManager.onMonsterMerged(newTier);
         }
         
         // Update highest tier if needed and unlock new monster tier
@@ -65,11 +81,6 @@ class MergeManager {
             if (!this.gameManager.unlockedMonsters.includes(newTier)) {
                 this.gameManager.unlockedMonsters.push(newTier);
                 
-                // Update shop items to include the new tier
-                this.gameManager.shopItems = this.gameManager.storageManager.generateShopItems(
-                    this.gameManager.unlockedMonsters
-                );
-                
                 // Refresh shop if it's open
                 if (this.gameManager.uiManager && this.gameManager.uiManager.overlayManager) {
                     const shopOverlay = document.getElementById('shop-overlay');
@@ -83,11 +94,11 @@ class MergeManager {
                     this.gameManager.uiManager.showNotification(`Unlocked Tier ${newTier} Monster!`, 'success');
                 }
             }
-            
-            // Save game state
-            if (typeof this.gameManager.saveGameState === 'function') {
-                this.gameManager.saveGameState();
-            }
+        }
+        
+        // Autosave every merge, not only the ones that unlock a new tier
+        if (this.gameManager && typeof this.gameManager.notifyStateChanged === 'function') {
+            this.gameManager.notifyStateChanged('merge');
         }
         
         return newMonster;
@@ -3,24 +3,60 @@
  */
 class Game {
     constructor() {
+        // Listeners called whenever the game state changes (see notifyStateChanged)
+        this.stateChangeListeners = [];
+        
+        // Saves are read from IndexedDB, which opens asynchronously. Only a failure to open
+        // it falls back to localStorage; errors while starting the game surface as they are.
+        StorageManager.openStorage()
+            .catch(error => {
+                console.error('Could not open the saves, using localStorage instead:', error);
+                return new LocalStorageBackend();
+            })
+            .then(storage => this.start(storage));
+    }
+    
+    /**
+     * Initialize the game and start the animation loop
+     * @param {Object} storage - Opened storage backend from StorageManager.openStorage
+     */
+    start(storage) {
         // Initialize managers in the correct order
-        this.initialize();
+        this.initialize(storage);
         
         // Start the animation loop
         this.animate();
     }
     
-    initialize() {
+    /**
+     * Create all game components and load the active save slot
+     * @param {Object} storage - Opened storage backend from StorageManager.openStorage
+     */
+    initialize(storage) {
         // Get the game canvas element
         this.container = document.getElementById('game-canvas');
         
         // Create a clock for animation timing
         this.clock = new THREE.Clock();
         
-        // Initialize the storage manager first
-        this.storageManager = new StorageManager();
+        // Initialize the storage manager first; saved monsters can't be above the highest known tier
+        this.storageManager = new StorageManager(Object.keys(monsterTypes.types).length, storage);
         this.gameState = this.storageManager.loadGame();
         
+        // Every change to the game state schedules an autosave; changes close together are saved once
+        this.addStateChangeListener(() => this.requestAutosave());
+        
+        // Write a pending autosave right away when the page is hidden or closed
+        window.addEventListener('pagehide', () => this.storageManager.flushScheduledSave());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.storageManager.flushScheduledSave();
+            }
+        });
+        
+        // Track the hearts and statistics of the current run
+        this.runManager = new RunManager();
+        
         // Initialize the texture manager for all game textures
         this.textureManager = new TextureManager();
         
@@ -31,24 +67,90 @@ class Game {
         this.monsterManager = new MonsterManager(this.sceneManager.scene, this.textureManager, monsterTypes);
         
         // Initialize the grid manager
-        this.gridManager = new GridManager(this.sceneManager, this.monsterManager);
+        this.gridManager = new GridManager(this.sceneManager, this.monsterManager, this);
+        
+        // Roll the monster offers of the shop
+        this.shopManager = new ShopManager();
+        
+        // Decide how monsters recover from the damage they take in battle
+        this.recoveryManager = new RecoveryManager(this.monsterManager);
+        
+        // Price monsters sold back to the shop and keep the last sale undoable
+        this.sellManager = new SellManager();
+        
+        // Keep the unequipped items and equip them on monsters
+        this.itemManager = new ItemManager(this.monsterManager);
+        
+        // Share boards as text codes; loaded boards are played in a sandbox that is never saved
+        this.boardCodeManager = new BoardCodeManager(this.gridManager.gridSize, Object.keys(monsterTypes.types).length);
+        this.sandbox = false;
         
         // Initialize the combat manager
         this.combatManager = new CombatManager(this.sceneManager.scene, this.monsterManager);
         this.combatManager.setWave(this.gameState.wave);
         
+        // Allow reproducing battles with a fixed seed, e.g. index.html?seed=1234
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get('seed');
+        if (seed !== null) {
+            this.combatManager.setSeed(seed);
+        }
+        
+        // Print waves, battle events and battle results to the console with index.html?debug
+        if (params.has('debug')) {
+            this.combatManager.setDebugMode(true);
+        }
+        
+        // Allow switching the damage formula, e.g. index.html?rules=diminishingReturns
+        const ruleSet = params.get('rules');
+        if (ruleSet !== null) {
+            try {
+                this.combatManager.setRuleSet(ruleSet);
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+        
         // Initialize the merge manager
         this.mergeManager = new MergeManager(this.sceneManager.scene, this.monsterManager, this.gridManager, this);
         
+        // Initialize the effect manager for particle effects (status effects in battle)
+        this.effectManager = new EffectManager(this.sceneManager);
+        
         // Initialize the UI manager with the scene manager, this game instance, and the texture manager
         this.uiManager = new UIManager(this.sceneManager, this, this.textureManager);
         
+        // Tell the player when the game could not be saved
+        this.storageManager.onSaveError = error => {
+            this.uiManager.showNotification(`Could not save the game: ${error.message}`, 'error');
+        };
+        
+        // Load the authored waves; battles wait until they are in place
+        this.waveDataLoaded = false;
+        this.combatManager.loadWaveDefinitions()
+            .catch(error => {
+                console.error(error);
+                this.uiManager.showNotification(`${error.message}. Using the default wave formulas.`, 'error');
+            })
+            .then(() => {
+                this.waveDataLoaded = true;
+                this.refreshWavePreview();
+            });
+        
         // Load the game state
         this.loadGameState();
         
         // Update UI
         this.uiManager.updateMoneyDisplay(this.gameState.coins);
         this.uiManager.updateWaveDisplay(this.gameState.wave);
+        this.uiManager.updateLivesDisplay(this.runManager.lives, this.runManager.mode);
+        this.updateInventoryDisplay();
+        
+        // Tell the player about anything that could not be restored from the save
+        this.storageManager.loadIssues.forEach(issue => this.uiManager.showNotification(issue, 'error'));
+        
+        // Let the player pick the save slot to play
+        this.uiManager.openSlotPicker();
     }
     
     animate() {
@@ -69,6 +171,9 @@ class Game {
      * @param {number} delta - Time delta for animation
      */
     update(delta) {
+        // Count the playtime shown on the save slots
+        this.playtime += delta;
+        
         // Update monster animations if the manager exists and has the method
         if (this.monsterManager && typeof this.monsterManager.updateAnimations === 'function') {
             this.monsterManager.updateAnimations(delta);
@@ -80,9 +185,9 @@ class Game {
             this.combatManager.update(delta);
         }
         
-        // Update health bars for all monsters on the grid
+        // Update health bars for all monsters on the grid and the bench
         if (this.uiManager && this.gridManager) {
-            const monsters = this.gridManager.getMonsters();
+            const monsters = this.gridManager.getAllMonsters();
             if (Array.isArray(monsters)) {
                 this.uiManager.updateAllHealthBars(monsters);
             }
@@ -95,9 +200,9 @@ class Game {
     loadGameState() {
         // Load saved game state or use defaults
         if (this.gameState) {
-            // Load grid state
+            // Load grid and bench state
             if (this.gameState.grid) {
-                this.gridManager.loadGridState(this.gameState.grid);
+                this.gridManager.loadGridState(this.gameState.grid, this.gameState.bench || []);
             }
             
             // Load player stats
@@ -105,60 +210,434 @@ class Game {
             this.wave = this.gameState.wave || 1;
             this.highestTier = this.gameState.highestTier || 1;
             this.unlockedMonsters = this.gameState.unlockedMonsters || [1];
-            this.shopItems = this.gameState.shopItems || [];
+            this.playtime = this.gameState.playtime || 0;
             
             // Update combat manager with current wave
             this.combatManager.setWave(this.wave);
+            
+            // Restore the wave the preview showed before the page was closed
+            this.combatManager.setUpcomingWave(this.gameState.upcomingWave || null);
+            
+            // Continue the saved run, or start a new one for older saves
+            this.runManager.setState(this.gameState.run || null);
+            
+            // Keep the saved offers (including locked ones), or roll new ones
+            this.shopManager.setState(this.gameState.shop || null);
+            
+            // Restore the inventory and the abilities and attachments of equipped items
+            this.itemManager.setState(this.gameState.items || null);
+            this.gridManager.getAllMonsters().forEach(monster => {
+                this.itemManager.restoreItems(monster, monster.items);
+            });
         } else {
             // Default values
             this.coins = 100;
             this.wave = 1;
             this.highestTier = 1;
             this.unlockedMonsters = [1];
-            this.shopItems = this.storageManager.generateShopItems(this.unlockedMonsters);
+            this.playtime = 0;
+        }
+        
+        if (this.shopManager.getOffers().length === 0) {
+            this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
         }
     }
     
     /**
-     * Save the current game state
+     * Register a listener for changes to the game state
+     * @param {Function} callback - Called with the reason of the change, e.g. 'buy' or 'move'
+     */
+    addStateChangeListener(callback) {
+        this.stateChangeListeners.push(callback);
+    }
+    
+    /**
+     * Tell the listeners that the game state changed. Call this after every
+     * change that should survive a reload; the autosave listens to it.
+     * @param {string} reason - What changed, e.g. 'buy' or 'move'
+     */
+    notifyStateChanged(reason) {
+        this.stateChangeListeners.forEach(callback => callback(reason));
+    }
+    
+    /**
+     * Schedule an autosave of the current game state
+     */
+    requestAutosave() {
+        // Nothing that happens in the sandbox is saved
+        if (this.sandbox) return;
+        
+        this.storageManager.scheduleSave(() => this.collectGameState());
+    }
+    
+    /**
+     * Save the current game state right away (e.g. before switching slots);
+     * a scheduled autosave is replaced by this save
      */
     saveGameState() {
+        // Nothing that happens in the sandbox is saved
+        if (this.sandbox) return;
+        
+        this.storageManager.cancelScheduledSave();
+        this.storageManager.saveGame(this.collectGameState());
+    }
+    
+    /**
+     * Collect the game state to save
+     * @returns {Object} Game state for StorageManager.saveGame
+     */
+    collectGameState() {
         this.gameState = {
             grid: this.gridManager.grid,
+            bench: this.gridManager.bench,
             coins: this.coins,
             wave: this.wave,
             highestTier: this.highestTier,
             unlockedMonsters: this.unlockedMonsters,
-            shopItems: this.shopItems
+            shop: this.shopManager.getState(),
+            upcomingWave: this.combatManager.getUpcomingWave(),
+            run: this.runManager.getState(),
+            items: this.itemManager.getState(),
+            playtime: this.playtime
         };
         
-        this.storageManager.saveGame(this.gameState);
+        return this.gameState;
     }
     
     /**
-     * Refresh the shop with new items
+     * Get the save slots
+     * @returns {Array} Slots {id, name, wave, highestTier, playtime, lastSaved}
+     */
+    getSaveSlots() {
+        return this.storageManager.listSlots();
+    }
+    
+    /**
+     * Get the save slot being played
+     * @returns {string} Slot id
+     */
+    getActiveSaveSlotId() {
+        return this.storageManager.getActiveSlotId();
+    }
+    
+    /**
+     * Save the current game and continue with another save slot
+     * @param {string} slotId - The slot to load
+     * @returns {boolean} Whether the slot was loaded
+     */
+    loadSaveSlot(slotId) {
+        if (this.inBattle) {
+            this.uiManager.showNotification('Finish the battle before switching saves', 'error');
+            return false;
+        }
+        
+        try {
+            this.saveGameState();
+            this.storageManager.setActiveSlot(slotId);
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return false;
+        }
+        
+        this.setSandbox(false);
+        this.reloadGameState();
+        
+        this.uiManager.showNotification(`Loaded ${this.storageManager.getSlot(slotId).name}`, 'info');
+        return true;
+    }
+    
+    /**
+     * Replace the game in play with the game saved in the active slot
+     */
+    reloadGameState() {
+        this.gameState = this.storageManager.loadGame();
+        this.gridManager.clearGrid();
+        this.loadGameState();
+        
+        // A sale can't be undone into another game
+        this.sellManager.clear();
+        this.uiManager.hideUndoSell();
+        
+        this.uiManager.updateMoneyDisplay(this.coins);
+        this.uiManager.updateWaveDisplay(this.wave);
+        this.uiManager.updateLivesDisplay(this.runManager.lives, this.runManager.mode);
+        this.updateInventoryDisplay();
+        this.refreshWavePreview();
+        
+        this.storageManager.loadIssues.forEach(issue => this.uiManager.showNotification(issue, 'error'));
+    }
+    
+    /**
+     * Get the board code of the monsters on the grid
+     * @returns {string} Board code
+     */
+    getBoardCode() {
+        return this.boardCodeManager.encode(this.gridManager.getGridState());
+    }
+    
+    /**
+     * Copy the board code of the grid to the clipboard
+     * @returns {Promise} Resolves once the code is copied (or copying failed)
+     */
+    copyBoardCode() {
+        return navigator.clipboard.writeText(this.getBoardCode())
+            .then(() => this.uiManager.showNotification('Board code copied', 'success'))
+            .catch(() => this.uiManager.showNotification('Could not copy the board code; select it and copy it by hand', 'error'));
+    }
+    
+    /**
+     * Load a board code into the sandbox, either as the player's grid (the
+     * bench is kept) or as the opponent of the current wave. The game is saved
+     * first; nothing that happens in the sandbox is saved.
+     * @param {string} code - The board code
+     * @param {string} role - One of BoardCodeRole
+     * @returns {boolean} Whether the board was loaded
+     */
+    loadBoardCode(code, role) {
+        if (this.inBattle) {
+            this.uiManager.showNotification('Finish the battle before loading a board', 'error');
+            return false;
+        }
+        
+        try {
+            const gridState = this.boardCodeManager.decode(code);
+            
+            this.saveGameState();
+            
+            if (role === BoardCodeRole.OPPONENT) {
+                this.combatManager.setOpponentBoard(gridState);
+            } else {
+                this.gridManager.loadGridState(gridState, this.gridManager.getBenchState());
+                this.gridManager.getAllMonsters().forEach(monster => {
+                    this.itemManager.restoreItems(monster, monster.items);
+                });
+            }
+        } catch (error) {
+            this.uiManager.showNotification(`Could not load the board: ${error.message}`, 'error');
+            return false;
+        }
+        
+        this.setSandbox(true);
+        this.refreshWavePreview();
+        this.uiManager.showNotification(role === BoardCodeRole.OPPONENT
+            ? 'The shared board is your next opponent'
+            : 'Playing the shared board', 'info');
+        return true;
+    }
+    
+    /**
+     * Leave the sandbox and go back to the saved game
+     * @returns {boolean} Whether the sandbox was left
+     */
+    exitSandbox() {
+        if (!this.sandbox) return false;
+        
+        if (this.inBattle) {
+            this.uiManager.showNotification('Finish the battle before leaving the sandbox', 'error');
+            return false;
+        }
+        
+        this.setSandbox(false);
+        this.reloadGameState();
+        this.uiManager.showNotification('Back to your saved game', 'info');
+        return true;
+    }
+    
+    /**
+     * Turn the sandbox on or off
+     * @param {boolean} enabled - Whether saving is suspended
+     */
+    setSandbox(enabled) {
+        this.sandbox = enabled;
+        this.uiManager.showSandboxBanner(enabled);
+    }
+    
+    /**
+     * Add an empty save slot
+     * @param {string} name - Name of the slot (defaults to "Save <n>")
+     * @returns {Object|null} The new slot, or null if it could not be created
+     */
+    createSaveSlot(name = `Save ${this.storageManager.listSlots().length + 1}`) {
+        try {
+            return this.storageManager.createSlot(name);
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * Copy a save slot. The game is saved first so copying the active slot copies the latest state.
+     * @param {string} slotId - The slot to copy
+     * @returns {Object|null} The copy, or null if it could not be created
+     */
+    copySaveSlot(slotId) {
+        try {
+            if (slotId === this.getActiveSaveSlotId()) {
+                this.saveGameState();
+            }
+            return this.storageManager.copySlot(slotId);
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * Rename a save slot
+     * @param {string} slotId - The slot
+     * @param {string} name - The new name
+     * @returns {boolean} Whether the slot was renamed
+     */
+    renameSaveSlot(slotId, name) {
+        try {
+            this.storageManager.renameSlot(slotId, name);
+            return true;
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Download a save slot as a save file
+     * @param {string} slotId - The slot
+     * @returns {boolean} Whether the file was exported
+     */
+    exportSaveSlot(slotId) {
+        try {
+            if (slotId === this.getActiveSaveSlotId()) {
+                this.saveGameState();
+            }
+            
+            const slot = this.storageManager.getSlot(slotId);
+            const fileName = `${slot.name.replace(/[^a-z0-9-_]+/gi, '_')}-wave-${slot.wave}.json`;
+            this.uiManager.downloadFile(fileName, this.storageManager.exportSlot(slotId));
+            return true;
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Read and check a save file before importing it
+     * @param {File} file - The chosen save file
+     * @returns {Promise<Object|null>} The save file {name, exportedAt, state, summary, issues}, or null if it is invalid
+     */
+    readSaveFile(file) {
+        return file.text()
+            .then(text => this.storageManager.readSaveFile(text))
+            .catch(error => {
+                this.uiManager.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+                return null;
+            });
+    }
+    
+    /**
+     * Import a checked save file into a new save slot
+     * @param {Object} saveFile - Save file from readSaveFile
+     * @returns {Object|null} The new slot, or null if it could not be created
+     */
+    importSaveFile(saveFile) {
+        try {
+            const slot = this.storageManager.importSaveFile(saveFile);
+            this.uiManager.showNotification(`Imported ${slot.name}. Load it to play.`, 'success');
+            return slot;
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * Delete a save slot other than the one being played
+     * @param {string} slotId - The slot
+     * @returns {boolean} Whether the slot was deleted
+     */
+    deleteSaveSlot(slotId) {
+        try {
+            this.storageManager.deleteSlot(slotId);
+            return true;
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Roll the upcoming wave if needed and show it in the wave preview.
+     * The rolled wave is saved, so the player fights exactly what was shown.
+     */
+    refreshWavePreview() {
+        if (!this.waveDataLoaded) return;
+        
+        this.combatManager.setWave(this.wave);
+        const upcomingWave = this.combatManager.prepareUpcomingWave(this.wave);
+        this.uiManager.showWavePreview(this.wave, upcomingWave.name, this.combatManager.previewNextWave(this.wave));
+        
+        this.notifyStateChanged('wave-preview');
+    }
+    
+    /**
+     * Roll new shop offers for the current wave, keeping the locked ones
+     * @returns {Array} The shop offers
      */
     refreshShopItems() {
-        // Create a shop item for each unlocked tier
-        this.shopItems = this.storageManager.generateShopItems(this.unlockedMonsters);
+        this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
         
-        // Save the updated shop items
-        this.saveGameState();
+        // Autosave the updated shop offers
+        this.notifyStateChanged('shop');
         
-        return this.shopItems;
+        return this.shopManager.getOffers();
     }
     
     /**
-     * Get the current shop items
-     * @returns {Array} Array of shop items
+     * Get the current shop offers
+     * @returns {Array} Offers {tier, cost, baseCost, onSale, locked}
      */
     getShopItems() {
-        // If no shop items exist, generate new ones
-        if (!this.shopItems || this.shopItems.length === 0) {
-            return this.refreshShopItems();
+        return this.shopManager.getOffers();
+    }
+    
+    /**
+     * Get the price of a shop reroll
+     * @returns {number} Price in coins
+     */
+    getRerollCost() {
+        return this.shopManager.getRerollCost();
+    }
+    
+    /**
+     * Pay to replace the shop offers that are not locked
+     * @returns {boolean} Whether the shop was rerolled
+     */
+    rerollShop() {
+        const cost = this.getRerollCost();
+        
+        if (this.coins < cost) {
+            this.uiManager.showNotification('Not enough coins!', 'error');
+            return false;
         }
         
-        return this.shopItems;
+        this.coins -= cost;
+        this.uiManager.updateMoneyDisplay(this.coins);
+        
+        this.refreshShopItems();
+        return true;
+    }
+    
+    /**
+     * Lock or unlock a shop offer. Locked offers stay in the shop across
+     * rerolls and waves until they are bought or unlocked.
+     * @param {number} shopItemIndex - Index of the shop offer
+     * @returns {boolean} Whether the offer is locked now
+     */
+    toggleShopLock(shopItemIndex) {
+        const locked = this.shopManager.toggleLock(shopItemIndex);
+        this.notifyStateChanged('shop');
+        
+        return locked;
     }
     
     /**
@@ -207,8 +686,8 @@ class Game {
             this.unlockedMonsters.push(tier);
         }
         
-        // Save game state
-        this.saveGameState();
+        // Autosave the change
+        this.notifyStateChanged('buy');
         
         return true;
     }
@@ -219,13 +698,18 @@ class Game {
      * @returns {boolean} Whether the purchase was successful
      */
     buyShopItem(shopItemIndex) {
+        const shopItem = this.shopManager.getOffers()[shopItemIndex];
+        
         // Check if the shop item exists
-        if (!this.shopItems || shopItemIndex >= this.shopItems.length) {
+        if (!shopItem) {
             this.uiManager.showNotification('Invalid shop item!', 'error');
             return false;
         }
         
-        const shopItem = this.shopItems[shopItemIndex];
+        if (shopItem.itemId) {
+            return this.buyShopEquipment(shopItemIndex);
+        }
+        
         const tier = shopItem.tier;
         const cost = shopItem.cost;
         
@@ -242,28 +726,92 @@ class Game {
             return false;
         }
         
-        // Create the monster and place it in the grid
-        const monster = this.monsterManager.createMonster(tier);
+        // Create the monster and place it in the grid; it is worth what was paid for it
+        const monster = this.monsterManager.createMonster(tier, { value: cost });
         this.gridManager.placeMonsterAt(monster, emptyCell.row, emptyCell.col);
         
         // Deduct cost
         this.coins -= cost;
         this.uiManager.updateMoneyDisplay(this.coins);
         
-        // Remove the item from the shop
-        this.shopItems.splice(shopItemIndex, 1);
+        // Update highest tier if needed
+        if (tier > this.highestTier) {
+            this.highestTier = tier;
+        }
+        
+        // Remove the offer from the shop; the slot stays empty until the next reroll or wave
+        this.shopManager.takeOffer(shopItemIndex);
+        
+        // Autosave the change
+        this.notifyStateChanged('buy');
+        
+        return true;
+    }
+    
+    /**
+     * Buy an item offer from the shop into the inventory
+     * @param {number} shopItemIndex - Index of the shop item to buy
+     * @returns {boolean} Whether the purchase was successful
+     */
+    buyShopEquipment(shopItemIndex) {
+        const shopItem = this.shopManager.getOffers()[shopItemIndex];
         
-        // If shop is empty, refresh it
-        if (this.shopItems.length === 0) {
-            this.refreshShopItems();
+        if (this.coins < shopItem.cost) {
+            this.uiManager.showNotification('Not enough coins!', 'error');
+            return false;
+        }
+        
+        if (!this.itemManager.addToInventory(shopItem.itemId)) {
+            this.uiManager.showNotification('Your inventory is full!', 'error');
+            return false;
         }
         
-        // Save game state
-        this.saveGameState();
+        this.coins -= shopItem.cost;
+        this.uiManager.updateMoneyDisplay(this.coins);
+        this.shopManager.takeOffer(shopItemIndex);
+        this.updateInventoryDisplay();
         
+        this.notifyStateChanged('buy');
         return true;
     }
     
+    /**
+     * Equip an item from the inventory on a monster
+     * @param {number} inventoryIndex - Index of the item in the inventory
+     * @param {Object} monster - The monster on the grid or the bench
+     * @returns {boolean} Whether the item was equipped
+     */
+    equipItem(inventoryIndex, monster) {
+        if (this.inBattle) {
+            this.uiManager.showNotification('Cannot equip items during a battle', 'error');
+            return false;
+        }
+        
+        const itemId = this.itemManager.getInventory()[inventoryIndex];
+        if (!itemId) return false;
+        
+        if (!this.itemManager.canEquip(monster)) {
+            this.uiManager.showNotification(`This monster can only carry ${this.itemManager.rules.slots} items`, 'error');
+            return false;
+        }
+        
+        this.itemManager.takeFromInventory(inventoryIndex);
+        this.itemManager.equip(monster, itemId);
+        
+        this.uiManager.showNotification(`Equipped ${this.itemManager.getItemType(itemId).name}`, 'success');
+        this.updateInventoryDisplay();
+        
+        this.notifyStateChanged('equip');
+        return true;
+    }
+    
+    /**
+     * Show the current inventory
+     */
+    updateInventoryDisplay() {
+        this.uiManager.updateInventoryDisplay(this.itemManager.getInventory(), this.itemManager.rules.inventorySize);
+    }
+    
     /**
      * Start a battle with the current monsters
      */
@@ -273,15 +821,28 @@ class Game {
             return;
         }
         
-        // Get all monsters from the grid
+        if (!this.waveDataLoaded) {
+            this.uiManager.showNotification('Wave data is still loading...', 'info');
+            return;
+        }
+        
+        // Get all monsters from the grid; monsters on the bench sit the battle out
         const playerMonsters = this.gridManager.getMonsters();
         
         if (playerMonsters.length === 0) {
-            this.uiManager.showNotification('You need at least one monster to battle!', 'error');
+            const message = this.gridManager.getBenchMonsters().length > 0
+                ? 'Move at least one monster from the bench onto the grid to battle!'
+                : 'You need at least one monster to battle!';
+            this.uiManager.showNotification(message, 'error');
             return;
         }
         
         this.inBattle = true;
+        this.uiManager.hideWavePreview();
+        
+        // Sales can't be undone once the battle starts
+        this.sellManager.clear();
+        this.uiManager.hideUndoSell();
         
         // Show battle notification
         this.uiManager.showNotification(`Battle against Wave ${this.wave} begins!`, 'info');
@@ -289,7 +850,7 @@ class Game {
         // Make sure combat manager has the correct wave
         this.combatManager.setWave(this.wave);
         
-        // Generate new enemies for this wave - explicitly pass the current wave number
+        // Generate the enemies shown in the wave preview - explicitly pass the current wave number
         this.combatManager.generateEnemyWave(this.wave);
         
         // Start the battle
@@ -304,7 +865,18 @@ class Game {
                 // Show notification about coins earned
                 this.uiManager.showNotification(`Earned ${results.rewards.coins} coins!`, 'success');
                 
-                if (results.victory) {
+                if (results.rewards.bossDefeated) {
+                    this.uiManager.showNotification(`Boss defeated! +${results.rewards.bossBonus} bonus coins`, 'success');
+                }
+                
+                // Count the battle for the run; a defeat costs hearts
+                results.livesLost = this.runManager.recordBattle(results, this.wave);
+                
+                if (results.outcome === BattleOutcome.DRAW) {
+                    // A draw keeps the board and the wave; the player simply tries again
+                    this.uiManager.showNotification(`Draw! Wave ${this.wave} will be fought again.`, 'info');
+                    this.uiManager.showBattleResults(results);
+                } else if (results.victory) {
                     // Check if wave was completed
                     if (results.rewards.waveCompleted) {
                         // Advance to next wave
@@ -312,31 +884,63 @@ class Game {
                         this.combatManager.setWave(this.wave);
                         this.uiManager.updateWaveDisplay(this.wave);
                         this.uiManager.showNotification(`Advanced to Wave ${this.wave}!`, 'success');
+                        
+                        // The shop restocks every wave
+                        this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
+                    }
+                    
+                    // Victories can drop an item; bosses always do
+                    const droppedItem = this.itemManager.rollBattleDrop(results);
+                    if (droppedItem) {
+                        results.itemDrop = { itemId: droppedItem, kept: this.itemManager.addToInventory(droppedItem) };
+                        this.updateInventoryDisplay();
                     }
                     
                     // Show battle results
                     this.uiManager.showBattleResults(results);
                 } else {
-                    // Player lost the battle - Game Over
-                    this.handleDefeat();
+                    // Player lost the battle - the run ends once no hearts are left
+                    this.handleDefeat(results);
                 }
                 
-                // Save game
-                this.saveGameState();
-                
-                // Remove defeated monsters
+                // Remove defeated monsters; the survivors keep their injuries
                 this.removeDefeatedMonsters();
+                this.applyPassiveRegen();
+                
+                // Autosave the battle outcome
+                this.notifyStateChanged('battle');
+                
+                // Show the next wave the player will face
+                this.refreshWavePreview();
             });
     }
     
     /**
-     * Handle player defeat in battle
+     * Handle player defeat in battle. The run goes on while hearts are left;
+     * at zero hearts (or on any defeat in hardcore mode) the run summary is
+     * shown and the game is reset for a new run.
+     * @param {Object} results - Battle results, with the hearts lost in livesLost
      */
-    handleDefeat() {
-        // Show game over screen
+    handleDefeat(results) {
+        this.uiManager.updateLivesDisplay(this.runManager.lives, this.runManager.mode);
+        
+        if (!this.runManager.isOver()) {
+            // Keep the board and fight the same wave again; the fallen return badly injured
+            this.recoveryManager.reviveFallen(this.gridManager.getMonsters());
+            this.uiManager.showNotification(
+                `Defeat! Lost ${results.livesLost} ${results.livesLost === 1 ? 'heart' : 'hearts'}, ` +
+                `${this.runManager.lives} left.`, 'error');
+            this.uiManager.showBattleResults(results);
+            return;
+        }
+        
+        // Show the run summary
         this.uiManager.showGameOver({
-            message: "Your monsters were defeated! Game Over!",
-            wave: this.wave
+            message: this.runManager.isHardcore()
+                ? "Your monsters were defeated! Hardcore run over!"
+                : "You ran out of hearts! The run is over!",
+            wave: this.wave,
+            summary: this.runManager.getSummary()
         });
         
         // Clear the grid of all monsters
@@ -347,14 +951,20 @@ class Game {
         this.wave = 1;
         this.highestTier = 1;
         this.unlockedMonsters = [1];
-        this.shopItems = this.storageManager.generateShopItems(this.unlockedMonsters);
+        this.shopManager.clear();
+        this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
+        this.combatManager.clearUpcomingWave();
+        this.runManager.start();
+        this.itemManager.clear();
         
         // Update UI
         this.uiManager.updateMoneyDisplay(this.coins);
         this.uiManager.updateWaveDisplay(this.wave);
+        this.uiManager.updateLivesDisplay(this.runManager.lives, this.runManager.mode);
+        this.updateInventoryDisplay();
         
-        // Save the reset state
-        this.saveGameState();
+        // Autosave the reset state
+        this.notifyStateChanged('defeat');
     }
     
     /**
@@ -374,6 +984,208 @@ class Game {
         }
     }
     
+    /**
+     * Let the surviving monsters, including the ones on the bench, regenerate
+     * part of their missing health after a battle
+     */
+    applyPassiveRegen() {
+        const healed = this.recoveryManager.applyPassiveRegen(this.gridManager.getAllMonsters());
+        
+        if (healed > 0) {
+            this.uiManager.showNotification(`Your monsters recovered ${healed} health`, 'info');
+        }
+    }
+    
+    /**
+     * Get the price of the heal-all shop service
+     * @returns {number} Price in coins (0 when no monster is injured)
+     */
+    getHealAllCost() {
+        return this.recoveryManager.getHealAllCost(this.gridManager.getAllMonsters());
+    }
+    
+    /**
+     * Heal all monsters to full health for coins
+     * @returns {boolean} Whether the monsters were healed
+     */
+    healAllMonsters() {
+        const cost = this.getHealAllCost();
+        
+        if (cost === 0) {
+            this.uiManager.showNotification('All monsters are at full health', 'info');
+            return false;
+        }
+        
+        if (this.coins < cost) {
+            this.uiManager.showNotification('Not enough coins!', 'error');
+            return false;
+        }
+        
+        this.coins -= cost;
+        this.recoveryManager.healAll(this.gridManager.getAllMonsters());
+        
+        this.uiManager.updateMoneyDisplay(this.coins);
+        this.uiManager.showNotification(`All monsters healed for ${cost} coins`, 'success');
+        
+        this.notifyStateChanged('heal');
+        return true;
+    }
+    
+    /**
+     * Get why resting is not possible right now
+     * @returns {string|null} Reason, or null if the player can rest
+     */
+    getRestBlockedReason() {
+        if (this.inBattle) {
+            return 'Cannot rest during a battle';
+        }
+        
+        if (this.recoveryManager.getInjured(this.gridManager.getAllMonsters()).length === 0) {
+            return 'Everyone is at full health';
+        }
+        
+        if (!this.waveDataLoaded) {
+            return 'Wave data is still loading...';
+        }
+        
+        // Bosses have to be fought
+        if (this.combatManager.waveManager.getWaveBoss(this.wave)) {
+            return 'Cannot rest before a boss wave';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Rest instead of fighting: all monsters heal to full health for free, but
+     * the current wave is skipped without any rewards
+     * @returns {boolean} Whether the monsters rested
+     */
+    restMonsters() {
+        const blockedReason = this.getRestBlockedReason();
+        if (blockedReason) {
+            this.uiManager.showNotification(blockedReason, 'error');
+            return false;
+        }
+        
+        this.recoveryManager.healAll(this.gridManager.getAllMonsters());
+        
+        const skippedWave = this.wave;
+        this.wave++;
+        this.combatManager.setWave(this.wave);
+        this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
+        this.uiManager.updateWaveDisplay(this.wave);
+        this.uiManager.showNotification(`Your monsters rested and skipped Wave ${skippedWave}`, 'success');
+        
+        this.notifyStateChanged('rest');
+        this.refreshWavePreview();
+        return true;
+    }
+    
+    /**
+     * Ask the player to confirm selling the monster at a grid cell
+     * @param {number} row - Grid row of the monster
+     * @param {number} col - Grid column of the monster
+     */
+    requestSellMonster(row, col) {
+        if (this.inBattle) {
+            this.uiManager.showNotification('Cannot sell monsters during a battle', 'error');
+            return;
+        }
+        
+        const monster = this.gridManager.getMonsterAt(row, col);
+        if (!monster) return;
+        
+        const refund = this.sellManager.calculateRefund(monster);
+        this.uiManager.overlayManager.showConfirmation(
+            'Sell Monster',
+            `Sell this Tier ${monster.tier} ${monster.type} for ${refund} coins?`,
+            (confirmed) => {
+                if (confirmed) {
+                    this.sellMonster(row, col);
+                }
+            }
+        );
+    }
+    
+    /**
+     * Sell the monster at a grid cell. The sale can be undone for a few seconds.
+     * @param {number} row - Grid row of the monster
+     * @param {number} col - Grid column of the monster
+     * @returns {boolean} Whether the monster was sold
+     */
+    sellMonster(row, col) {
+        const monster = this.gridManager.getMonsterAt(row, col);
+        if (!monster || this.inBattle) return false;
+        
+        const refund = this.sellManager.calculateRefund(monster);
+        const monsterData = {
+            tier: monster.tier,
+            health: monster.health,
+            maxHealth: monster.maxHealth,
+            attack: monster.attack,
+            defense: monster.defense,
+            speed: monster.speed,
+            value: this.sellManager.getMonsterValue(monster),
+            items: [...(monster.items || [])]
+        };
+        
+        this.gridManager.removeMonsterFromGrid(row, col);
+        this.monsterManager.removeMonsterFromScene(monster);
+        this.uiManager.removeMonsterHealthBar(monster.id);
+        
+        this.coins += refund;
+        this.sellManager.recordSale(monsterData, { row, col }, refund);
+        
+        this.uiManager.updateMoneyDisplay(this.coins);
+        this.uiManager.showNotification(`Sold Tier ${monsterData.tier} monster for ${refund} coins`, 'success');
+        this.uiManager.showUndoSell(this.sellManager.rules.undoSeconds);
+        
+        this.notifyStateChanged('sell');
+        return true;
+    }
+    
+    /**
+     * Undo the last sale: the monster comes back and the refund is paid back
+     * @returns {boolean} Whether the sale was undone
+     */
+    undoSell() {
+        // Only look at the sale for now; it stays undoable until the monster is back
+        const sale = this.sellManager.getUndoableSale();
+        if (!sale || this.inBattle) {
+            this.uiManager.hideUndoSell();
+            this.uiManager.showNotification('The sale can no longer be undone', 'error');
+            return false;
+        }
+        
+        if (this.coins < sale.refund) {
+            this.uiManager.showNotification('Not enough coins to undo the sale!', 'error');
+            return false;
+        }
+        
+        // Return the monster to its cell, or to any free cell if that one was filled meanwhile
+        const { row, col } = sale.position;
+        const cell = this.gridManager.getMonsterAt(row, col) ? this.gridManager.findEmptyCell() : { row, col };
+        if (!cell) {
+            this.uiManager.showNotification('No empty cells available!', 'error');
+            return false;
+        }
+        
+        const { tier, ...options } = sale.monsterData;
+        const monster = this.monsterManager.createMonster(tier, options);
+        this.itemManager.restoreItems(monster, monster.items);
+        this.gridManager.placeMonsterAt(monster, cell.row, cell.col);
+        
+        this.sellManager.takeUndoableSale();
+        this.coins -= sale.refund;
+        this.uiManager.hideUndoSell();
+        this.uiManager.updateMoneyDisplay(this.coins);
+        this.uiManager.showNotification('Sale undone', 'info');
+        
+        this.notifyStateChanged('undo-sell');
+        return true;
+    }
+    
     /**
      * Alias for buyMonster to maintain compatibility with OverlayManager
      * @param {number} tier - Tier of the monster to buy
@@ -392,8 +1204,9 @@ class Game {
         const coinsEarned = newTier * 5;
         this.coins += coinsEarned;
         
-        // Update UI
+        // Update UI; items that didn't fit on the merged monster went back to the inventory
         this.uiManager.updateMoneyDisplay(this.coins);
+        this.updateInventoryDisplay();
         this.uiManager.showNotification(`Merged to Tier ${newTier}! +${coinsEarned} coins`, 'success');
         
         // Update highest tier if needed
@@ -404,9 +1217,6 @@ class Game {
             if (!this.unlockedMonsters.includes(newTier)) {
                 this.unlockedMonsters.push(newTier);
                 
-                // Update shop items to include the new tier
-                this.shopItems = this.storageManager.generateShopItems(this.unlockedMonsters);
-                
                 // Refresh shop if it's open
                 const shopOverlay = document.getElementById('shop-overlay');
                 if (shopOverlay && !shopOverlay.classList.contains('hidden')) {
@@ -415,8 +1225,8 @@ class Game {
             }
         }
         
-        // Save game state
-        this.saveGameState();
+        // Autosave the change
+        this.notifyStateChanged('merge');
     }
     
     /**
@@ -444,17 +1254,10 @@ class Game {
     }
     
     /**
-     * Get current shop items
-     * @returns {Array} Shop items
+     * Restart the game with a new run
+     * @param {string} mode - One of RunMode (defaults to the mode of the current run)
      */
-    getShopItems() {
-        return this.shopItems;
-    }
-    
-    /**
-     * Restart the game
-     */
-    restartGame() {
+    restartGame(mode) {
         // Clear the grid
         this.gridManager.clearGrid();
         
@@ -463,16 +1266,26 @@ class Game {
         this.wave = 1;
         this.highestTier = 1;
         this.unlockedMonsters = [1, 2, 3, 4, 5]; // Start with tiers 1-5 unlocked for testing
-        
-        // Generate new shop items
-        this.shopItems = this.storageManager.generateShopItems(this.unlockedMonsters);
+        this.playtime = 0;
+        
+        // Roll a fresh shop, dropping locked offers from the last run
+        this.shopManager.clear();
+        this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
+        this.combatManager.clearUpcomingWave();
+        this.runManager.start(mode);
+        this.sellManager.clear();
+        this.uiManager.hideUndoSell();
+        this.itemManager.clear();
+        this.updateInventoryDisplay();
         
         // Update UI
         this.uiManager.updateMoneyDisplay(this.coins);
         this.uiManager.updateWaveDisplay(this.wave);
+        this.uiManager.updateLivesDisplay(this.runManager.lives, this.runManager.mode);
         
-        // Save the reset state
-        this.saveGameState();
+        // Autosave the reset state and show the new first wave
+        this.notifyStateChanged('restart');
+        this.refreshWavePreview();
         
         // Force refresh of the shop if it's currently open
         if (this.uiManager && this.uiManager.overlayManager) {
@@ -506,12 +1319,16 @@ class Game {
             }
         }
         
+        // The shop restocks every wave
+        this.shopManager.rollOffers(this.wave, this.unlockedMonsters);
+        
         // Update UI
         this.uiManager.updateMoneyDisplay(this.coins);
         this.uiManager.updateWaveDisplay(this.wave);
         
-        // Save game state
-        this.saveGameState();
+        // Autosave the change and show the new wave
+        this.notifyStateChanged('wave');
+        this.refreshWavePreview();
         
         return coinsEarned;
     }
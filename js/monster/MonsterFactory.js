@@ -5,10 +5,16 @@
  * modifying, and querying monsters for the game.
  */
 class MonsterFactory {
-    constructor(scene, textureManager) {
+    constructor(scene, textureManager, random) {
         this.scene = scene;
         this.nextMonsterId = 1;
         
+        // Random number generator for combat calculations
+        this.random = random || new SeededRandom();
+        
+        // Shared damage formula and monster specials
+        this.combatRules = new CombatRules(CombatRuleSet.CLASSIC, this.random);
+        
         // Store the texture manager
         this.textureManager = textureManager || new TextureManager();
         
@@ -22,6 +28,23 @@ class MonsterFactory {
         this.initializeGeometryCache();
     }
     
+    /**
+     * Set the random number generator used by the factory
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.random = random;
+        this.combatRules.setRandom(random);
+    }
+    
+    /**
+     * Set the combat rules used to calculate damage
+     * @param {CombatRules} combatRules - Combat rules to use
+     */
+    setCombatRules(combatRules) {
+        this.combatRules = combatRules;
+    }
+    
     /**
      * Initialize the geometry cache for all monster types
      */
@@ -57,6 +80,7 @@ class MonsterFactory {
         const monsterId = options.id || this.nextMonsterId++;
         const attack = options.attack || typeData.baseAttack;
         const defense = options.defense || typeData.baseDefense;
+        const speed = options.speed || typeData.baseSpeed;
         const health = options.health || typeData.baseHealth;
         const maxHealth = options.maxHealth || typeData.baseHealth;
         
@@ -67,10 +91,17 @@ class MonsterFactory {
             type: typeData.name,
             attack: attack,
             defense: defense,
+            speed: speed,
+            element: options.element || typeData.element,
             health: health,
             maxHealth: maxHealth,
+            // Coins invested in the monster (its shop price, or the sum of the monsters merged into it)
+            value: options.value || tier * 10,
+            // Ids of the equipped items; their bonuses are included in the stats (see ItemManager)
+            items: options.items ? [...options.items] : [],
             mesh: monsterMesh,
-            special: { ...typeData.special } // Copy any special properties
+            special: { ...typeData.special }, // Copy any special properties
+            abilities: { ...typeData.abilities } // Copy combat abilities
         };
         
         // Set userData for raycasting and drag-drop
@@ -163,47 +194,7 @@ class MonsterFactory {
      * @returns {number} The calculated damage
      */
     calculateDamage(attacker, defender) {
-        // Base damage is attacker's attack value
-        let damage = attacker.attack;
-        
-        // Reduce damage based on defender's defense (with diminishing returns formula)
-        const damageReduction = defender.defense / (defender.defense + 50);
-        damage = Math.max(1, Math.floor(damage * (1 - damageReduction)));
-        
-        // Add a small random factor (±10%)
-        const randomFactor = 0.9 + Math.random() * 0.2;
-        damage = Math.max(1, Math.floor(damage * randomFactor));
-        
-        // Apply any special effects based on monster types
-        damage = this.applySpecialEffectsToAttack(attacker, defender, damage);
-        
-        return damage;
-    }
-    
-    /**
-     * Apply any special effects to attack damage calculation
-     * @param {Object} attacker - The attacking monster
-     * @param {Object} defender - The defending monster
-     * @param {number} baseDamage - The initial calculated damage
-     * @returns {number} The modified damage
-     */
-    applySpecialEffectsToAttack(attacker, defender, baseDamage) {
-        let damage = baseDamage;
-        
-        // Example special effects based on monster types
-        // These can be expanded based on game mechanics
-        
-        // Dragons deal more damage to all targets
-        if (attacker.special && attacker.special.breathWeapon === "fire") {
-            damage = Math.floor(damage * 1.2); // 20% more damage
-        }
-        
-        // Golems take reduced damage from all sources
-        if (defender.special && defender.special.heavyArmor) {
-            damage = Math.floor(damage * 0.8); // 20% less damage
-        }
-        
-        return damage;
+        return this.combatRules.calculateDamage(attacker, defender);
     }
     
     /**
@@ -260,7 +251,8 @@ class MonsterFactory {
             attack: typeData.baseAttack + attackBonus,
             defense: typeData.baseDefense + defenseBonus,
             health: typeData.baseHealth + healthBonus,
-            maxHealth: typeData.baseHealth + healthBonus
+            maxHealth: typeData.baseHealth + healthBonus,
+            value: monster1.value + monster2.value
         });
         
         // Force an immediate texture update for the merged monster
@@ -276,4 +268,13 @@ class MonsterFactory {
     getAvailableTiers() {
         return Object.keys(this.monsterTypes).map(tier => parseInt(tier));
     }
+    
+    /**
+     * Get the type data of a tier
+     * @param {number} tier - Monster tier
+     * @returns {Object|undefined} Type data from MonsterTypes {name, element, abilities, ...}
+     */
+    getMonsterTypeData(tier) {
+        return this.monsterTypes[tier];
+    }
 }
\ No newline at end of file
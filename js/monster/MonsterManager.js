@@ -37,6 +37,10 @@ class MonsterManager {
         if (options.maxHealth !== undefined) monsterOptions.maxHealth = options.maxHealth;
         if (options.attack !== undefined) monsterOptions.attack = options.attack;
         if (options.defense !== undefined) monsterOptions.defense = options.defense;
+        if (options.speed !== undefined) monsterOptions.speed = options.speed;
+        if (options.element !== undefined) monsterOptions.element = options.element;
+        if (options.value !== undefined) monsterOptions.value = options.value;
+        if (options.items !== undefined) monsterOptions.items = options.items;
         
         // Create the monster using the factory
         const monster = this.monsterFactory.createMonster(tier, monsterOptions);
@@ -50,6 +54,22 @@ class MonsterManager {
         return monster;
     }
     
+    /**
+     * Set the random number generator used for monster calculations
+     * @param {SeededRandom} random - Random number generator
+     */
+    setRandom(random) {
+        this.monsterFactory.setRandom(random);
+    }
+    
+    /**
+     * Set the combat rules used to calculate damage
+     * @param {CombatRules} combatRules - Combat rules to use
+     */
+    setCombatRules(combatRules) {
+        this.monsterFactory.setCombatRules(combatRules);
+    }
+    
     /**
      * Add a monster to the scene at the specified position
      * @param {number} tier - The monster's tier (1-9)
@@ -18,6 +18,8 @@ class MonsterTypes {
                 baseAttack: 5,
                 baseDefense: 2,
                 baseHealth: 20,
+                baseSpeed: 3,
+                element: "water",
                 geometryType: "slime",
                 materialProperties: {
                     roughness: 0.6,
@@ -26,6 +28,10 @@ class MonsterTypes {
                 },
                 special: {
                     blobby: true
+                },
+                abilities: {
+                    split: { name: "Mitosis", count: 2, statRatio: 0.4 },
+                    ward: { name: "Ooze", status: "regen", duration: 3, potency: 2 }
                 }
             },
             
@@ -41,6 +47,8 @@ class MonsterTypes {
                 baseAttack: 10,
                 baseDefense: 4,
                 baseHealth: 30,
+                baseSpeed: 7,
+                element: "fire",
                 geometryType: "impling",
                 materialProperties: {
                     roughness: 0.5,
@@ -50,6 +58,9 @@ class MonsterTypes {
                 special: {
                     wings: true,
                     scaly: true
+                },
+                abilities: {
+                    inflict: { name: "Ember", status: "burn", chance: 0.35, duration: 2, potency: 3 }
                 }
             },
             
@@ -65,6 +76,8 @@ class MonsterTypes {
                 baseAttack: 15,
                 baseDefense: 8,
                 baseHealth: 50,
+                baseSpeed: 4,
+                element: "earth",
                 geometryType: "ogroid",
                 materialProperties: {
                     roughness: 0.8,
@@ -73,6 +86,9 @@ class MonsterTypes {
                 },
                 special: {
                     rocky: true
+                },
+                abilities: {
+                    inflict: { name: "Ground Slam", status: "stun", chance: 0.2, duration: 1 }
                 }
             },
             
@@ -88,6 +104,8 @@ class MonsterTypes {
                 baseAttack: 25,
                 baseDefense: 10,
                 baseHealth: 70,
+                baseSpeed: 8,
+                element: "shadow",
                 geometryType: "wraith",
                 materialProperties: {
                     roughness: 0.4,
@@ -98,6 +116,9 @@ class MonsterTypes {
                 special: {
                     ghostly: true,
                     ethereal: true
+                },
+                abilities: {
+                    dodge: { name: "Phase Shift", chance: 0.25 }
                 }
             },
             
@@ -113,6 +134,8 @@ class MonsterTypes {
                 baseAttack: 40,
                 baseDefense: 15,
                 baseHealth: 100,
+                baseSpeed: 7,
+                element: "air",
                 geometryType: "drake",
                 materialProperties: {
                     roughness: 0.6,
@@ -123,6 +146,9 @@ class MonsterTypes {
                     wings: true,
                     tail: true,
                     scaly: true
+                },
+                abilities: {
+                    inflict: { name: "Venom Fangs", status: "poison", chance: 0.4, duration: 3, potency: 4 }
                 }
             },
             
@@ -138,6 +164,8 @@ class MonsterTypes {
                 baseAttack: 60,
                 baseDefense: 25,
                 baseHealth: 150,
+                baseSpeed: 6,
+                element: "shadow",
                 geometryType: "demon",
                 materialProperties: {
                     roughness: 0.5,
@@ -148,6 +176,9 @@ class MonsterTypes {
                     horns: true,
                     wings: true,
                     demonic: true
+                },
+                abilities: {
+                    lifesteal: { name: "Soul Drain", ratio: 0.3 }
                 }
             },
             
@@ -163,6 +194,8 @@ class MonsterTypes {
                 baseAttack: 90,
                 baseDefense: 35,
                 baseHealth: 200,
+                baseSpeed: 4,
+                element: "water",
                 geometryType: "hydra",
                 materialProperties: {
                     roughness: 0.7,
@@ -172,6 +205,9 @@ class MonsterTypes {
                 special: {
                     multipleHeads: 5,
                     scaly: true
+                },
+                abilities: {
+                    multiAttack: { name: "Hydra Heads", targets: 5, damageRatio: 0.4 }
                 }
             },
             
@@ -187,6 +223,8 @@ class MonsterTypes {
                 baseAttack: 130,
                 baseDefense: 60,
                 baseHealth: 300,
+                baseSpeed: 2,
+                element: "earth",
                 geometryType: "golem",
                 materialProperties: {
                     roughness: 0.9,
@@ -196,6 +234,9 @@ class MonsterTypes {
                 special: {
                     rocky: true,
                     heavyArmor: true
+                },
+                abilities: {
+                    ward: { name: "Stone Skin", status: "shield", duration: 3, potency: 60 }
                 }
             },
             
@@ -211,6 +252,8 @@ class MonsterTypes {
                 baseAttack: 200,
                 baseDefense: 80,
                 baseHealth: 500,
+                baseSpeed: 6,
+                element: "fire",
                 geometryType: "dragon",
                 materialProperties: {
                     roughness: 0.6,
@@ -222,6 +265,9 @@ class MonsterTypes {
                     tail: true,
                     breathWeapon: "fire",
                     scaly: true
+                },
+                abilities: {
+                    breath: { name: "Fire Breath", splashRatio: 0.5 }
                 }
             }
         };
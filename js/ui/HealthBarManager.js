@@ -107,6 +107,30 @@ class HealthBarManager {
         }, 1000);
     }
     
+    /**
+     * Show floating combat text (ability names, heals, dodges) at a screen position
+     * @param {string} text - Text to display
+     * @param {Object} screenPosition - Screen position for the text
+     * @param {string} type - Text style: ability, heal, dodge, effective, resisted, boss or a status effect type
+     */
+    showCombatText(text, screenPosition, type) {
+        const combatText = document.createElement('div');
+        combatText.className = `damage-text combat-text ${type}`;
+        combatText.textContent = text;
+        
+        combatText.style.left = `${screenPosition.x}px`;
+        combatText.style.top = `${screenPosition.y - 50}px`;
+        
+        this.containerElement.appendChild(combatText);
+        
+        // Remove element after animation completes
+        setTimeout(() => {
+            if (this.containerElement.contains(combatText)) {
+                this.containerElement.removeChild(combatText);
+            }
+        }, 1000);
+    }
+    
     /**
      * Update all monster health bars based on their positions in the world
      * @param {Array} monsters - Array of monsters to update
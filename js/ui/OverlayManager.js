@@ -31,6 +31,20 @@ class OverlayManager {
             this.elements.shopItems.addEventListener('click', (event) => this.handleShopItemClick(event));
         }
         
+        // Reroll button for the shop offers
+        if (this.elements.shopReroll) {
+            this.elements.shopReroll.addEventListener('click', () => {
+                if (this.gameManager && this.gameManager.rerollShop()) {
+                    this.refreshShop();
+                }
+            });
+        }
+        
+        // Shop services (healing and resting) - use event delegation
+        if (this.elements.shopServices) {
+            this.elements.shopServices.addEventListener('click', (event) => this.handleShopServiceClick(event));
+        }
+        
         // Close button for battle results
         if (this.elements.battleResultsCloseButton) {
             this.elements.battleResultsCloseButton.addEventListener('click', () => {
@@ -58,12 +72,72 @@ class OverlayManager {
             });
         }
         
-        // Restart button for game over
+        // Save slot picker - use event delegation for the slot buttons and names
+        if (this.elements.slotList) {
+            this.elements.slotList.addEventListener('click', (event) => this.handleSlotClick(event));
+            this.elements.slotList.addEventListener('change', (event) => this.handleSlotRename(event));
+        }
+        
+        if (this.elements.slotNewButton) {
+            this.elements.slotNewButton.addEventListener('click', () => {
+                if (this.gameManager && this.gameManager.createSaveSlot()) {
+                    this.refreshSlotPicker();
+                }
+            });
+        }
+        
+        // Importing a save file asks for the file, then shows what it contains
+        if (this.elements.slotImportButton && this.elements.slotImportInput) {
+            this.elements.slotImportButton.addEventListener('click', () => this.elements.slotImportInput.click());
+            this.elements.slotImportInput.addEventListener('change', () => this.handleSaveFileChosen());
+        }
+        
+        if (this.elements.slotCloseButton) {
+            this.elements.slotCloseButton.addEventListener('click', () => this.closeSlotPicker());
+        }
+        
+        // Board codes: copy the code of the grid, or load a pasted code as the player's board or the opponent
+        if (this.elements.boardCodeCopy) {
+            this.elements.boardCodeCopy.addEventListener('click', () => {
+                this.elements.boardCodeCurrent.select();
+                if (this.gameManager) {
+                    this.gameManager.copyBoardCode();
+                }
+            });
+        }
+        
+        [
+            [this.elements.boardLoadPlayer, BoardCodeRole.PLAYER],
+            [this.elements.boardLoadOpponent, BoardCodeRole.OPPONENT]
+        ].forEach(([button, role]) => {
+            if (!button) return;
+            
+            button.addEventListener('click', () => {
+                if (this.gameManager && this.gameManager.loadBoardCode(this.elements.boardCodeInput.value, role)) {
+                    this.closeBoardCodes();
+                }
+            });
+        });
+        
+        if (this.elements.boardCloseButton) {
+            this.elements.boardCloseButton.addEventListener('click', () => this.closeBoardCodes());
+        }
+        
+        // Restart buttons for game over, starting a normal or a hardcore run
         if (this.elements.restartGame) {
             this.elements.restartGame.addEventListener('click', () => {
                 this.closeGameOver();
                 if (this.gameManager) {
-                    this.gameManager.restartGame();
+                    this.gameManager.restartGame(RunMode.RUN);
+                }
+            });
+        }
+        
+        if (this.elements.restartHardcore) {
+            this.elements.restartHardcore.addEventListener('click', () => {
+                this.closeGameOver();
+                if (this.gameManager) {
+                    this.gameManager.restartGame(RunMode.HARDCORE);
                 }
             });
         }
@@ -76,40 +150,46 @@ class OverlayManager {
     handleShopItemClick(event) {
         // Check if a shop item was clicked
         const shopItem = event.target.closest('.shop-item');
-        if (!shopItem || shopItem.classList.contains('disabled')) return;
+        if (!shopItem || !this.gameManager) return;
         
-        // Get monster tier
-        const tier = parseInt(shopItem.getAttribute('data-tier'));
-        if (isNaN(tier)) {
-            console.error('Invalid monster tier:', shopItem);
+        // Get the offer index
+        const index = parseInt(shopItem.getAttribute('data-offer-index'));
+        if (isNaN(index)) {
+            console.error('Invalid shop offer:', shopItem);
             return;
         }
         
-        console.log('Attempting to buy monster tier:', tier);
+        // The lock button freezes the offer instead of buying it
+        if (event.target.closest('.shop-item-lock')) {
+            this.gameManager.toggleShopLock(index);
+            this.refreshShop();
+            return;
+        }
         
-        // Try to buy the monster
-        if (this.gameManager && typeof this.gameManager.buyMonster === 'function') {
-            const purchased = this.gameManager.buyMonster(tier);
-            console.log('Purchase result:', purchased);
-            
-            // If purchase was successful, update affordability
-            if (purchased) {
-                setTimeout(() => {
-                    const currentCoins = this.gameManager.getCoins();
-                    this.updateShopItemAffordability(currentCoins);
-                }, 0);
-            }
-        } else {
-            console.error('Game manager or buyMonster method not available');
+        if (shopItem.classList.contains('disabled')) return;
+        
+        // Try to buy the monster and show the remaining offers
+        if (this.gameManager.buyShopItem(index)) {
+            this.refreshShop();
         }
     }
     
+    /**
+     * Render the shop again with the current offers and coins
+     */
+    refreshShop() {
+        if (!this.gameManager) return;
+        
+        this.openShop(this.gameManager.getShopItems(), this.gameManager.getCoins(), this.gameManager.getRerollCost());
+    }
+    
     /**
      * Open the shop overlay
-     * @param {Array} shopItems - Items to display in the shop
+     * @param {Array} shopItems - Offers to display in the shop {tier or itemId, cost, baseCost, onSale, locked}
      * @param {number} coins - Current coins
+     * @param {number} rerollCost - Price of a reroll
      */
-    openShop(shopItems, coins) {
+    openShop(shopItems, coins, rerollCost) {
         if (!this.elements.shopOverlay || !this.elements.shopItems) return;
         
         // Clear existing shop items
@@ -117,25 +197,54 @@ class OverlayManager {
         
         // Add shop items
         if (shopItems && shopItems.length > 0) {
-            shopItems.forEach(item => {
+            shopItems.forEach((item, index) => {
                 const tier = item.tier;
+                const itemType = item.itemId ? ITEM_TYPES[item.itemId] : null;
                 const price = item.cost;
                 const canAfford = coins >= price;
                 
                 const shopItemElement = document.createElement('div');
-                shopItemElement.className = 'shop-item' + (canAfford ? '' : ' disabled');
-                shopItemElement.setAttribute('data-tier', tier);
+                shopItemElement.className = 'shop-item' + (itemType ? ' equipment' : '') +
+                    (canAfford ? '' : ' disabled') + (item.locked ? ' locked' : '');
+                shopItemElement.setAttribute('data-offer-index', index);
+                shopItemElement.setAttribute('data-cost', price);
                 
                 const tierElement = document.createElement('div');
                 tierElement.className = 'shop-item-tier';
-                tierElement.textContent = `Tier ${tier} Monster`;
+                tierElement.textContent = itemType ? itemType.name : `Tier ${tier} Monster`;
                 
                 const priceElement = document.createElement('div');
                 priceElement.className = 'shop-item-price';
                 priceElement.textContent = `${price} coins`;
                 
+                // Show the full price next to the sale price
+                if (item.onSale) {
+                    const basePriceElement = document.createElement('span');
+                    basePriceElement.className = 'shop-item-base-price';
+                    basePriceElement.textContent = `${item.baseCost}`;
+                    priceElement.prepend(basePriceElement, ' ');
+                }
+                
+                const lockElement = document.createElement('div');
+                lockElement.className = 'shop-item-lock';
+                lockElement.textContent = item.locked ? 'LOCKED' : 'LOCK';
+                lockElement.title = 'Locked offers stay in the shop across rerolls and waves';
+                
                 shopItemElement.appendChild(tierElement);
+                if (itemType) {
+                    const descriptionElement = document.createElement('div');
+                    descriptionElement.className = 'shop-item-description';
+                    descriptionElement.textContent = itemType.description;
+                    shopItemElement.appendChild(descriptionElement);
+                }
                 shopItemElement.appendChild(priceElement);
+                if (item.onSale) {
+                    const saleElement = document.createElement('div');
+                    saleElement.className = 'shop-item-sale';
+                    saleElement.textContent = 'SALE';
+                    shopItemElement.appendChild(saleElement);
+                }
+                shopItemElement.appendChild(lockElement);
                 
                 this.elements.shopItems.appendChild(shopItemElement);
             });
@@ -143,14 +252,86 @@ class OverlayManager {
             // No shop items available
             const noItemsElement = document.createElement('div');
             noItemsElement.className = 'no-shop-items';
-            noItemsElement.textContent = 'No items available';
+            noItemsElement.textContent = 'Sold out! Reroll or wait for the next wave';
             this.elements.shopItems.appendChild(noItemsElement);
         }
         
+        if (this.elements.shopReroll) {
+            this.elements.shopReroll.textContent = `REROLL (${rerollCost} coins)`;
+            this.elements.shopReroll.classList.toggle('disabled', coins < rerollCost);
+        }
+        
+        this.renderShopServices(coins);
+        
         // Show the overlay
         this.elements.shopOverlay.classList.remove('hidden');
     }
     
+    /**
+     * Show the recovery services offered in the shop
+     * @param {number} coins - Current coins
+     */
+    renderShopServices(coins) {
+        if (!this.elements.shopServices || !this.gameManager) return;
+        
+        this.elements.shopServices.innerHTML = '';
+        
+        const healCost = this.gameManager.getHealAllCost();
+        const restBlocked = this.gameManager.getRestBlockedReason();
+        const services = [
+            {
+                service: 'heal',
+                title: 'Heal All',
+                details: healCost > 0 ? `${healCost} coins` : 'Everyone is at full health',
+                enabled: healCost > 0 && coins >= healCost
+            },
+            {
+                service: 'rest',
+                title: 'Rest',
+                details: restBlocked || `Heal everyone for free, but skip Wave ${this.gameManager.getWave()}`,
+                enabled: !restBlocked
+            }
+        ];
+        
+        services.forEach(({ service, title, details, enabled }) => {
+            const serviceElement = document.createElement('div');
+            serviceElement.className = 'shop-service' + (enabled ? '' : ' disabled');
+            serviceElement.setAttribute('data-service', service);
+            
+            const titleElement = document.createElement('div');
+            titleElement.className = 'shop-item-tier';
+            titleElement.textContent = title;
+            
+            const detailsElement = document.createElement('div');
+            detailsElement.className = 'shop-service-details';
+            detailsElement.textContent = details;
+            
+            serviceElement.appendChild(titleElement);
+            serviceElement.appendChild(detailsElement);
+            this.elements.shopServices.appendChild(serviceElement);
+        });
+    }
+    
+    /**
+     * Handle a click on a shop service
+     * @param {Event} event - Click event
+     */
+    handleShopServiceClick(event) {
+        const serviceElement = event.target.closest('.shop-service');
+        if (!serviceElement || serviceElement.classList.contains('disabled') || !this.gameManager) return;
+        
+        const service = serviceElement.getAttribute('data-service');
+        const used = service === 'heal'
+            ? this.gameManager.healAllMonsters()
+            : this.gameManager.restMonsters();
+        
+        if (used) {
+            const coins = this.gameManager.getCoins();
+            this.updateShopItemAffordability(coins);
+            this.renderShopServices(coins);
+        }
+    }
+    
     /**
      * Update shop item affordability based on current coins
      * @param {number} coins - Current coins
@@ -160,10 +341,9 @@ class OverlayManager {
         
         const shopItemElements = this.elements.shopItems.querySelectorAll('.shop-item');
         shopItemElements.forEach(item => {
-            const tier = parseInt(item.getAttribute('data-tier'));
-            if (isNaN(tier)) return;
+            const price = parseInt(item.getAttribute('data-cost'));
+            if (isNaN(price)) return;
             
-            const price = tier * 10;
             const canAfford = coins >= price;
             
             if (canAfford) {
@@ -188,33 +368,266 @@ class OverlayManager {
      * @param {Object} results - Battle results object
      */
     showBattleResults(results) {
-        if (!this.elements.battleOverlay || !this.elements.battleResults) return;
+        if (!this.elements.battleResultsOverlay || !this.elements.battleResults) return;
         
         let content = '';
         
-        if (results.victory) {
+        if (results.outcome === BattleOutcome.DRAW) {
+            content += '<div class="battle-draw">Draw!</div>';
+            content += '<div class="battle-draw-note">Time ran out with both sides still standing. ' +
+                'Your board is kept and the wave will be fought again.</div>';
+        } else if (results.victory) {
             content += '<div class="battle-victory">Victory!</div>';
         } else {
             content += '<div class="battle-defeat">Defeat!</div>';
         }
         
+        if (results.livesLost > 0) {
+            content += `<div class="battle-lives">Lost ${results.livesLost} ${results.livesLost === 1 ? 'heart' : 'hearts'}. ` +
+                'Your board is kept and the wave will be fought again.</div>';
+        }
+        
         content += `<div class="battle-rewards">Coins earned: ${results.rewards.coins}</div>`;
         
+        if (results.rewards.bossDefeated) {
+            content += `<div class="battle-boss">Boss defeated! Includes a ${results.rewards.bossBonus} coin bonus</div>`;
+        }
+        
+        if (results.itemDrop) {
+            const itemName = ITEM_TYPES[results.itemDrop.itemId].name;
+            content += results.itemDrop.kept
+                ? `<div class="battle-item">Found an item: ${itemName}</div>`
+                : `<div class="battle-item">Found ${itemName}, but the inventory is full</div>`;
+        }
+        
         if (results.rewards.waveCompleted) {
-            const nextWave = this.gameManager ? this.gameManager.getWave() + 1 : 1;
-            content += `<div class="battle-next-wave">Advancing to Wave ${nextWave}</div>`;
+            content += `<div class="battle-next-wave">Advancing to Wave ${results.rewards.waveNumber + 1}</div>`;
         }
         
         this.elements.battleResults.innerHTML = content;
-        this.elements.battleOverlay.classList.remove('hidden');
+        this.elements.battleResultsOverlay.classList.remove('hidden');
     }
     
     /**
      * Close the battle results overlay
      */
     closeBattleResults() {
-        if (this.elements.battleOverlay) {
-            this.elements.battleOverlay.classList.add('hidden');
+        if (this.elements.battleResultsOverlay) {
+            this.elements.battleResultsOverlay.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Render the save slot picker again with the current slots
+     */
+    refreshSlotPicker() {
+        if (!this.gameManager) return;
+        
+        this.showSlotPicker(this.gameManager.getSaveSlots(), this.gameManager.getActiveSaveSlotId());
+    }
+    
+    /**
+     * Show the save slot picker
+     * @param {Array} slots - Save slots {id, name, wave, highestTier, playtime, lastSaved}
+     * @param {string} activeSlotId - The slot the game is playing
+     */
+    showSlotPicker(slots, activeSlotId) {
+        if (!this.elements.slotOverlay || !this.elements.slotList) return;
+        
+        this.elements.slotList.innerHTML = '';
+        
+        slots.forEach(slot => {
+            const isActive = slot.id === activeSlotId;
+            
+            const slotElement = document.createElement('div');
+            slotElement.className = 'save-slot' + (isActive ? ' active' : '');
+            slotElement.setAttribute('data-slot-id', slot.id);
+            
+            const infoElement = document.createElement('div');
+            infoElement.className = 'save-slot-info';
+            
+            const nameElement = document.createElement('input');
+            nameElement.className = 'save-slot-name';
+            nameElement.type = 'text';
+            nameElement.maxLength = SAVE_SLOT_NAME_LENGTH;
+            nameElement.value = slot.name;
+            nameElement.title = 'Click to rename';
+            
+            const detailsElement = document.createElement('div');
+            detailsElement.className = 'save-slot-details';
+            detailsElement.textContent = [
+                `Wave ${slot.wave}`,
+                `Tier ${slot.highestTier}`,
+                this.formatPlaytime(slot.playtime),
+                slot.lastSaved ? `Saved ${new Date(slot.lastSaved).toLocaleString()}` : 'Never saved'
+            ].join(' · ');
+            
+            infoElement.appendChild(nameElement);
+            infoElement.appendChild(detailsElement);
+            slotElement.appendChild(infoElement);
+            
+            [
+                { action: 'load', label: isActive ? 'PLAYING' : 'LOAD', enabled: !isActive },
+                { action: 'copy', label: 'COPY', enabled: true },
+                { action: 'export', label: 'EXPORT', enabled: true },
+                { action: 'delete', label: 'DELETE', enabled: !isActive }
+            ].forEach(({ action, label, enabled }) => {
+                const buttonElement = document.createElement('div');
+                buttonElement.className = `button save-slot-${action}` + (enabled ? '' : ' disabled');
+                buttonElement.setAttribute('data-slot-action', action);
+                buttonElement.textContent = label;
+                slotElement.appendChild(buttonElement);
+            });
+            
+            this.elements.slotList.appendChild(slotElement);
+        });
+        
+        if (this.elements.slotNewButton) {
+            this.elements.slotNewButton.classList.toggle('disabled', slots.length >= SAVE_SLOT_LIMIT);
+        }
+        
+        this.elements.slotOverlay.classList.remove('hidden');
+    }
+    
+    /**
+     * Format a playtime for the save slot picker
+     * @param {number} seconds - Seconds played
+     * @returns {string} e.g. "1h 05m" or "12m"
+     */
+    formatPlaytime(seconds) {
+        const minutes = Math.floor((seconds || 0) / 60);
+        const hours = Math.floor(minutes / 60);
+        
+        return hours > 0
+            ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m`
+            : `${minutes}m`;
+    }
+    
+    /**
+     * Handle a click on a save slot button
+     * @param {Event} event - Click event
+     */
+    handleSlotClick(event) {
+        const buttonElement = event.target.closest('[data-slot-action]');
+        if (!buttonElement || buttonElement.classList.contains('disabled') || !this.gameManager) return;
+        
+        const slotElement = buttonElement.closest('.save-slot');
+        const slotId = slotElement.getAttribute('data-slot-id');
+        const slotName = slotElement.querySelector('.save-slot-name').value;
+        
+        switch (buttonElement.getAttribute('data-slot-action')) {
+            case 'load':
+                if (this.gameManager.loadSaveSlot(slotId)) {
+                    this.closeSlotPicker();
+                }
+                break;
+            case 'copy':
+                if (this.gameManager.copySaveSlot(slotId)) {
+                    this.refreshSlotPicker();
+                }
+                break;
+            case 'export':
+                this.gameManager.exportSaveSlot(slotId);
+                break;
+            case 'delete':
+                this.showConfirmation(
+                    'Delete Save',
+                    `Delete "${slotName}"? Its progress will be lost.`,
+                    (confirmed) => {
+                        if (confirmed && this.gameManager.deleteSaveSlot(slotId)) {
+                            this.refreshSlotPicker();
+                        }
+                    }
+                );
+                break;
+        }
+    }
+    
+    /**
+     * Rename a save slot when its name field is changed
+     * @param {Event} event - Change event
+     */
+    handleSlotRename(event) {
+        if (!event.target.classList.contains('save-slot-name') || !this.gameManager) return;
+        
+        const slotId = event.target.closest('.save-slot').getAttribute('data-slot-id');
+        this.gameManager.renameSaveSlot(slotId, event.target.value);
+        
+        // Show the stored name (trimmed, or the old one if the new name was rejected)
+        this.refreshSlotPicker();
+    }
+    
+    /**
+     * Read the save file chosen for import and ask the player to confirm
+     * after showing what it contains
+     */
+    handleSaveFileChosen() {
+        const input = this.elements.slotImportInput;
+        const file = input.files && input.files[0];
+        if (!file || !this.gameManager) return;
+        
+        // Allow choosing the same file again
+        input.value = '';
+        
+        this.gameManager.readSaveFile(file).then(saveFile => {
+            if (!saveFile) return;
+            
+            this.showConfirmation('Import Save', this.describeSaveFile(saveFile), (confirmed) => {
+                if (confirmed && this.gameManager.importSaveFile(saveFile)) {
+                    this.refreshSlotPicker();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Describe a save file for the import confirmation
+     * @param {Object} saveFile - Save file from Game.readSaveFile
+     * @returns {string} Preview of what will be imported
+     */
+    describeSaveFile(saveFile) {
+        const { summary } = saveFile;
+        const exported = saveFile.exportedAt ? ` (exported ${new Date(saveFile.exportedAt).toLocaleString()})` : '';
+        
+        let preview = `"${saveFile.name}"${exported}: Wave ${summary.wave}, ${summary.coins} coins, ` +
+            `highest tier ${summary.highestTier}, ${summary.monsters} monsters on the grid, ` +
+            `${summary.benchMonsters} on the bench, ${summary.items} items, ` +
+            `played ${this.formatPlaytime(summary.playtime)}.`;
+        
+        if (saveFile.issues.length > 0) {
+            preview += ` ${saveFile.issues.length} problems will be repaired: ${saveFile.issues.join('; ')}.`;
+        }
+        
+        return `${preview} Import it as a new save slot?`;
+    }
+    
+    /**
+     * Close the save slot picker
+     */
+    closeSlotPicker() {
+        if (this.elements.slotOverlay) {
+            this.elements.slotOverlay.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the board code overlay
+     * @param {string} boardCode - Board code of the grid
+     */
+    showBoardCodes(boardCode) {
+        if (!this.elements.boardOverlay) return;
+        
+        this.elements.boardCodeCurrent.value = boardCode;
+        this.elements.boardCodeInput.value = '';
+        this.elements.boardOverlay.classList.remove('hidden');
+    }
+    
+    /**
+     * Close the board code overlay
+     */
+    closeBoardCodes() {
+        if (this.elements.boardOverlay) {
+            this.elements.boardOverlay.classList.add('hidden');
         }
     }
     
@@ -253,9 +666,46 @@ class OverlayManager {
         this.elements.gameOverMessage.textContent = results.message || 'Game Over!';
         this.elements.gameOverWave.textContent = `Reached Wave ${results.wave || 1}`;
         
+        if (this.elements.runSummary) {
+            this.renderRunSummary(results.summary);
+        }
+        
         this.elements.gameOverOverlay.classList.remove('hidden');
     }
     
+    /**
+     * Fill the run summary shown on the game over overlay
+     * @param {Object} summary - Run summary from RunManager.getSummary, or nothing to hide it
+     */
+    renderRunSummary(summary) {
+        this.elements.runSummary.innerHTML = '';
+        if (!summary) return;
+        
+        const rows = [
+            ['Mode', summary.mode === RunMode.HARDCORE ? 'Hardcore' : 'Run'],
+            ['Highest wave', summary.highestWave],
+            ['Battles', summary.battles],
+            ['Victories', summary.victories],
+            ['Draws', summary.draws],
+            ['Defeats', summary.defeats],
+            ['Hearts lost', `${summary.livesLost} / ${summary.maxLives}`],
+            ['Coins earned', summary.coinsEarned]
+        ];
+        
+        rows.forEach(([label, value]) => {
+            const labelElement = document.createElement('div');
+            labelElement.className = 'run-summary-label';
+            labelElement.textContent = label;
+            
+            const valueElement = document.createElement('div');
+            valueElement.className = 'run-summary-value';
+            valueElement.textContent = value;
+            
+            this.elements.runSummary.appendChild(labelElement);
+            this.elements.runSummary.appendChild(valueElement);
+        });
+    }
+    
     /**
      * Close the game over overlay
      */